@@ -2,17 +2,73 @@ import { useState, useMemo, useRef, useCallback, useEffect } from 'react'
 import Routing from './Router'
 import { supabase, getPublicStorageUrl, SUPABASE_URL } from './supabaseclient'
 import { useIncrementPlayCount } from './hooks/useIncrementPlayCount'
+import { usePlayQueue } from './hooks/usePlayQueue'
+import { useAudioDecks } from './hooks/useAudioDecks'
+import { useResumePosition } from './hooks/useResumePosition'
+import { useMediaSession } from './hooks/useMediaSession'
+import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts'
+import { useLikesV2 } from './hooks/useLikesV2'
+import { usePlayerPreferences } from './hooks/usePlayerPreferences'
+import { useSleepTimer, SLEEP_PRESETS_MIN } from './hooks/useSleepTimer'
+import { useTrackWaveform } from './hooks/useTrackWaveform'
+import { useTimedComments } from './hooks/useTimedComments'
+import { resumeAudioContext, setEqualizerGains } from './utils/audioGraph'
+import { isFlat } from './utils/equalizer'
+import { getSignedAudioUrl, signAudioUrls, isSignedUrlExpired } from './utils/signedUrlCache'
+import { fetchLastPlayback, formatPlaybackTime } from './utils/playbackPosition'
+import { SEEK_STEP_SEC, VOLUME_STEP } from './utils/shortcuts'
+import { PLAYBACK_RATES } from './utils/playerPrefs'
+import QueuePanel from './components/QueuePanel'
+import PlaybackModeToggles from './components/PlaybackModeToggles'
+import ShortcutHelp from './components/ShortcutHelp'
+import PlayerOutputControls from './components/PlayerOutputControls'
+import EqualizerPanel from './components/EqualizerPanel'
+import SleepTimerMenu from './components/SleepTimerMenu'
+import Waveform from './components/Waveform'
+import CommentMarkers from './components/CommentMarkers'
+import PlayerCommentForm from './components/PlayerCommentForm'
 
 /*
   App.jsx
   - Manages a global audio player (play, pause, resume, stop).
   - Creates a 'player' API object that is passed down via Routing -> pages.
-  - Handles fetching signed URLs for private audio stored in Supabase storage.
+  - Handles fetching signed URLs for private audio stored in Supabase storage (cached and
+    re-signed on expiry via utils/signedUrlCache.js).
+  - Owns the play queue (usePlayQueue), which survives reloads via localStorage.
+  - Plays through two audio decks (useAudioDecks): the next entry is signed and buffered
+    before the current one ends, for gapless playback and optional crossfades.
+  - Remembers the position inside long tracks (useResumePosition) and offers to resume there,
+    including on another device.
+  - Publishes the current track to lock screens and media keys (useMediaSession).
+  - Handles global keyboard shortcuts (useKeyboardShortcuts, bindings in utils/shortcuts.js).
+  - Applies the listener's volume, mute, speed, EQ and loudness normalization (usePlayerPreferences)
+    to both decks; EQ and normalization run through the Web Audio graph in utils/audioGraph.js.
+  - Sleep timer (useSleepTimer): fades out and calls stop after a duration or at the end of the
+    track, keeping the queue and the resume position.
+  - Shows the track's waveform as the seek bar when peaks are stored (useTrackWaveform), with
+    markers for timestamped comments (useTimedComments); comments posted from the fullscreen
+    player are pinned to the current position.
 */
 
+const CROSSFADE_STORAGE_KEY = 'player_crossfade'
+const MAX_CROSSFADE_SEC = 12
+const PRELOAD_LEAD_SEC = 30 // start buffering the next entry this long before the end
+
+const readCrossfade = () => {
+  try {
+    const n = Number(localStorage.getItem(CROSSFADE_STORAGE_KEY))
+    return Number.isFinite(n) ? Math.min(Math.max(Math.round(n), 0), MAX_CROSSFADE_SEC) : 0
+  } catch {
+    return 0
+  }
+}
+
 const initialPlayerState = {
   track: null,
   signedUrl: null,
+  loadId: 0, // set by loadTrack so a repeated (cached) signed URL still triggers playback
+  startFraction: 0, // where loadTrack should start the track (0..1), e.g. a waveform click
+  startTime: 0, // or in seconds, e.g. a timestamped comment (takes precedence)
   isPlaying: false,
   loading: false,
   error: null,
@@ -23,8 +79,43 @@ const App = () => {
   const [session, setSession] = useState(null)
   const audioRef = useRef(null)
   const lastPlayPromiseRef = useRef(null)
-  const [queue, setQueue] = useState([])
-  const [queueIndex, setQueueIndex] = useState(0)
+  const loadRequestRef = useRef(0)
+  const queue = usePlayQueue(session?.user?.id)
+  const {
+    replace: replaceQueue,
+    advance: advanceQueue,
+    peek: peekQueue,
+    jumpTo: jumpToQueue,
+    reset: resetQueue,
+  } = queue
+  const decks = useAudioDecks(audioRef)
+  const {
+    preload: preloadDeck,
+    isPreloaded,
+    takePreloaded,
+    clearPreload,
+    finishFade,
+    stopAll: stopDecks,
+    setOutput: setDeckOutput,
+    setProcessing: setDeckProcessing,
+  } = decks
+  const [crossfade, setCrossfadeState] = useState(readCrossfade)
+  const prefs = usePlayerPreferences(session?.user?.id)
+  const { volume, muted, playbackRate, setVolume, eqGains, normalize } = prefs
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false)
+  const [shortcutNotice, setShortcutNotice] = useState(null)
+  const noticeTimerRef = useRef(null)
+  const resumePosition = useResumePosition({
+    userId: session?.user?.id,
+    audioRef,
+    track: playerState.track,
+    activeDeck: decks.activeDeck,
+  })
+  const trackEndedRef = useRef(null)
+  const transitionCheckRef = useRef(null)
+  const playbackErrorRef = useRef(null)
+  // Source that already got one re-sign attempt, so a bad file cannot loop
+  const resignedSrcRef = useRef(null)
 
   // Fetch current session on mount
   useEffect(() => {
@@ -52,10 +143,17 @@ const App = () => {
   }, [])
 
   /**
-   * playTrack
+   * loadTrack
    * - Given a track record, create a signed URL for the audio file and start playback.
+   * - Does not touch the queue; callers decide which queue entry is current.
+   * - options.startFraction (0..1) or options.startTime (seconds) start playback part-way in.
    */
-  const playTrack = useCallback(async (track, queueList = []) => {
+  const loadTrack = useCallback(async (track, { startFraction = 0, startTime = 0 } = {}) => {
+    // Ignore signed URLs that resolve after the listener already skipped ahead
+    const requestId = ++loadRequestRef.current
+    resumeAudioContext()
+    finishFade()
+    clearPreload()
     if (!track?.audio_path) {
       setPlayerState({
         track,
@@ -67,18 +165,6 @@ const App = () => {
       return
     }
 
-    // Build/remember queue
-    const normalized = Array.isArray(queueList) ? queueList.filter((t) => t?.id) : []
-    const baseQueue = normalized.length ? normalized : [track]
-    let idx = baseQueue.findIndex((t) => t.id === track.id)
-    const finalQueue = [...baseQueue]
-    if (idx < 0) {
-      finalQueue.push(track)
-      idx = finalQueue.length - 1
-    }
-    setQueue(finalQueue)
-    setQueueIndex(idx)
-
     setPlayerState((prev) => ({
       ...prev,
       track,
@@ -86,18 +172,22 @@ const App = () => {
       error: null,
     }))
     try {
-      const { data, error } = await supabase.storage
-        .from('audio')
-        .createSignedUrl(track.audio_path, 3600)
-      if (error) throw error
+      const signedUrl = await getSignedAudioUrl(track.audio_path)
+      if (requestId !== loadRequestRef.current) return
+      // A cached URL can equal the one already on the deck (same track again): restart it
+      if (audioRef.current?.src === signedUrl) audioRef.current.currentTime = 0
       setPlayerState({
         track,
-        signedUrl: data.signedUrl,
+        signedUrl,
+        loadId: requestId,
+        startFraction,
+        startTime,
         isPlaying: true,
         loading: false,
         error: null,
       })
     } catch (err) {
+      if (requestId !== loadRequestRef.current) return
       setPlayerState((prev) => ({
         ...prev,
         loading: false,
@@ -105,7 +195,100 @@ const App = () => {
         error: err.message,
       }))
     }
-  }, [])
+  }, [finishFade, clearPreload])
+
+  /**
+   * startPreloaded
+   * - Switch to the entry buffered in the inactive deck (gapless, or crossfading over fadeSeconds).
+   * - Returns false when the entry was not preloaded, so the caller can load it normally.
+   */
+  const startPreloaded = useCallback((entry, fadeSeconds = 0) => {
+    const started = takePreloaded(entry?.qid, fadeSeconds)
+    if (!started) return false
+    loadRequestRef.current += 1
+    setPlayerState({
+      track: entry.track,
+      signedUrl: started.url,
+      isPlaying: true,
+      loading: false,
+      error: null,
+    })
+    lastPlayPromiseRef.current = started.playPromise
+    started.playPromise.catch((err) => {
+      if (isBenignPlayInterruption(err)) return
+      setPlayerState((prev) => ({
+        ...prev,
+        loading: false,
+        isPlaying: false,
+        error: err.message,
+      }))
+    })
+    return true
+  }, [takePreloaded, isBenignPlayInterruption])
+
+  /**
+   * playTrack
+   * - Replace the queue with queueList (or just the track) and play the track.
+   * - options are passed to loadTrack (startFraction, startTime).
+   */
+  const playTrack = useCallback(async (track, queueList = [], options) => {
+    if (!track?.audio_path) {
+      await loadTrack(track)
+      return
+    }
+    replaceQueue(queueList, track)
+    // Sign the rest of the queue in one batch so next/previous start without a round trip
+    if (Array.isArray(queueList) && queueList.length > 1) {
+      signAudioUrls(queueList.map((t) => t?.audio_path))
+    }
+    await loadTrack(track, options)
+  }, [loadTrack, replaceQueue])
+
+  /**
+   * Queue editing
+   * - playNext/addToQueue never interrupt the current track; playFromQueue jumps to an entry.
+   */
+  const playFromQueue = useCallback((position) => {
+    const entry = jumpToQueue(position)
+    if (entry) loadTrack(entry.track)
+  }, [jumpToQueue, loadTrack])
+
+  /**
+   * refreshSignedSource
+   * - Re-sign the current track's audio and put it back on the same deck at the same position.
+   * - Used when a signed URL expired (long pause) and when playback fails on an expired URL.
+   */
+  const refreshSignedSource = useCallback(async (resumePlayback) => {
+    const audio = audioRef.current
+    const track = playerState.track
+    if (!audio || !track?.audio_path) return
+    const position = audio.currentTime || 0
+    const requestId = ++loadRequestRef.current
+    setPlayerState((prev) => ({ ...prev, loading: true, error: null }))
+    try {
+      const url = await getSignedAudioUrl(track.audio_path, { forceRefresh: true })
+      if (requestId !== loadRequestRef.current) return
+      resignedSrcRef.current = url
+      audio.addEventListener('loadedmetadata', () => { audio.currentTime = position }, { once: true })
+      audio.src = url
+      if (!resumePlayback) {
+        setPlayerState((prev) => ({ ...prev, loading: false }))
+        return
+      }
+      const playPromise = audio.play()
+      lastPlayPromiseRef.current = playPromise
+      await playPromise
+      setPlayerState((prev) => ({ ...prev, isPlaying: true, loading: false, error: null }))
+    } catch (err) {
+      if (requestId !== loadRequestRef.current) return
+      setPlayerState((prev) => ({
+        ...prev,
+        loading: false,
+        isPlaying: false,
+        error: isBenignPlayInterruption(err) ? null : err.message,
+      }))
+    }
+  }, [playerState.track, isBenignPlayInterruption])
 
   /**
    * pause/resume/stop functions
@@ -115,6 +298,7 @@ const App = () => {
   const pause = useCallback(() => {
     const audio = audioRef.current
     if (!audio) return
+    finishFade()
     audio.pause()
     setPlayerState((prev) => ({
       ...prev,
@@ -122,11 +306,22 @@ const App = () => {
       loading: false,
       error: null,
     }))
-  }, [])
+  }, [finishFade])
 
   const resume = useCallback(() => {
     const audio = audioRef.current
     if (!audio) return
+    resumeAudioContext()
+    // Restored from a previous session: nothing loaded yet, so fetch a fresh signed URL
+    if (!audio.getAttribute('src')) {
+      if (playerState.track) loadTrack(playerState.track)
+      return
+    }
+    // Paused past the URL's lifetime: re-sign first instead of failing on the next range request
+    if (isSignedUrlExpired(audio.getAttribute('src'))) {
+      refreshSignedSource(true)
+      return
+    }
     setPlayerState((prev) => ({ ...prev, loading: true, error: null }))
     const playPromise = audio.play()
     lastPlayPromiseRef.current = playPromise
@@ -151,32 +346,226 @@ const App = () => {
           error: err.message,
         }))
       })
-  }, [isBenignPlayInterruption])
+  }, [isBenignPlayInterruption, playerState.track, loadTrack, refreshSignedSource])
 
-  const stop = useCallback(() => {
+  // With { keepQueue: true } (sleep timer) the queue and the current track stay, and the active
+  // deck keeps its source so the pause event lets useResumePosition save where playback stopped
+  const stop = useCallback(({ keepQueue = false } = {}) => {
     const audio = audioRef.current
+    stopDecks()
+    if (keepQueue) {
+      audio?.pause()
+      setPlayerState((prev) => ({ ...prev, isPlaying: false, loading: false, error: null }))
+      return
+    }
     if (audio) {
       audio.pause()
       audio.currentTime = 0
       audio.removeAttribute('src')
       audio.load()
     }
-    setQueue([])
-    setQueueIndex(0)
+    resetQueue()
     setPlayerState(initialPlayerState)
+  }, [resetQueue, stopDecks])
+
+  /**
+   * seek / seekToTime / getPosition
+   * - Jump within the current track by fraction (waveforms, progress bars) or to a time in
+   *   seconds (timestamped comments), and read the position.
+   */
+  const seek = useCallback((fraction) => {
+    const audio = audioRef.current
+    if (!audio || !Number.isFinite(audio.duration)) return false
+    audio.currentTime = Math.min(Math.max(Number(fraction) || 0, 0), 1) * audio.duration
+    return true
   }, [])
 
+  const seekToTime = useCallback((seconds) => {
+    const audio = audioRef.current
+    if (!audio || !Number.isFinite(audio.duration)) return false
+    audio.currentTime = Math.min(Math.max(Number(seconds) || 0, 0), audio.duration)
+    return true
+  }, [])
+
+  const getPosition = useCallback(() => {
+    const audio = audioRef.current
+    const duration = audio && Number.isFinite(audio.duration) ? audio.duration : 0
+    return { currentTime: audio?.currentTime || 0, duration }
+  }, [])
+
+  const fadeDecks = useCallback((level) => setDeckOutput({ fade: level }), [setDeckOutput])
+  const sleepExpire = useCallback(() => stop({ keepQueue: true }), [stop])
+  const sleepTimer = useSleepTimer({
+    audioRef,
+    activeDeck: decks.activeDeck,
+    onExpire: sleepExpire,
+    onFade: fadeDecks,
+  })
+  const stopAfterTrack = sleepTimer.mode === 'track'
+
   const nextTrack = useCallback(() => {
-    if (!queue.length) return
-    const nextIdx = (queueIndex + 1) % queue.length
-    playTrack(queue[nextIdx], queue)
-  }, [queue, queueIndex, playTrack])
+    const entry = advanceQueue(1)
+    if (!entry) return
+    resumeAudioContext()
+    if (!startPreloaded(entry)) loadTrack(entry.track)
+  }, [advanceQueue, startPreloaded, loadTrack])
 
   const prevTrack = useCallback(() => {
-    if (!queue.length) return
-    const prevIdx = (queueIndex - 1 + queue.length) % queue.length
-    playTrack(queue[prevIdx], queue)
-  }, [queue, queueIndex, playTrack])
+    const entry = advanceQueue(-1)
+    if (entry) loadTrack(entry.track)
+  }, [advanceQueue, loadTrack])
+
+  useEffect(() => {
+    setDeckOutput({ volume, muted, playbackRate })
+  }, [volume, muted, playbackRate, setDeckOutput])
+
+  useEffect(() => {
+    setEqualizerGains(eqGains)
+  }, [eqGains])
+
+  // EQ and normalization need the decks routed through Web Audio. Routing cannot be undone and
+  // can break background playback on some mobile browsers, so it only happens once a track has a
+  // gain to apply or the EQ is not flat, and waits until something plays (the AudioContext may
+  // only start after a user gesture).
+  const needsProcessing = (normalize && playerState.track?.replay_gain_db != null) || !isFlat(eqGains)
+  useEffect(() => {
+    setDeckProcessing({
+      enabled: needsProcessing && playerState.isPlaying,
+      normalize,
+      track: playerState.track,
+    })
+  }, [needsProcessing, normalize, playerState.isPlaying, playerState.track, decks.activeDeck, setDeckProcessing])
+
+  const setCrossfade = useCallback((seconds) => {
+    const n = Math.min(Math.max(Math.round(Number(seconds) || 0), 0), MAX_CROSSFADE_SEC)
+    setCrossfadeState(n)
+    try {
+      localStorage.setItem(CROSSFADE_STORAGE_KEY, String(n))
+    } catch {
+      // ignore storage failures
+    }
+  }, [])
+
+  /**
+   * handleTrackEnded
+   * - Auto-advance when a track finishes, following the shuffle/repeat modes.
+   * - Replays in place when the queue resolves to the same entry (repeat-one, single-track repeat-all).
+   */
+  const handleTrackEnded = useCallback(() => {
+    if (stopAfterTrack) {
+      sleepTimer.finish()
+      return
+    }
+    const audio = audioRef.current
+    const endedQid = queue.current?.qid
+    const entry = advanceQueue(1, { auto: true })
+    if (entry && entry.qid === endedQid && audio?.getAttribute('src')) {
+      audio.currentTime = 0
+      resume()
+      return
+    }
+    if (entry) {
+      if (!startPreloaded(entry)) loadTrack(entry.track)
+      return
+    }
+    // End of the queue with repeat off
+    if (audio) audio.currentTime = 0
+    setPlayerState((prev) => ({
+      ...prev,
+      isPlaying: false,
+    }))
+  }, [stopAfterTrack, sleepTimer, queue, advanceQueue, startPreloaded, loadTrack, resume])
+
+  /**
+   * checkUpcomingTransition (runs on timeupdate)
+   * - Near the end of a track, sign and buffer the next entry in the inactive deck.
+   * - With crossfade enabled, start the next entry early and fade between the decks.
+   */
+  const checkUpcomingTransition = useCallback(() => {
+    const audio = audioRef.current
+    // Nothing comes next when the sleep timer stops after this track
+    if (stopAfterTrack || !audio || audio.paused || !Number.isFinite(audio.duration)) return
+    const remaining = audio.duration - audio.currentTime
+    const upcoming = peekQueue(1, { auto: true })
+    if (!upcoming || upcoming.qid === queue.current?.qid) return
+
+    if (remaining <= Math.max(PRELOAD_LEAD_SEC, crossfade + 10)) preloadDeck(upcoming)
+
+    // Skip crossfades on tracks shorter than the fade itself
+    if (crossfade > 0 && remaining <= crossfade && audio.currentTime > crossfade && isPreloaded(upcoming.qid)) {
+      const entry = advanceQueue(1, { auto: true })
+      if (!entry) return
+      if (!startPreloaded(entry, Math.min(crossfade, remaining))) loadTrack(entry.track)
+    }
+  }, [stopAfterTrack, queue, peekQueue, crossfade, preloadDeck, isPreloaded, advanceQueue, startPreloaded, loadTrack])
+
+  /**
+   * handlePlaybackError
+   * - An expired signed URL surfaces as a media error: re-sign once and restore the position.
+   * - Anything else is reported to the listener.
+   */
+  const handlePlaybackError = useCallback(() => {
+    const src = audioRef.current?.getAttribute('src')
+    if (src && isSignedUrlExpired(src, 0) && resignedSrcRef.current !== src) {
+      refreshSignedSource(playerState.isPlaying)
+      return
+    }
+    setPlayerState((prev) => ({
+      ...prev,
+      isPlaying: false,
+      error: 'Playback error. Please try again.',
+    }))
+  }, [playerState.isPlaying, refreshSignedSource])
+
+  useEffect(() => {
+    trackEndedRef.current = handleTrackEnded
+    transitionCheckRef.current = checkUpcomingTransition
+    playbackErrorRef.current = handlePlaybackError
+  }, [handleTrackEnded, checkUpcomingTransition, handlePlaybackError])
+
+  // Show the restored queue's current entry in the player (idle until the user presses play).
+  // Runs once per queue owner (boot or user switch), not on every queue edit.
+  const restoredOwnerRef = useRef(undefined)
+  const { owner: queueOwner, current: currentEntry } = queue
+  useEffect(() => {
+    if (restoredOwnerRef.current === queueOwner) return
+    restoredOwnerRef.current = queueOwner
+    const restored = currentEntry?.track
+    if (restored) {
+      setPlayerState((prev) => (prev.track ? prev : { ...initialPlayerState, track: restored }))
+      return
+    }
+    // No queue on this device: pick up the last long track this user left unfinished elsewhere
+    if (!queueOwner) return
+    let cancelled = false
+    const requestId = loadRequestRef.current
+    fetchLastPlayback(queueOwner)
+      .then((last) => {
+        // Skip if the listener started something or edited the queue in the meantime
+        if (cancelled || !last || requestId !== loadRequestRef.current) return
+        replaceQueue([last.track], last.track)
+        setPlayerState({ ...initialPlayerState, track: last.track })
+      })
+      .catch((err) => {
+        console.warn('[App] Could not restore last playback:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [queueOwner, currentEntry, replaceQueue])
+
+  /**
+   * Resume prompt actions: jump to the saved position (or start over) and play
+   */
+  const acceptResume = useCallback(() => {
+    resumePosition.accept()
+    if (!playerState.isPlaying) resume()
+  }, [resumePosition, playerState.isPlaying, resume])
+
+  const startOver = useCallback(() => {
+    resumePosition.dismiss()
+    if (!playerState.isPlaying) resume()
+  }, [resumePosition, playerState.isPlaying, resume])
 
   useEffect(() => {
     const audio = audioRef.current
@@ -192,37 +581,44 @@ const App = () => {
         ...prev,
         isPlaying: false,
       }))
-    const handleEnded = () => {
-      audio.currentTime = 0
-      setPlayerState((prev) => ({
-        ...prev,
-        isPlaying: false,
-      }))
-    }
-    const handleError = () =>
-      setPlayerState((prev) => ({
-        ...prev,
-        isPlaying: false,
-        error: 'Playback error. Please try again.',
-      }))
+    const handleEnded = () => trackEndedRef.current?.()
+    const handleTimeUpdate = () => transitionCheckRef.current?.()
+    const handleError = () => playbackErrorRef.current?.()
 
     audio.addEventListener('play', handlePlay)
     audio.addEventListener('pause', handlePause)
     audio.addEventListener('ended', handleEnded)
     audio.addEventListener('error', handleError)
+    audio.addEventListener('timeupdate', handleTimeUpdate)
 
     return () => {
       audio.removeEventListener('play', handlePlay)
       audio.removeEventListener('pause', handlePause)
       audio.removeEventListener('ended', handleEnded)
       audio.removeEventListener('error', handleError)
+      audio.removeEventListener('timeupdate', handleTimeUpdate)
     }
-  }, [audioRef])
+  }, [audioRef, decks.activeDeck])
 
   useEffect(() => {
     const audio = audioRef.current
     if (!audio || !playerState.signedUrl) return
-    audio.src = playerState.signedUrl
+    const startFraction = playerState.startFraction
+    const startTime = playerState.startTime
+    const hasStart = startTime > 0 || startFraction > 0
+    const seekToStart = () => {
+      if (!Number.isFinite(audio.duration)) return
+      audio.currentTime = startTime > 0 ? Math.min(startTime, audio.duration) : startFraction * audio.duration
+    }
+    if (audio.src !== playerState.signedUrl) {
+      if (hasStart) audio.addEventListener('loadedmetadata', seekToStart, { once: true })
+      audio.src = playerState.signedUrl
+    } else if (!audio.paused) {
+      // Already playing: switched over from a preloaded deck
+      return
+    } else if (hasStart) {
+      seekToStart()
+    }
     setPlayerState((prev) => ({ ...prev, loading: true, error: null }))
     const playPromise = audio.play()
     lastPlayPromiseRef.current = playPromise
@@ -247,7 +643,94 @@ const App = () => {
           loading: false,
         }))
       })
-  }, [playerState.signedUrl, isBenignPlayInterruption])
+  }, [playerState.signedUrl, playerState.loadId, playerState.startFraction, playerState.startTime, isBenignPlayInterruption])
+
+  useMediaSession({
+    audioRef,
+    track: playerState.track,
+    isPlaying: playerState.isPlaying,
+    activeDeck: decks.activeDeck,
+    canNext: queue.canNext,
+    canPrevious: queue.canPrevious,
+    onPlay: resume,
+    onPause: pause,
+    onNext: nextTrack,
+    onPrevious: prevTrack,
+  })
+
+  // Keyboard shortcuts (bindings and help text live in utils/shortcuts.js)
+  const {
+    isLiked,
+    toggleLike,
+    fetchLikedTracks,
+    error: likeError,
+  } = useLikesV2(session?.user?.id)
+  const currentTrackId = playerState.track?.id
+
+  useEffect(() => {
+    if (currentTrackId) fetchLikedTracks([currentTrackId])
+  }, [currentTrackId, fetchLikedTracks])
+
+  const showNotice = useCallback((message) => {
+    clearTimeout(noticeTimerRef.current)
+    setShortcutNotice(message)
+    noticeTimerRef.current = setTimeout(() => setShortcutNotice(null), 2000)
+  }, [])
+
+  useEffect(() => () => clearTimeout(noticeTimerRef.current), [])
+
+  useEffect(() => {
+    if (likeError) showNotice(likeError)
+  }, [likeError, showNotice])
+
+  const shortcutHandlers = useMemo(() => {
+    const track = playerState.track
+    const seekBy = (offset) => {
+      const audio = audioRef.current
+      if (!track || !audio || !Number.isFinite(audio.duration)) return false
+      audio.currentTime = Math.min(Math.max(audio.currentTime + offset, 0), audio.duration)
+    }
+    const changeVolume = (delta) => {
+      if (!track) return false
+      // From muted, the first step up starts at the stored level
+      const next = setVolume(muted && delta > 0 && volume > 0 ? volume : volume + delta)
+      showNotice(`Volume ${Math.round(next * 100)}%`)
+    }
+    return {
+      playPause: () => {
+        if (!track) return false
+        if (playerState.isPlaying) pause()
+        else resume()
+      },
+      seekBackward: () => seekBy(-SEEK_STEP_SEC),
+      seekForward: () => seekBy(SEEK_STEP_SEC),
+      volumeUp: () => changeVolume(VOLUME_STEP),
+      volumeDown: () => changeVolume(-VOLUME_STEP),
+      next: () => {
+        if (queue.canNext) nextTrack()
+      },
+      previous: () => {
+        if (queue.canPrevious) prevTrack()
+      },
+      like: () => {
+        if (!track?.id) return false
+        const wasLiked = isLiked(track.id)
+        toggleLike(track.id).then((ok) => {
+          if (ok) showNotice(wasLiked ? 'Removed from liked tracks' : 'Added to liked tracks')
+        })
+      },
+      focusSearch: () => {
+        // NavBar renders the box for desktop and mobile; only one of them is displayed
+        const input = [...document.querySelectorAll('input[type="search"]')].find((el) => el.offsetParent !== null)
+        if (!input) return false
+        input.focus()
+        input.select?.()
+      },
+      showHelp: () => setShowShortcutHelp((open) => !open),
+    }
+  }, [playerState.track, playerState.isPlaying, volume, muted, setVolume, showNotice, pause, resume, queue.canNext, queue.canPrevious, nextTrack, prevTrack, isLiked, toggleLike])
+
+  useKeyboardShortcuts(shortcutHandlers)
 
   // player object passed to pages for controlling playback
   const player = useMemo(
@@ -260,11 +743,49 @@ const App = () => {
       pause,
       resume,
       stop,
+      seek,
+      seekToTime,
+      getPosition,
       next: nextTrack,
       previous: prevTrack,
-      queueLength: queue.length,
+      queue: queue.entries,
+      queueIndex: queue.index,
+      queueLength: queue.entries.length,
+      playNext: queue.playNext,
+      addToQueue: queue.enqueue,
+      removeFromQueue: queue.remove,
+      moveInQueue: queue.move,
+      clearQueue: queue.clearUpcoming,
+      playFromQueue,
+      shuffle: queue.shuffle,
+      repeat: queue.repeat,
+      toggleShuffle: queue.toggleShuffle,
+      setRepeat: queue.setRepeat,
+      cycleRepeat: queue.cycleRepeat,
+      crossfade,
+      maxCrossfade: MAX_CROSSFADE_SEC,
+      setCrossfade,
+      volume,
+      muted,
+      playbackRate,
+      playbackRates: PLAYBACK_RATES,
+      setVolume,
+      setMuted: prefs.setMuted,
+      toggleMute: prefs.toggleMute,
+      setPlaybackRate: prefs.setPlaybackRate,
+      eqPreset: prefs.eqPreset,
+      eqGains,
+      setEqPreset: prefs.setEqPreset,
+      setEqGain: prefs.setEqGain,
+      normalize,
+      setNormalize: prefs.setNormalize,
+      sleepTimer: { mode: sleepTimer.mode, endsAt: sleepTimer.endsAt },
+      sleepPresets: SLEEP_PRESETS_MIN,
+      startSleepTimer: sleepTimer.start,
+      stopAfterCurrentTrack: sleepTimer.stopAfterTrack,
+      cancelSleepTimer: sleepTimer.cancel,
     }),
-    [playerState, playTrack, pause, resume, stop, nextTrack, prevTrack, queue.length],
+    [playerState, playTrack, pause, resume, stop, seek, seekToTime, getPosition, nextTrack, prevTrack, queue, playFromQueue, crossfade, setCrossfade, prefs, volume, muted, playbackRate, setVolume, eqGains, normalize, sleepTimer],
   )
 
   // Add basic SEO/meta and connection hints
@@ -452,8 +973,26 @@ const App = () => {
         session={session}
         onNext={nextTrack}
         onPrev={prevTrack}
-        canNavigate={queue.length > 1}
+        canNext={queue.canNext}
+        canPrevious={queue.canPrevious}
+        player={player}
+        activeDeck={decks.activeDeck}
+        resumePrompt={resumePosition.prompt}
+        onAcceptResume={acceptResume}
+        onStartOver={startOver}
       />
+      {showShortcutHelp && <ShortcutHelp onClose={() => setShowShortcutHelp(false)} />}
+      {shortcutNotice && (
+        <div
+          className="fixed bottom-24 left-1/2 -translate-x-1/2 z-70 rounded-full bg-gray-800/95 px-4 py-2 text-sm text-white shadow"
+          role="status"
+        >
+          {shortcutNotice}
+        </div>
+      )}
+      {/* Two decks: the inactive one preloads the next queue entry */}
+      <audio ref={decks.bindDeckA} className="hidden" preload="metadata" crossOrigin="anonymous" />
+      <audio ref={decks.bindDeckB} className="hidden" preload="metadata" crossOrigin="anonymous" />
     </>
   )
 }
@@ -468,7 +1007,13 @@ const GlobalAudioPlayer = ({
   session,
   onNext,
   onPrev,
-  canNavigate,
+  canNext,
+  canPrevious,
+  player,
+  activeDeck,
+  resumePrompt,
+  onAcceptResume,
+  onStartOver,
 }) => {
   const { track, isPlaying, loading, error } = playerState
   const { increment: incrementPlayCount } = useIncrementPlayCount()
@@ -477,6 +1022,10 @@ const GlobalAudioPlayer = ({
   const [progress, setProgress] = useState(0) // 0..1
   const [duration, setDuration] = useState(0)
   const [isFullscreen, setIsFullscreen] = useState(false)
+  const [showQueue, setShowQueue] = useState(false)
+  const [showEqualizer, setShowEqualizer] = useState(false)
+  const peaks = useTrackWaveform(track)
+  const timedComments = useTimedComments(track?.id)
 
   const THRESHOLD_MS = 5000 // 5 seconds continuous playback
   const COOLDOWN_MS = 30 * 60 * 1000 // 30 minutes
@@ -561,6 +1110,9 @@ const GlobalAudioPlayer = ({
     audio.addEventListener('ended', clearTimer)
     audio.addEventListener('stalled', clearTimer)
 
+    // After a deck switch the new deck may already be playing before these listeners attach
+    if (!audio.paused) startTimer()
+
     return () => {
       clearTimer()
       audio.removeEventListener('play', startTimer)
@@ -570,7 +1122,7 @@ const GlobalAudioPlayer = ({
       audio.removeEventListener('ended', clearTimer)
       audio.removeEventListener('stalled', clearTimer)
     }
-  }, [track?.id, incrementPlayCount, session?.user?.id, COOLDOWN_MS, THRESHOLD_MS, audioRef])
+  }, [track?.id, incrementPlayCount, session?.user?.id, COOLDOWN_MS, THRESHOLD_MS, audioRef, activeDeck])
 
   useEffect(() => {
     const audio = audioRef.current
@@ -589,23 +1141,31 @@ const GlobalAudioPlayer = ({
     audio.addEventListener('loadedmetadata', onLoaded)
     audio.addEventListener('timeupdate', onTime)
     audio.addEventListener('ended', onEnded)
+    onTime()
     return () => {
       audio.removeEventListener('loadedmetadata', onLoaded)
       audio.removeEventListener('timeupdate', onTime)
       audio.removeEventListener('ended', onEnded)
     }
-  }, [track?.id, audioRef])
+  }, [track?.id, audioRef, activeDeck])
 
-  const handleSeek = (e) => {
-    e.stopPropagation()
+  const seekTo = (ratio) => {
     const audio = audioRef.current
     if (!audio || !duration) return
-    const rect = e.currentTarget.getBoundingClientRect()
-    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1)
     audio.currentTime = ratio * duration
     setProgress(ratio)
   }
 
+  const seekToComment = (seconds) => {
+    if (duration) seekTo(Math.min(seconds / duration, 1))
+  }
+
+  const handleSeek = (e) => {
+    e.stopPropagation()
+    const rect = e.currentTarget.getBoundingClientRect()
+    seekTo(Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1))
+  }
+
   // Previous button behavior:
   // - First click: restart the currently playing track.
   // - Second click within 1 second of the first: go to the previous track in the queue.
@@ -642,6 +1202,27 @@ const GlobalAudioPlayer = ({
     '/images/default-avatar.png'
   const imageSrc = coverSrc || fallbackCover
 
+  // "Resume from 23:14?" for long tracks with a saved position
+  const resumeOffer = resumePrompt?.trackId === track.id && (
+    <div className="flex items-center gap-2" onClick={(e) => e.stopPropagation()}>
+      <span className="text-gray-300">Resume from {formatPlaybackTime(resumePrompt.position)}?</span>
+      <button
+        type="button"
+        onClick={withStop(onAcceptResume)}
+        className="rounded-full bg-teal-500/20 px-2 py-0.5 text-teal-300 hover:bg-teal-500/30"
+      >
+        Resume
+      </button>
+      <button
+        type="button"
+        onClick={withStop(onStartOver)}
+        className="px-2 py-0.5 text-gray-400 hover:text-gray-200"
+      >
+        Start over
+      </button>
+    </div>
+  )
+
   return (
     <>
       {isFullscreen && (
@@ -661,29 +1242,40 @@ const GlobalAudioPlayer = ({
             <div className="text-sm text-gray-400 truncate max-w-xl">{track.artist || 'Unknown artist'}</div>
           </div>
           <div className="w-full max-w-2xl">
-            <div
-              className="relative w-full h-3 cursor-pointer"
-              onClick={handleSeek}
-              aria-label="Seek"
-            >
-              <div className="absolute inset-0 rounded-full bg-gray-800" />
+            {peaks ? (
+              <Waveform peaks={peaks} progress={progress} onSeek={seekTo} height={64} />
+            ) : (
               <div
-                className="absolute inset-y-0 left-0 rounded-full bg-amber-200 transition-[width] duration-150"
-                style={{ width: `${(progress || 0) * 100}%` }}
-              />
-            </div>
+                className="relative w-full h-3 cursor-pointer"
+                onClick={handleSeek}
+                aria-label="Seek"
+              >
+                <div className="absolute inset-0 rounded-full bg-gray-800" />
+                <div
+                  className="absolute inset-y-0 left-0 rounded-full bg-amber-200 transition-[width] duration-150"
+                  style={{ width: `${(progress || 0) * 100}%` }}
+                />
+              </div>
+            )}
+            <CommentMarkers comments={timedComments} duration={duration} onSeek={seekToComment} />
             <div className="mt-2 text-xs text-gray-300 text-center tabular-nums">
               {Number.isFinite(duration) && duration > 0
                 ? `${Math.floor((progress * duration) / 60).toString().padStart(2, '0')}:${Math.floor((progress * duration) % 60).toString().padStart(2, '0')} / ${Math.floor(duration / 60).toString().padStart(2, '0')}:${Math.floor(duration % 60).toString().padStart(2, '0')}`
                 : '00:00 / 00:00'}
             </div>
+            {resumeOffer && <div className="mt-3 flex justify-center text-sm">{resumeOffer}</div>}
           </div>
+          <PlayerCommentForm
+            trackId={track.id}
+            session={session}
+            getCurrentTime={() => audioRef.current?.currentTime ?? null}
+          />
           <div className="flex items-center gap-3">
             <button
               type="button"
               onClick={withStop(handlePrevClick)}
               className="px-3 py-2 rounded bg-gray-800 text-white hover:bg-gray-700 disabled:opacity-60 flex items-center gap-2"
-              disabled={!canNavigate || loading}
+              disabled={!canPrevious || loading}
               aria-label="Previous track"
             >
               <img
@@ -706,7 +1298,7 @@ const GlobalAudioPlayer = ({
               type="button"
               onClick={withStop(onNext)}
               className="px-3 py-2 rounded bg-gray-800 text-white hover:bg-gray-700 disabled:opacity-60 flex items-center gap-2"
-              disabled={!canNavigate || loading}
+              disabled={!canNext || loading}
               aria-label="Next track"
             >
               <img
@@ -720,6 +1312,42 @@ const GlobalAudioPlayer = ({
               <span>Next</span>
             </button>
           </div>
+          <PlaybackModeToggles player={player} large />
+          <PlayerOutputControls player={player} large />
+          <SleepTimerMenu player={player} large />
+          <label
+            className="flex items-center gap-2 text-xs text-gray-300"
+            onClick={(e) => e.stopPropagation()}
+          >
+            Crossfade
+            <input
+              type="range"
+              min={0}
+              max={player?.maxCrossfade ?? 12}
+              step={1}
+              value={player?.crossfade ?? 0}
+              onChange={(e) => player?.setCrossfade(e.target.value)}
+              className="w-40 accent-amber-300"
+              aria-label="Crossfade duration in seconds"
+            />
+            <span className="w-8 tabular-nums">{player?.crossfade ? `${player.crossfade}s` : 'Off'}</span>
+          </label>
+          <button
+            type="button"
+            onClick={withStop(() => setShowQueue((v) => !v))}
+            className={`px-4 py-2 rounded border border-gray-600 hover:bg-gray-800 ${showQueue ? 'text-teal-300' : 'text-gray-200'}`}
+            aria-pressed={showQueue}
+          >
+            {showQueue ? 'Hide queue' : 'Show queue'}
+          </button>
+          <button
+            type="button"
+            onClick={withStop(() => setShowEqualizer((v) => !v))}
+            className={`px-4 py-2 rounded border border-gray-600 hover:bg-gray-800 ${showEqualizer ? 'text-teal-300' : 'text-gray-200'}`}
+            aria-pressed={showEqualizer}
+          >
+            {showEqualizer ? 'Hide equalizer' : 'Equalizer'}
+          </button>
           <button
             type="button"
             onClick={withStop(() => setIsFullscreen(false))}
@@ -730,6 +1358,9 @@ const GlobalAudioPlayer = ({
         </div>
       )}
 
+      {showQueue && <QueuePanel player={player} onClose={() => setShowQueue(false)} />}
+      {showEqualizer && <EqualizerPanel player={player} onClose={() => setShowEqualizer(false)} />}
+
       <div
         className="fixed bottom-0 left-0 right-0 z-40 bg-gray-900/95 border-t border-gray-800 text-white"
         onClick={() => setIsFullscreen(true)}
@@ -753,6 +1384,7 @@ const GlobalAudioPlayer = ({
               {track.artist || 'Unknown artist'}
               {track.album ? ` • ${track.album}` : ''}
             </div>
+            {resumeOffer && <div className="mt-1 text-[11px]">{resumeOffer}</div>}
             {loading && <div className="text-[11px] text-teal-300">Loading audio…</div>}
             {!loading && error && <div className="text-[11px] text-red-400">{error}</div>}
           </div>
@@ -760,18 +1392,33 @@ const GlobalAudioPlayer = ({
           {/* Centered progress line, absolutely positioned */}
           <div className="pointer-events-none hidden sm:block absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-sm px-10">
             <div className="flex flex-col items-center gap-1">
-              <div
-                className="relative w-full h-2 cursor-pointer"
-                onClick={handleSeek}
-                aria-label="Seek"
-                style={{ pointerEvents: 'auto' }}
-              >
-                <div className="absolute inset-y-0 left-0 rounded-full bg-gray-700" />
-                <div
-                  className="absolute inset-y-0 left-0 rounded-full bg-amber-200 transition-[width] duration-150"
-                  style={{ width: `${(progress || 0) * 100}%` }}
+              {peaks ? (
+                <Waveform
+                  peaks={peaks}
+                  progress={progress}
+                  onSeek={seekTo}
+                  height={20}
+                  className="pointer-events-auto"
                 />
-              </div>
+              ) : (
+                <div
+                  className="relative w-full h-2 cursor-pointer"
+                  onClick={handleSeek}
+                  aria-label="Seek"
+                  style={{ pointerEvents: 'auto' }}
+                >
+                  <div className="absolute inset-y-0 left-0 rounded-full bg-gray-700" />
+                  <div
+                    className="absolute inset-y-0 left-0 rounded-full bg-amber-200 transition-[width] duration-150"
+                    style={{ width: `${(progress || 0) * 100}%` }}
+                  />
+                </div>
+              )}
+              {timedComments.length > 0 && (
+                <div className="pointer-events-auto w-full">
+                  <CommentMarkers comments={timedComments} duration={duration} onSeek={seekToComment} />
+                </div>
+              )}
               <div className="text-[11px] text-gray-300 tabular-nums">
                 {Number.isFinite(duration) && duration > 0
                   ? `${Math.floor((progress * duration) / 60).toString().padStart(2, '0')}:${Math.floor((progress * duration) % 60).toString().padStart(2, '0')} / ${Math.floor(duration / 60).toString().padStart(2, '0')}:${Math.floor(duration % 60).toString().padStart(2, '0')}`
@@ -785,7 +1432,7 @@ const GlobalAudioPlayer = ({
               type="button"
               onClick={withStop(handlePrevClick)}
               className="px-2 py-1 text-sm text-gray-200 hover:bg-gray-800"
-              disabled={!canNavigate || loading}
+              disabled={!canPrevious || loading}
               aria-label="Previous track"
             >
               <img
@@ -807,7 +1454,7 @@ const GlobalAudioPlayer = ({
               type="button"
               onClick={withStop(onNext)}
               className="px-2 py-1 text-sm text-gray-200 hover:bg-gray-800"
-              disabled={!canNavigate || loading}
+              disabled={!canNext || loading}
               aria-label="Next track"
             >
               <img
@@ -819,6 +1466,21 @@ const GlobalAudioPlayer = ({
                 height="80"
               />
             </button>
+            <div className="hidden md:block">
+              <PlaybackModeToggles player={player} />
+            </div>
+            <div className="hidden lg:block">
+              <PlayerOutputControls player={player} />
+            </div>
+            <SleepTimerMenu player={player} />
+            <button
+              type="button"
+              onClick={withStop(() => setShowQueue((v) => !v))}
+              className={`rounded-full border border-gray-600 px-3 py-1 text-sm hover:bg-gray-800 ${showQueue ? 'text-teal-300' : 'text-gray-200'}`}
+              aria-pressed={showQueue}
+            >
+              Queue{player?.queueLength ? ` (${player.queueLength})` : ''}
+            </button>
             <button
               type="button"
               onClick={withStop(stop)}
@@ -828,7 +1490,6 @@ const GlobalAudioPlayer = ({
             </button>
           </div>
         </div>
-        <audio ref={audioRef} className="hidden" preload="metadata" />
       </div>
     </>
   )
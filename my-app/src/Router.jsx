@@ -11,6 +11,8 @@ import Profile from './pages/Profile'
 import Upload from './pages/Upload'
 import PasswordResetForm from './components/PasswordResetForm'
 import Playlist from './pages/Playlist'
+import Moderation from './pages/Moderation'
+import Search from './pages/Search'
 import Privacy from './pages/Privacy'
 import Terms from './pages/Terms'
 
@@ -46,7 +48,7 @@ const customAppearance = {
   Routing.jsx
   - Checks Supabase auth state on mount.
   - Shows the Auth UI when no session is present, otherwise redirects to /home.
-  - Exposes protected routes (Home, Profile, Upload) which rely on ProtectedRoute wrapper.
+  - Exposes protected routes (Home, Profile, Upload, Search, Moderation) which rely on ProtectedRoute wrapper.
 */
 const Routing = ({ player }) => {
   const [session, setSession] = useState(null)
@@ -164,6 +166,22 @@ const Routing = ({ player }) => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/search"
+          element={
+            <ProtectedRoute session={session} loading={loading}>
+              <Search session={session} player={player} />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/moderation"
+          element={
+            <ProtectedRoute session={session} loading={loading}>
+              <Moderation session={session} />
+            </ProtectedRoute>
+          }
+        />
         <Route path="/privacy" element={<Privacy />} />
         <Route path="/terms" element={<Terms />} />
       </Routes>
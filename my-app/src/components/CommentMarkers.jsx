@@ -0,0 +1,31 @@
+import { formatPlaybackTime } from '../utils/playbackPosition'
+
+/*
+  CommentMarkers.jsx
+  - Row of markers under the player's seek bar, one per timestamped comment.
+  - Hover shows who said what; clicking jumps playback to that moment.
+*/
+export default function CommentMarkers({ comments, duration, onSeek }) {
+  if (!comments?.length || !(duration > 0)) return null
+
+  return (
+    <div className="relative h-3 w-full" onClick={(e) => e.stopPropagation()}>
+      {comments.map((comment) => {
+        const at = Math.min(comment.timestamp_sec, duration)
+        const author = comment.profiles?.username || 'Anonymous'
+        const preview = comment.body.length > 80 ? `${comment.body.slice(0, 80)}…` : comment.body
+        return (
+          <button
+            key={comment.id}
+            type="button"
+            onClick={() => onSeek?.(at)}
+            className="absolute top-0 h-2.5 w-2.5 -translate-x-1/2 rounded-full border border-gray-900 bg-teal-300 hover:scale-125 hover:bg-teal-200 transition"
+            style={{ left: `${(at / duration) * 100}%` }}
+            title={`${author} at ${formatPlaybackTime(at)}: ${preview}`}
+            aria-label={`Comment by ${author} at ${formatPlaybackTime(at)}`}
+          />
+        )
+      })}
+    </div>
+  )
+}
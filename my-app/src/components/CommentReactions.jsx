@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import { COMMENT_REACTIONS, getCommentReactions } from '../utils/reactionUtils'
+
+/*
+  CommentReactions.jsx
+  - Emoji chips with counts under a comment; the viewer's own reactions are highlighted.
+  - Clicking a chip toggles it; the ☺+ button opens the rest of the fixed set.
+  - Without onToggle (signed out) the chips are read-only.
+*/
+export default function CommentReactions({ comment, onToggle }) {
+  const [pickerOpen, setPickerOpen] = useState(false)
+  const { counts, mine } = getCommentReactions(comment)
+  const shown = COMMENT_REACTIONS.filter((emoji) => counts[emoji] > 0 || mine.includes(emoji))
+
+  if (!shown.length && !onToggle) return null
+
+  const toggle = (emoji) => {
+    setPickerOpen(false)
+    onToggle?.(comment.id, emoji)
+  }
+
+  return (
+    <div className="relative flex flex-wrap items-center gap-1 mt-2">
+      {shown.map((emoji) => {
+        const reacted = mine.includes(emoji)
+        return (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => toggle(emoji)}
+            disabled={!onToggle}
+            aria-pressed={reacted}
+            className={`flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs tabular-nums transition ${
+              reacted
+                ? 'border-teal-400 bg-teal-500/20 text-teal-200'
+                : 'border-gray-700 bg-gray-800 text-gray-300 hover:bg-gray-700'
+            } disabled:cursor-default`}
+          >
+            <span>{emoji}</span>
+            <span>{counts[emoji] || 0}</span>
+          </button>
+        )
+      })}
+      {onToggle && (
+        <button
+          type="button"
+          onClick={() => setPickerOpen((open) => !open)}
+          className="rounded-full border border-gray-700 px-2 py-0.5 text-xs text-gray-400 hover:bg-gray-800 hover:text-white"
+          aria-label="Add a reaction"
+          aria-expanded={pickerOpen}
+        >
+          ☺+
+        </button>
+      )}
+      {pickerOpen && (
+        <div
+          className="absolute left-0 top-full z-30 mt-1 flex gap-1 rounded border border-gray-700 bg-gray-900 p-1 shadow-lg"
+          role="menu"
+        >
+          {COMMENT_REACTIONS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              role="menuitemcheckbox"
+              aria-checked={mine.includes(emoji)}
+              onClick={() => toggle(emoji)}
+              className={`rounded px-1.5 py-0.5 text-base hover:bg-gray-700 ${mine.includes(emoji) ? 'bg-gray-700' : ''}`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,94 @@
+import {
+  EQ_FREQUENCIES,
+  EQ_MIN_DB,
+  EQ_MAX_DB,
+  EQ_PRESETS,
+  CUSTOM_PRESET,
+  formatFrequency,
+} from '../utils/equalizer'
+import { isWebAudioSupported } from '../utils/audioGraph'
+
+/*
+  EqualizerPanel.jsx
+  - 10-band equalizer with presets, plus the loudness normalization toggle.
+  - Changes go through the player API and are saved with the listener's preferences.
+*/
+export default function EqualizerPanel({ player, onClose }) {
+  if (!player?.setEqGain) return null
+  const gains = player.eqGains || []
+  const supported = isWebAudioSupported()
+
+  const stop = (fn) => (e) => {
+    e.stopPropagation()
+    fn()
+  }
+
+  return (
+    <div
+      className="fixed bottom-20 left-2 sm:left-4 z-70 w-[min(28rem,calc(100vw-1rem))] rounded-lg border border-gray-700 bg-gray-900 text-white shadow-lg"
+      role="dialog"
+      aria-label="Equalizer"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+        <h3 className="text-sm font-semibold">Equalizer</h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={player.eqPreset}
+            onChange={(e) => player.setEqPreset(e.target.value)}
+            className="rounded border border-gray-600 bg-gray-900 px-2 py-1 text-xs text-gray-100"
+            aria-label="Equalizer preset"
+          >
+            {Object.entries(EQ_PRESETS).map(([key, preset]) => (
+              <option key={key} value={key}>{preset.label}</option>
+            ))}
+            {player.eqPreset === CUSTOM_PRESET && <option value={CUSTOM_PRESET} disabled>Custom</option>}
+          </select>
+          <button
+            type="button"
+            onClick={stop(onClose)}
+            className="px-2 text-gray-300 hover:text-white"
+            aria-label="Close equalizer"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="px-3 py-3 space-y-3">
+        {!supported && (
+          <p className="text-xs text-amber-300">This browser does not support Web Audio, so EQ and normalization are unavailable.</p>
+        )}
+        <div className="flex items-end justify-between gap-1">
+          {EQ_FREQUENCIES.map((frequency, band) => (
+            <label key={frequency} className="flex flex-col items-center gap-1 text-[10px] text-gray-400">
+              <span className="tabular-nums text-gray-300">{gains[band] > 0 ? `+${gains[band]}` : gains[band]}</span>
+              <input
+                type="range"
+                min={EQ_MIN_DB}
+                max={EQ_MAX_DB}
+                step={0.5}
+                value={gains[band] ?? 0}
+                onChange={(e) => player.setEqGain(band, e.target.value)}
+                className="h-24 w-4 accent-amber-300 [writing-mode:vertical-lr] [direction:rtl]"
+                aria-label={`${formatFrequency(frequency)} Hz`}
+                disabled={!supported}
+              />
+              <span>{formatFrequency(frequency)}</span>
+            </label>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-200">
+          <input
+            type="checkbox"
+            checked={Boolean(player.normalize)}
+            onChange={(e) => player.setNormalize(e.target.checked)}
+            disabled={!supported}
+          />
+          Normalize loudness
+          <span className="text-xs text-gray-400">(plays every track at a similar level)</span>
+        </label>
+      </div>
+    </div>
+  )
+}
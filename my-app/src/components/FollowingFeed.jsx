@@ -0,0 +1,93 @@
+import { useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import TrackCard from './TrackCard'
+
+/*
+  FollowingFeed.jsx
+  - Tracks and playlists from followed creators, newest first (useFollowingFeed).
+  - Items created since the previous visit to the tab carry a "New" label.
+  - Playing a track queues the feed's tracks only; playlists link to their page.
+*/
+export default function FollowingFeed({
+  feed,
+  player,
+  session,
+  expandedComments,
+  onToggleComments,
+  isTrackLiked,
+  onToggleLike,
+  trackStats,
+}) {
+  const tracks = useMemo(
+    () => feed.items.filter((item) => item.type === 'track').map((item) => item.track),
+    [feed.items],
+  )
+
+  if (feed.loading) return <div className="text-white">Loading the Following feed...</div>
+  if (feed.error) return null // shown by Home with a Retry button
+  if (feed.items.length === 0) {
+    return (
+      <div className="text-white bg-gray-800 p-6 rounded">
+        {feed.followingCount === 0
+          ? 'Follow creators from their profile to see their new tracks and playlists here.'
+          : 'The creators you follow have not posted anything public yet.'}
+      </div>
+    )
+  }
+
+  const isNew = (item) => Boolean(feed.lastSeenAt) && item.created_at > feed.lastSeenAt
+
+  return (
+    <>
+      <ul className="space-y-5">
+        {feed.items.map((item) => (
+          <li key={item.key} className="relative">
+            {isNew(item) && (
+              <span className="absolute -top-2 left-3 z-10 rounded bg-teal-500 px-2 py-0.5 text-xs font-semibold text-black">
+                New
+              </span>
+            )}
+            {item.type === 'track' ? (
+              <TrackCard
+                track={item.track}
+                idx={tracks.indexOf(item.track)}
+                trackList={tracks}
+                profileAvatar={null}
+                player={player}
+                session={session}
+                isOwn={false}
+                expandedComments={expandedComments}
+                onToggleComments={onToggleComments}
+                isTrackLiked={isTrackLiked}
+                onToggleLike={onToggleLike}
+                trackStats={trackStats}
+              />
+            ) : (
+              <Link
+                to={`/playlist?id=${item.playlist.id}`}
+                className="block bg-gray-800 hover:bg-gray-700 px-4 py-3 rounded transition"
+              >
+                <p className="text-xs uppercase tracking-wide text-teal-300">New playlist</p>
+                <p className="text-white font-semibold truncate mt-1">{item.playlist.title}</p>
+                <p className="text-xs text-gray-400 mt-1 truncate">
+                  {item.playlist.ownerProfile?.username ? `by ${item.playlist.ownerProfile.username}` : 'Playlist'}
+                  {item.playlist.description && ` • ${item.playlist.description}`}
+                </p>
+              </Link>
+            )}
+          </li>
+        ))}
+      </ul>
+      {feed.hasMore && (
+        <button
+          type="button"
+          onClick={feed.loadMore}
+          disabled={feed.loadingMore}
+          className="mt-4 w-full rounded bg-gray-800 py-2 text-sm text-teal-300 hover:bg-gray-700 disabled:opacity-60"
+        >
+          {feed.loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </>
+  )
+}
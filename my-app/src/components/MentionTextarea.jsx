@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef } from 'react'
+import { getMentionQuery, searchMentionCandidates } from '../utils/mentionUtils'
+
+const SEARCH_DELAY_MS = 200
+
+/*
+  MentionTextarea.jsx
+  - Textarea with "@username" autocomplete against profiles.
+  - ↑/↓ choose a suggestion, Enter or Tab inserts it, Escape closes the list.
+  - Other props are passed to the textarea; onChange receives the new value.
+*/
+export default function MentionTextarea({ value, onChange, className = '', ...props }) {
+  const textareaRef = useRef(null)
+  const [mention, setMention] = useState(null) // { query, start, caret } while typing "@..."
+  const [suggestions, setSuggestions] = useState([])
+  const [activeIndex, setActiveIndex] = useState(0)
+  const query = mention?.query || ''
+
+  useEffect(() => {
+    if (!query) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      searchMentionCandidates(query)
+        .then((profiles) => {
+          if (cancelled) return
+          setSuggestions(profiles)
+          setActiveIndex(0)
+        })
+        .catch((err) => {
+          console.warn('[MentionTextarea] Mention search failed:', err)
+        })
+    }, SEARCH_DELAY_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query])
+
+  const open = Boolean(query) && suggestions.length > 0
+
+  const close = () => {
+    setMention(null)
+    setSuggestions([])
+  }
+
+  const handleChange = (e) => {
+    const next = e.target.value
+    onChange(next)
+    const caret = e.target.selectionStart ?? next.length
+    const found = getMentionQuery(next, caret)
+    if (found?.query) {
+      setMention({ ...found, caret })
+    } else {
+      close()
+    }
+  }
+
+  const insert = (profile) => {
+    if (!mention || !profile?.username) return
+    const before = value.slice(0, mention.start)
+    const after = value.slice(mention.caret)
+    const inserted = `@${profile.username} `
+    onChange(`${before}${inserted}${after.replace(/^\s+/, '')}`)
+    close()
+    const caret = before.length + inserted.length
+    requestAnimationFrame(() => {
+      const el = textareaRef.current
+      if (!el) return
+      el.focus()
+      el.setSelectionRange(caret, caret)
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (open) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setActiveIndex((i) => (i + step + suggestions.length) % suggestions.length)
+        return
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        insert(suggestions[activeIndex])
+        return
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        close()
+        return
+      }
+    }
+    props.onKeyDown?.(e)
+  }
+
+  return (
+    <div className="relative">
+      <textarea
+        {...props}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={(e) => {
+          // Let a click on a suggestion land first
+          setTimeout(close, 150)
+          props.onBlur?.(e)
+        }}
+        className={className}
+        aria-autocomplete="list"
+        aria-expanded={open}
+      />
+      {open && (
+        <ul
+          className="absolute left-0 top-full z-30 mt-1 w-64 overflow-hidden rounded border border-gray-700 bg-gray-900 text-sm shadow-lg"
+          role="listbox"
+        >
+          {suggestions.map((profile, i) => (
+            <li key={profile.id} role="option" aria-selected={i === activeIndex}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => insert(profile)}
+                className={`flex w-full items-center gap-2 px-3 py-1.5 text-left ${i === activeIndex ? 'bg-gray-700' : 'hover:bg-gray-800'}`}
+              >
+                <img
+                  src={profile.avatar_url || '/images/default-avatar.png'}
+                  alt=""
+                  className="h-6 w-6 rounded-full object-cover"
+                  onError={(e) => { e.target.src = '/images/default-avatar.png' }}
+                />
+                <span className="truncate text-white">@{profile.username}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { supabase } from '../supabaseclient'
+import SearchBox from './SearchBox'
 
 const NavBar = ({ session, onSignOut }) => {
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false)
@@ -16,10 +17,12 @@ const NavBar = ({ session, onSignOut }) => {
     }
   })
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
+  const [isAdmin, setIsAdmin] = useState(false)
 
   useEffect(() => {
     if (!session?.user?.id) {
       setAvatarUrl(null)
+      setIsAdmin(false)
       try {
         sessionStorage.removeItem('navbar_avatar')
       } catch {
@@ -32,12 +35,13 @@ const NavBar = ({ session, onSignOut }) => {
       try {
         const { data, error } = await supabase
           .from('profiles')
-          .select('avatar_url')
+          .select('avatar_url, is_admin')
           .eq('id', session.user.id)
           .single()
         if (!error && isMounted) {
           const next = data?.avatar_url || null
           setAvatarUrl(next)
+          setIsAdmin(Boolean(data?.is_admin))
           try {
             sessionStorage.setItem(`navbar_avatar:${session.user.id}`, next || '')
           } catch {
@@ -79,6 +83,7 @@ const NavBar = ({ session, onSignOut }) => {
         <>
           {/* Desktop Navigation */}
           <div className="hidden sm:flex items-center gap-4">
+            <SearchBox className="w-40 md:w-64" />
             <Link to="/home" className="text-white hover:underline text-sm md:text-base">
               Home
             </Link>
@@ -88,6 +93,11 @@ const NavBar = ({ session, onSignOut }) => {
             <Link to="/upload" className="text-white hover:underline text-sm md:text-base">
               Upload
             </Link>
+            {isAdmin && (
+              <Link to="/moderation" className="text-white hover:underline text-sm md:text-base">
+                Moderation
+              </Link>
+            )}
 
             {/* Profile avatar (clickable to profile) */}
             <Link
@@ -149,6 +159,7 @@ const NavBar = ({ session, onSignOut }) => {
           {mobileMenuOpen && (
             <div className="absolute top-full left-0 right-0 bg-black bg-opacity-95 border-b border-gray-700 sm:hidden">
               <div className="flex flex-col gap-4 p-4">
+                <SearchBox onSearch={closeMobileMenu} />
                 <Link
                   to="/home"
                   onClick={closeMobileMenu}
@@ -170,6 +181,15 @@ const NavBar = ({ session, onSignOut }) => {
                 >
                   Manage uploads
                 </Link>
+                {isAdmin && (
+                  <Link
+                    to="/moderation"
+                    onClick={closeMobileMenu}
+                    className="text-white hover:text-teal-300 text-base font-medium"
+                  >
+                    Moderation
+                  </Link>
+                )}
                 <button
                   onClick={handleSignOutClick}
                   className="bg-green-500 text-black px-4 py-2 rounded text-base font-medium hover:bg-green-400 w-full"
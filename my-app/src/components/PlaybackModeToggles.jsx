@@ -0,0 +1,54 @@
+/*
+  PlaybackModeToggles.jsx
+  - Shuffle and repeat toggles for the global player (bar and fullscreen view).
+  - Repeat cycles off → all → one.
+*/
+const REPEAT_LABELS = {
+  off: 'Repeat off',
+  all: 'Repeat all',
+  one: 'Repeat one',
+}
+
+export default function PlaybackModeToggles({ player, large = false }) {
+  if (!player?.toggleShuffle) return null
+  const repeat = player.repeat || 'off'
+
+  const base = large
+    ? 'px-3 py-2 rounded border text-sm'
+    : 'px-2 py-1 rounded-full border text-xs'
+  const stateClass = (active) =>
+    active
+      ? 'border-teal-400 text-teal-300 bg-teal-500/10'
+      : 'border-gray-600 text-gray-300 hover:bg-gray-800'
+
+  const withStop = (fn) => (e) => {
+    e.stopPropagation()
+    fn()
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        type="button"
+        onClick={withStop(player.toggleShuffle)}
+        className={`${base} ${stateClass(player.shuffle)}`}
+        aria-pressed={Boolean(player.shuffle)}
+        aria-label={player.shuffle ? 'Shuffle on' : 'Shuffle off'}
+        title={player.shuffle ? 'Shuffle on' : 'Shuffle off'}
+      >
+        🔀{large && <span className="ml-1">Shuffle</span>}
+      </button>
+      <button
+        type="button"
+        onClick={withStop(player.cycleRepeat)}
+        className={`${base} ${stateClass(repeat !== 'off')}`}
+        aria-pressed={repeat !== 'off'}
+        aria-label={REPEAT_LABELS[repeat]}
+        title={REPEAT_LABELS[repeat]}
+      >
+        {repeat === 'one' ? '🔂' : '🔁'}
+        {large && <span className="ml-1">{REPEAT_LABELS[repeat]}</span>}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react'
+import { postComment } from '../utils/commentUtils'
+import { checkRateLimit, validateCommentText } from '../utils/securityUtils'
+import { COMMENT_RATE_LIMIT_MS } from '../hooks/useComments'
+import { formatPlaybackTime } from '../utils/playbackPosition'
+
+/*
+  PlayerCommentForm.jsx
+  - Comment box in the fullscreen player; the comment is pinned to the playback position
+    at the moment it is posted (getCurrentTime), and shows up as a seek bar marker.
+*/
+export default function PlayerCommentForm({ trackId, session, getCurrentTime }) {
+  const [text, setText] = useState('')
+  const [posting, setPosting] = useState(false)
+  const [error, setError] = useState(null)
+  const [postedAt, setPostedAt] = useState(null)
+
+  if (!trackId) return null
+  if (!session?.user?.id) {
+    return <p className="text-xs text-gray-400">Sign in to comment on this moment</p>
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    setError(null)
+    setPostedAt(null)
+    const validation = validateCommentText(text)
+    if (!validation.isValid) {
+      setError(validation.error)
+      return
+    }
+    // Same limit (and key) as the comment list, so the two cannot be used to double-post
+    const { canProceed, remainingMs } = checkRateLimit(`comment_${trackId}`, COMMENT_RATE_LIMIT_MS)
+    if (!canProceed) {
+      setError(`Please wait ${Math.ceil(remainingMs / 1000)} seconds before posting another comment`)
+      return
+    }
+    const timestampSec = getCurrentTime?.() ?? null
+    setPosting(true)
+    try {
+      await postComment(trackId, validation.text, { timestampSec })
+      setText('')
+      setPostedAt(timestampSec)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPosting(false)
+    }
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onClick={(e) => e.stopPropagation()}
+      className="w-full max-w-2xl space-y-1"
+    >
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={5000}
+          placeholder="Comment on this moment…"
+          className="flex-1 rounded border border-gray-700 bg-gray-800 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-teal-400"
+          aria-label="Comment at the current playback time"
+        />
+        <button
+          type="submit"
+          disabled={posting || !text.trim()}
+          className="rounded bg-teal-500 px-3 py-2 text-sm font-semibold text-black hover:bg-teal-400 disabled:opacity-60"
+        >
+          {posting ? 'Posting…' : 'Post'}
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {postedAt != null && !error && (
+        <p className="text-xs text-teal-300">Comment pinned at {formatPlaybackTime(postedAt)}</p>
+      )}
+    </form>
+  )
+}
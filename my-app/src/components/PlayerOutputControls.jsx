@@ -0,0 +1,54 @@
+/*
+  PlayerOutputControls.jsx
+  - Mute toggle, volume slider and playback speed for the global player.
+  - Values live in the player API (usePlayerPreferences) and are saved per user.
+*/
+const formatRate = (rate) => `${Number(rate)}x`
+
+export default function PlayerOutputControls({ player, large = false }) {
+  if (!player?.setVolume) return null
+  const { volume = 1, muted = false, playbackRate = 1, playbackRates = [1] } = player
+  const silent = muted || volume === 0
+  const icon = silent ? '🔇' : volume < 0.5 ? '🔉' : '🔊'
+
+  return (
+    <div
+      className={`flex items-center ${large ? 'gap-3 text-sm' : 'gap-2 text-xs'}`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <button
+        type="button"
+        onClick={player.toggleMute}
+        className={`${large ? 'px-3 py-2 rounded border' : 'px-2 py-1 rounded-full border'} border-gray-600 text-gray-200 hover:bg-gray-800`}
+        aria-pressed={muted}
+        aria-label={muted ? 'Unmute' : 'Mute'}
+        title={muted ? 'Unmute' : 'Mute'}
+      >
+        {icon}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.01}
+        value={muted ? 0 : volume}
+        onChange={(e) => player.setVolume(e.target.value)}
+        className={`${large ? 'w-40' : 'w-20'} accent-amber-300`}
+        aria-label="Volume"
+      />
+      <label className="flex items-center gap-1 text-gray-300">
+        {large && <span>Speed</span>}
+        <select
+          value={playbackRate}
+          onChange={(e) => player.setPlaybackRate(e.target.value)}
+          className="rounded border border-gray-600 bg-gray-900 px-1 py-0.5 text-gray-100"
+          aria-label="Playback speed"
+        >
+          {playbackRates.map((rate) => (
+            <option key={rate} value={rate}>{formatRate(rate)}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+import { getPublicStorageUrl } from '../supabaseclient'
+
+/*
+  QueuePanel.jsx
+  - Lists the global play queue with the current entry highlighted.
+  - Lets the listener jump to, reorder and remove entries through the player API.
+*/
+export default function QueuePanel({ player, onClose }) {
+  const entries = player?.queue || []
+  const currentIndex = player?.queueIndex ?? 0
+  const upcomingCount = Math.max(entries.length - currentIndex - 1, 0)
+
+  const stop = (fn) => (e) => {
+    e.stopPropagation()
+    fn()
+  }
+
+  return (
+    <div
+      className="fixed bottom-20 right-2 sm:right-4 z-70 w-[min(24rem,calc(100vw-1rem))] max-h-[60vh] flex flex-col rounded-lg border border-gray-700 bg-gray-900 text-white shadow-lg"
+      role="dialog"
+      aria-label="Play queue"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+        <div>
+          <h3 className="text-sm font-semibold">Queue</h3>
+          <p className="text-[11px] text-gray-400">
+            {entries.length} {entries.length === 1 ? 'track' : 'tracks'} • {upcomingCount} up next
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={stop(() => player.clearQueue())}
+            className="text-xs text-teal-300 hover:underline disabled:opacity-50 disabled:no-underline"
+            disabled={upcomingCount === 0}
+          >
+            Clear upcoming
+          </button>
+          <button
+            type="button"
+            onClick={stop(onClose)}
+            className="px-2 text-gray-300 hover:text-white"
+            aria-label="Close queue"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="px-3 py-4 text-sm text-gray-400">The queue is empty.</div>
+      ) : (
+        <ol className="overflow-y-auto divide-y divide-gray-800">
+          {entries.map((entry, position) => {
+            const { track } = entry
+            const isCurrent = position === currentIndex
+            const cover =
+              getPublicStorageUrl('track-images', track.image_path) ||
+              track.profiles?.avatar_url ||
+              '/images/default-avatar.png'
+            return (
+              <li
+                key={entry.qid}
+                className={`flex items-center gap-2 px-3 py-2 text-xs ${isCurrent ? 'bg-teal-500/15' : 'hover:bg-gray-800'}`}
+              >
+                <button
+                  type="button"
+                  onClick={stop(() => player.playFromQueue(position))}
+                  className="flex min-w-0 flex-1 items-center gap-2 text-left"
+                  aria-current={isCurrent ? 'true' : undefined}
+                  title={isCurrent ? 'Now playing' : 'Play this track'}
+                >
+                  <img
+                    src={cover}
+                    alt=""
+                    className="h-8 w-8 shrink-0 rounded object-cover"
+                    width="32"
+                    height="32"
+                    decoding="async"
+                    loading="lazy"
+                    onError={(e) => { e.target.src = '/images/default-avatar.png' }}
+                  />
+                  <span className="min-w-0">
+                    <span className={`block truncate font-semibold ${isCurrent ? 'text-teal-300' : ''}`}>
+                      {track.title || 'Untitled track'}
+                    </span>
+                    <span className="block truncate text-gray-400">{track.artist || 'Unknown artist'}</span>
+                  </span>
+                </button>
+                <div className="flex shrink-0 items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={stop(() => player.moveInQueue(position, position - 1))}
+                    className="px-1 text-gray-300 hover:text-white disabled:opacity-30"
+                    disabled={position === 0}
+                    aria-label="Move up"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    type="button"
+                    onClick={stop(() => player.moveInQueue(position, position + 1))}
+                    className="px-1 text-gray-300 hover:text-white disabled:opacity-30"
+                    disabled={position === entries.length - 1}
+                    aria-label="Move down"
+                  >
+                    ▼
+                  </button>
+                  {!isCurrent && (
+                    <button
+                      type="button"
+                      onClick={stop(() => player.removeFromQueue(entry.qid))}
+                      className="px-1 text-red-400 hover:text-red-300"
+                      aria-label="Remove from queue"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </div>
+  )
+}
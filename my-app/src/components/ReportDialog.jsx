@@ -0,0 +1,122 @@
+import { useEffect, useState } from 'react'
+import { REPORT_REASONS, reportContent } from '../utils/moderationUtils'
+
+/*
+  ReportDialog.jsx
+  - Report a comment or a track to the moderators: a reason category plus optional details.
+  - Closes on Escape, the close button or a click outside; shows a confirmation once sent.
+*/
+export default function ReportDialog({ targetType, targetId, targetLabel, onClose }) {
+  const [reason, setReason] = useState('')
+  const [details, setDetails] = useState('')
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState(null)
+  const [sent, setSent] = useState(false)
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose?.()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+    setSending(true)
+    try {
+      await reportContent({ targetType, targetId, reason, details })
+      setSent(true)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-80 bg-black/70 flex items-center justify-center px-4"
+      onClick={onClose}
+    >
+      <div
+        className="w-full max-w-md rounded-lg border border-gray-700 bg-gray-900 text-white shadow-lg"
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Report ${targetType}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+          <h2 className="text-sm font-semibold truncate">
+            Report {targetType}{targetLabel ? `: ${targetLabel}` : ''}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-2 text-gray-300 hover:text-white"
+            aria-label="Close report dialog"
+          >
+            ✕
+          </button>
+        </div>
+
+        {sent ? (
+          <div className="px-4 py-4 space-y-3">
+            <p className="text-sm text-emerald-400">Thanks — the moderators will review this {targetType}.</p>
+            <button
+              type="button"
+              onClick={onClose}
+              className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+            >
+              Close
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="px-4 py-3 space-y-3">
+            <fieldset className="space-y-1">
+              <legend className="text-xs uppercase tracking-wide text-gray-400 mb-2">Reason</legend>
+              {REPORT_REASONS.map((r) => (
+                <label key={r.id} className="flex items-center gap-2 text-sm text-gray-200">
+                  <input
+                    type="radio"
+                    name="report-reason"
+                    value={r.id}
+                    checked={reason === r.id}
+                    onChange={() => setReason(r.id)}
+                  />
+                  {r.label}
+                </label>
+              ))}
+            </fieldset>
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              maxLength={1000}
+              rows={3}
+              placeholder="Details (optional)"
+              className="w-full p-2 rounded bg-gray-800 text-white border border-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-400 resize-none text-sm"
+            />
+            {error && <p className="text-xs text-red-400">{error}</p>}
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!reason || sending}
+                className="bg-red-500 text-white px-3 py-1 rounded text-sm font-semibold hover:bg-red-400 disabled:opacity-60"
+              >
+                {sending ? 'Sending…' : 'Send report'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
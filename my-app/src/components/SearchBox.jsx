@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { normalizeSearchQuery, searchUrl } from '../utils/searchUtils'
+
+const SEARCH_DELAY_MS = 300
+
+/*
+  SearchBox.jsx
+  - NavBar search field (type="search", so the "/" shortcut focuses it).
+  - Typing opens /search?q=... after a short pause; Enter searches right away (and calls onSearch).
+  - On the results page it follows the URL (back/forward) and keeps the active tab.
+*/
+export default function SearchBox({ className = '', onSearch }) {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const onSearchPage = location.pathname === '/search'
+  const params = new URLSearchParams(location.search)
+  const urlQuery = onSearchPage ? normalizeSearchQuery(params.get('q')) : ''
+  const urlType = onSearchPage ? params.get('type') || 'tracks' : 'tracks'
+  const [value, setValue] = useState(urlQuery)
+  const timerRef = useRef(null)
+
+  // Follow the URL (back/forward, shared links) without eating a trailing space being typed
+  useEffect(() => {
+    setValue((prev) => (normalizeSearchQuery(prev) === urlQuery ? prev : urlQuery))
+  }, [urlQuery])
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  const go = (next) => {
+    clearTimeout(timerRef.current)
+    const query = normalizeSearchQuery(next)
+    if (!query || (onSearchPage && query === urlQuery)) return
+    // While refining a search, replace the entry so Back leaves the results page
+    navigate(searchUrl(query, urlType), { replace: onSearchPage })
+  }
+
+  return (
+    <form
+      role="search"
+      onSubmit={(e) => {
+        e.preventDefault()
+        go(value)
+        onSearch?.()
+      }}
+      className={className}
+    >
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => {
+          const next = e.target.value
+          setValue(next)
+          clearTimeout(timerRef.current)
+          timerRef.current = setTimeout(() => go(next), SEARCH_DELAY_MS)
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') e.currentTarget.blur()
+        }}
+        maxLength={100}
+        placeholder="Search tracks, playlists, people"
+        aria-label="Search"
+        className="w-full rounded bg-gray-800 px-3 py-1 text-sm text-white placeholder-gray-400 border border-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-400"
+      />
+    </form>
+  )
+}
@@ -0,0 +1,62 @@
+import { useEffect } from 'react'
+import { SHORTCUTS, SHORTCUT_GROUPS } from '../utils/shortcuts'
+
+/*
+  ShortcutHelp.jsx
+  - Overlay listing every keyboard shortcut from the registry, grouped.
+  - Opened with "?"; closes on Escape, the close button or a click outside.
+*/
+export default function ShortcutHelp({ onClose }) {
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose?.()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose])
+
+  return (
+    <div
+      className="fixed inset-0 z-80 bg-black/70 flex items-center justify-center px-4"
+      onClick={onClose}
+    >
+      <div
+        className="w-full max-w-md rounded-lg border border-gray-700 bg-gray-900 text-white shadow-lg"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+          <h2 className="text-sm font-semibold">Keyboard shortcuts</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-2 text-gray-300 hover:text-white"
+            aria-label="Close keyboard shortcuts"
+          >
+            ✕
+          </button>
+        </div>
+        <div className="px-4 py-3 space-y-4 max-h-[70vh] overflow-y-auto">
+          {SHORTCUT_GROUPS.map((group) => (
+            <section key={group}>
+              <h3 className="text-xs uppercase tracking-wide text-gray-400 mb-2">{group}</h3>
+              <ul className="space-y-1">
+                {SHORTCUTS.filter((s) => s.group === group).map((s) => (
+                  <li key={s.id} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-200">{s.label}</span>
+                    <kbd className="min-w-[2rem] text-center rounded border border-gray-600 bg-gray-800 px-2 py-0.5 text-xs text-gray-100">
+                      {s.display}
+                    </kbd>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+          <p className="text-[11px] text-gray-500">Shortcuts are paused while you type in a text field.</p>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import { Suspense, lazy } from 'react'
 import { Link } from 'react-router-dom'
 import { getPublicStorageUrl } from '../supabaseclient'
+import { getTrackStats } from '../utils/trackStats'
 
 const AddToPlaylist = lazy(() => import('./AddToPlaylist'))
 
@@ -12,7 +13,7 @@ export default function SidebarLikedTracks({
   session,
   isTrackLiked,
   onToggleLike,
-  likeCounts,
+  trackStats,
   title = 'Liked Tracks',
 }) {
   if (loading) return <aside className="bg-gray-900 bg-opacity-80 p-4 rounded"><div className="text-gray-400 text-sm">Loading...</div></aside>
@@ -48,9 +49,7 @@ export default function SidebarLikedTracks({
             }
           }
           const trackIsLiked = isTrackLiked(track.id)
-          const totalLikes = likeCounts
-            ? (likeCounts instanceof Map ? likeCounts.get(track.id) : likeCounts[track.id]) || 0
-            : 0
+          const stats = getTrackStats(trackStats, track.id)
 
           return (
             <div key={track.id} className="bg-gray-800 bg-opacity-60 p-2 rounded hover:bg-opacity-80 transition text-xs">
@@ -89,7 +88,7 @@ export default function SidebarLikedTracks({
                     {track.profiles?.username || 'Anonymous'}
                   </Link>
                   <p className="text-gray-500 text-xs mt-1">
-                    🎵 {track.play_count || 0} plays{likeCounts ? ` • ❤️ ${totalLikes} likes` : ''}
+                    🎵 {stats?.plays ?? track.play_count ?? 0} plays{stats ? ` • ❤️ ${stats.likes} likes` : ''}
                   </p>
                 </div>
               </div>
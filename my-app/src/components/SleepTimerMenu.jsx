@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react'
+import { formatPlaybackTime } from '../utils/playbackPosition'
+
+/*
+  SleepTimerMenu.jsx
+  - Sleep timer button for the global player with presets, a custom duration and
+    "stop after this track"; shows the remaining time while a timer runs.
+  - Stopping itself (fade-out, then the player's stop action) happens in useSleepTimer.
+*/
+export default function SleepTimerMenu({ player, large = false }) {
+  const [open, setOpen] = useState(false)
+  const [custom, setCustom] = useState('')
+  const [error, setError] = useState(null)
+  const [now, setNow] = useState(() => Date.now())
+  const timer = player?.sleepTimer || { mode: 'off', endsAt: null }
+
+  // Refresh the countdown once a second while a timer runs
+  useEffect(() => {
+    if (timer.mode !== 'timer') return
+    const id = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(id)
+  }, [timer.mode])
+
+  if (!player?.startSleepTimer) return null
+
+  const remainingSec = timer.mode === 'timer' ? Math.max(0, (timer.endsAt - now) / 1000) : 0
+  const status = timer.mode === 'timer'
+    ? formatPlaybackTime(remainingSec)
+    : timer.mode === 'track' ? 'End of track' : null
+
+  const choose = (fn) => (e) => {
+    e.stopPropagation()
+    fn()
+    setError(null)
+    setOpen(false)
+  }
+
+  const startCustom = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    if (!player.startSleepTimer(Number(custom))) {
+      setError('Enter a duration between 1 and 720 minutes.')
+      return
+    }
+    setNow(Date.now())
+    setCustom('')
+    setError(null)
+    setOpen(false)
+  }
+
+  return (
+    <div className="relative" onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className={`${large ? 'px-4 py-2 rounded border' : 'px-2 py-1 rounded-full border text-xs'} border-gray-600 hover:bg-gray-800 ${status ? 'text-teal-300' : 'text-gray-200'}`}
+        aria-expanded={open}
+        aria-label={status ? `Sleep timer: ${status}` : 'Sleep timer'}
+        title="Sleep timer"
+      >
+        🌙{(large || status) && <span className="ml-1 tabular-nums">{status || 'Sleep timer'}</span>}
+      </button>
+      {open && (
+        <div
+          className="absolute bottom-full mb-2 left-1/2 -translate-x-1/2 z-70 w-56 rounded-lg border border-gray-700 bg-gray-900 p-3 text-sm text-white shadow-lg space-y-2"
+          role="dialog"
+          aria-label="Sleep timer"
+        >
+          <div className="grid grid-cols-3 gap-1">
+            {(player.sleepPresets || []).map((minutes) => (
+              <button
+                key={minutes}
+                type="button"
+                onClick={choose(() => {
+                  player.startSleepTimer(minutes)
+                  setNow(Date.now())
+                })}
+                className="rounded border border-gray-700 px-2 py-1 hover:bg-gray-800"
+              >
+                {minutes}m
+              </button>
+            ))}
+          </div>
+          <form onSubmit={startCustom} className="flex items-center gap-1">
+            <input
+              type="number"
+              min={1}
+              max={720}
+              value={custom}
+              onChange={(e) => setCustom(e.target.value)}
+              placeholder="Minutes"
+              className="w-full rounded border border-gray-700 bg-gray-800 px-2 py-1 text-white"
+              aria-label="Custom sleep timer in minutes"
+            />
+            <button type="submit" className="rounded bg-teal-600 px-2 py-1 hover:bg-teal-500">Set</button>
+          </form>
+          {error && <p className="text-xs text-red-400">{error}</p>}
+          <button
+            type="button"
+            onClick={choose(player.stopAfterCurrentTrack)}
+            className={`w-full rounded border border-gray-700 px-2 py-1 text-left hover:bg-gray-800 ${timer.mode === 'track' ? 'text-teal-300' : ''}`}
+          >
+            Stop after this track
+          </button>
+          {timer.mode !== 'off' && (
+            <button
+              type="button"
+              onClick={choose(player.cancelSleepTimer)}
+              className="w-full rounded px-2 py-1 text-left text-gray-400 hover:text-white"
+            >
+              Turn off sleep timer
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
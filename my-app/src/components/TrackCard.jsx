@@ -1,9 +1,15 @@
-import { Suspense, lazy } from 'react'
+import { Suspense, lazy, useState } from 'react'
 import { Link } from 'react-router-dom'
 import { getPublicStorageUrl } from '../supabaseclient'
+import { getTrackPeaks } from '../utils/waveform'
+import { getTrackStats } from '../utils/trackStats'
+import { usePlaybackProgress } from '../hooks/usePlaybackProgress'
+import Waveform from './Waveform'
+import TrackProcessingStatus from './TrackProcessingStatus'
 
 const AddToPlaylist = lazy(() => import('./AddToPlaylist'))
 const TrackComments = lazy(() => import('./TrackComments'))
+const ReportDialog = lazy(() => import('./ReportDialog'))
 
 const formatDaysAgo = (value) => {
   if (!value) return 'Unknown date'
@@ -30,7 +36,7 @@ export default function TrackCard({
   onToggleComments,
   isTrackLiked,
   onToggleLike,
-  likeCounts,
+  trackStats,
 }) {
   const avatarSrc = track.profiles?.avatar_url || profileAvatar || '/images/default-avatar.png'
   const coverSrc =
@@ -41,10 +47,14 @@ export default function TrackCard({
 
   const isActive = player?.currentTrack?.id === track.id
   const isBusy = isActive && player?.loading
-  const canPlay = Boolean(track.audio_path)
+  const canPlay = Boolean(track.audio_path) && track.processing_status !== 'failed' // rejected files are deleted
   const playbackLabel = isActive ? (isBusy ? 'Loading...' : player?.isPlaying ? 'Pause' : 'Resume') : 'Play'
   const formatAge = formatDaysAgoProp || formatDaysAgo
   const playlist = Array.isArray(trackList) && trackList.length > 0 ? trackList : [track]
+  const peaks = getTrackPeaks(track)
+  const progress = usePlaybackProgress(player, isActive && Boolean(peaks))
+  const [reporting, setReporting] = useState(false)
+  const canReport = Boolean(session?.user?.id && track.user_id) && track.user_id !== session.user.id
 
   const handlePlayback = () => {
     if (!player || !canPlay) return
@@ -55,11 +65,26 @@ export default function TrackCard({
     }
   }
 
+  // Clicking the waveform seeks the current track, or starts this one from that point
+  const handleWaveformSeek = (fraction) => {
+    if (!player || !canPlay) return
+    if (isActive && player.seek?.(fraction)) return
+    player.playTrack(track, playlist, { startFraction: fraction })
+  }
+
+  // Timestamped comments: jump within the current track, or start this one at that moment
+  const handleCommentJump = (seconds) => {
+    if (!player || !canPlay) return
+    if (isActive && player.seekToTime?.(seconds)) return
+    player.playTrack(track, playlist, { startTime: seconds })
+  }
+  const getCurrentTime = isActive && player?.getPosition ? () => player.getPosition().currentTime : null
+
+  const canQueue = canPlay && typeof player?.addToQueue === 'function'
+
   const trackIsLiked = isTrackLiked ? isTrackLiked(track.id) : false
-  const totalLikes =
-    likeCounts && track.id != null
-      ? (likeCounts instanceof Map ? likeCounts.get(track.id) : likeCounts[track.id]) || 0
-      : 0
+  const stats = getTrackStats(trackStats, track.id)
+  const plays = stats?.plays ?? track.play_count ?? 0
 
   return (
     <div>
@@ -136,6 +161,7 @@ export default function TrackCard({
                     {track.is_public ? 'Public' : 'Private'}
                   </span>
                 )}
+                <TrackProcessingStatus track={track} />
               </div>
             </div>
 
@@ -154,11 +180,12 @@ export default function TrackCard({
                   {track.is_public ? 'Public' : 'Private'}
                 </span>
               )}
+              <TrackProcessingStatus track={track} />
               <span className="text-gray-500">
-                • 🎵 {track.play_count || 0} plays
-                {likeCounts && <>
+                • 🎵 {plays} plays
+                {stats && <>
                   {' '}
-                  • ❤️ {totalLikes} likes
+                  • ❤️ {stats.likes} likes
                 </>}
               </span>
             </div>
@@ -166,16 +193,26 @@ export default function TrackCard({
             {/* Desktop-only: plays under artist/album */}
             <div className="hidden md:flex flex-wrap items-center gap-2 text-xs">
               <span className="text-gray-500">
-                • 🎵 {track.play_count || 0} plays
-                {likeCounts && <>
+                • 🎵 {plays} plays
+                {stats && <>
                   {' '}
-                  • ❤️ {totalLikes} likes
+                  • ❤️ {stats.likes} likes
                 </>}
               </span>
             </div>
           </div>
         </div>
 
+        {peaks && (
+          <Waveform
+            peaks={peaks}
+            progress={progress}
+            onSeek={canPlay ? handleWaveformSeek : undefined}
+            height={36}
+            label={`Seek in ${track.title || 'track'}`}
+          />
+        )}
+
         {/* Bottom row: playback, like and add-to-playlist buttons */}
         <div className="flex flex-wrap items-center gap-2 md:justify-end">
           {canPlay ? (
@@ -193,7 +230,29 @@ export default function TrackCard({
               )}
             </>
           ) : (
-            <span className="text-red-400">Audio unavailable</span>
+            <span className="text-red-400">
+              {track.processing_status === 'failed' ? track.processing_error || 'Audio rejected' : 'Audio unavailable'}
+            </span>
+          )}
+          {canQueue && !isActive && (
+            <>
+              <button
+                type="button"
+                onClick={() => player.playNext(track)}
+                className="bg-gray-700 text-white px-2.5 py-1.5 rounded-lg text-sm hover:bg-gray-600"
+                title="Play after the current track"
+              >
+                Play next
+              </button>
+              <button
+                type="button"
+                onClick={() => player.addToQueue(track)}
+                className="bg-gray-700 text-white px-2.5 py-1.5 rounded-lg text-sm hover:bg-gray-600"
+                title="Add to the end of the queue"
+              >
+                + Queue
+              </button>
+            </>
           )}
           <button
             type="button"
@@ -211,13 +270,39 @@ export default function TrackCard({
               buttonClassName="bg-gray-700 text-white px-2.5 py-1.5 rounded-lg text-sm hover:bg-gray-600"
             />
           </Suspense>
+          {canReport && (
+            <button
+              type="button"
+              onClick={() => setReporting(true)}
+              className="bg-gray-700 text-gray-300 px-2.5 py-1.5 rounded-lg text-sm hover:bg-gray-600 hover:text-red-300"
+              title="Report this track to the moderators"
+            >
+              Report
+            </button>
+          )}
         </div>
       </div>
 
+      {reporting && (
+        <Suspense fallback={null}>
+          <ReportDialog
+            targetType="track"
+            targetId={track.id}
+            targetLabel={track.title}
+            onClose={() => setReporting(false)}
+          />
+        </Suspense>
+      )}
+
       {expandedComments === track.id && (
         <div className="card-subtle p-4 rounded-b-xl mt-0 border-t border-gray-800">
           <Suspense fallback={<div className="text-gray-400 text-sm">Loading comments…</div>}>
-            <TrackComments trackId={track.id} session={session} />
+            <TrackComments
+              trackId={track.id}
+              session={session}
+              onJumpTo={canPlay ? handleCommentJump : undefined}
+              getCurrentTime={getCurrentTime}
+            />
           </Suspense>
         </div>
       )}
@@ -227,7 +312,7 @@ export default function TrackCard({
         onClick={() => onToggleComments(expandedComments === track.id ? null : track.id)}
         className="text-xs text-teal-300 hover:underline mt-3 block"
       >
-        {expandedComments === track.id ? 'Hide comments' : 'View comments'}
+        {expandedComments === track.id ? 'Hide comments' : `View comments${stats?.comments ? ` (${stats.comments})` : ''}`}
       </button>
     </div>
   )
@@ -2,14 +2,61 @@ import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useComments } from '../hooks/useComments'
 import { validateCommentText } from '../utils/securityUtils'
+import { formatPlaybackTime } from '../utils/playbackPosition'
+import { splitMentions } from '../utils/mentionUtils'
+import MentionTextarea from './MentionTextarea'
+import ReportDialog from './ReportDialog'
+import CommentReactions from './CommentReactions'
 
-const TrackComments = ({ trackId, session }) => {
+const COLLAPSE_REPLIES_OVER = 3 // longer threads start collapsed
+
+// Comment text with resolved @mentions as profile links
+const CommentBody = ({ comment, onProfileClick }) => (
+  <p className="text-gray-200 mt-2 wrap-break-word whitespace-pre-wrap">
+    {splitMentions(comment.body, comment.mentions).map((part, i) => (
+      part.userId ? (
+        <button
+          key={i}
+          type="button"
+          onClick={() => onProfileClick(part.userId)}
+          className="text-teal-300 hover:underline"
+        >
+          {part.text}
+        </button>
+      ) : (
+        <span key={i}>{part.text}</span>
+      )
+    ))}
+  </p>
+)
+
+// getCurrentTime is passed while this track is in the player, so comments can be pinned
+// to the playback position; onJumpTo(seconds) plays from a comment's timestamp.
+// Comments are threaded one level deep; replying to a reply answers in the same thread.
+const TrackComments = ({ trackId, session, onJumpTo, getCurrentTime }) => {
   const navigate = useNavigate()
-  const { comments, loading, error, posting, addComment, removeComment, editComment } = useComments(trackId)
+  const {
+    comments,
+    loading,
+    loadingMore,
+    hasMore,
+    error,
+    posting,
+    addComment,
+    removeComment,
+    editComment,
+    toggleReaction,
+    loadMore,
+  } = useComments(trackId, session?.user?.id)
   const [commentText, setCommentText] = useState('')
   const [editingId, setEditingId] = useState(null)
   const [editingText, setEditingText] = useState('')
   const [validationError, setValidationError] = useState(null)
+  const [pinToTime, setPinToTime] = useState(true)
+  const [replyTo, setReplyTo] = useState(null) // { threadId, commentId }
+  const [replyText, setReplyText] = useState('')
+  const [openThreads, setOpenThreads] = useState({}) // threadId -> expanded, when toggled
+  const [reporting, setReporting] = useState(null) // comment being reported
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -27,12 +74,44 @@ const TrackComments = ({ trackId, session }) => {
       return
     }
 
-    const success = await addComment(validation.text)
+    const timestampSec = pinToTime && getCurrentTime ? getCurrentTime() : null
+    const success = await addComment(validation.text, { timestampSec })
     if (success) {
       setCommentText('')
     }
   }
 
+  const startReply = (threadId, comment) => {
+    setValidationError(null)
+    setReplyTo({ threadId, commentId: comment.id })
+    // Replying to a reply: address its author, since the thread itself stays one level deep
+    const author = comment.profiles?.username
+    setReplyText(comment.id !== threadId && author && !/\s/.test(author) ? `@${author} ` : '')
+    setOpenThreads((prev) => ({ ...prev, [threadId]: true }))
+  }
+
+  const cancelReply = () => {
+    setReplyTo(null)
+    setReplyText('')
+  }
+
+  const handleReplySubmit = async (e) => {
+    e.preventDefault()
+    setValidationError(null)
+    if (!replyTo) return
+
+    const validation = validateCommentText(replyText)
+    if (!validation.isValid) {
+      setValidationError(validation.error)
+      return
+    }
+
+    const success = await addComment(validation.text, { parentId: replyTo.threadId })
+    if (success) cancelReply()
+  }
+
+  const isThreadOpen = (thread) => openThreads[thread.id] ?? thread.replies.length <= COLLAPSE_REPLIES_OVER
+
   const handleEditSubmit = async (commentId) => {
     setValidationError(null)
 
@@ -74,9 +153,167 @@ const TrackComments = ({ trackId, session }) => {
     return date.toLocaleDateString()
   }
 
+  const totalComments = comments.reduce(
+    (sum, thread) => sum + (thread.deleted_at ? 0 : 1) + (thread.replies?.length || 0),
+    0,
+  )
+
+  const renderComment = (comment, threadId) => {
+    const isReply = comment.id !== threadId
+    if (comment.deleted_at) {
+      return (
+        <div className="bg-gray-800 bg-opacity-50 p-4 rounded text-sm italic text-gray-500">
+          {comment.hidden_at ? 'This comment was removed by a moderator.' : 'This comment was deleted.'}
+        </div>
+      )
+    }
+    return (
+      <div className={`bg-gray-800 bg-opacity-50 rounded ${isReply ? 'p-3' : 'p-4'} ${comment.pending ? 'opacity-70' : ''}`}>
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={() => handleProfileClick(comment.user_id)}
+            className="shrink-0 hover:opacity-80 transition"
+            title={comment.profiles?.username || 'User profile'}
+          >
+            <img
+              src={comment.profiles?.avatar_url || '/images/default-avatar.png'}
+              alt={comment.profiles?.username || 'User'}
+              className={`${isReply ? 'w-8 h-8' : 'w-10 h-10'} rounded-full object-cover`}
+              onError={(e) => { e.target.src = '/images/default-avatar.png' }}
+            />
+          </button>
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <button
+                  type="button"
+                  onClick={() => handleProfileClick(comment.user_id)}
+                  className="font-semibold text-white hover:text-teal-300 transition text-left"
+                >
+                  {comment.profiles?.username || 'Anonymous'}
+                </button>
+                <p className="text-xs text-gray-400">
+                  {comment.timestamp_sec != null && (
+                    onJumpTo ? (
+                      <button
+                        type="button"
+                        onClick={() => onJumpTo(comment.timestamp_sec)}
+                        className="mr-2 rounded-full bg-teal-500/20 px-2 py-0.5 text-teal-300 hover:bg-teal-500/30 tabular-nums"
+                        title="Play from this moment"
+                      >
+                        ▶ {formatPlaybackTime(comment.timestamp_sec)}
+                      </button>
+                    ) : (
+                      <span className="mr-2 text-teal-300 tabular-nums">
+                        at {formatPlaybackTime(comment.timestamp_sec)}
+                      </span>
+                    )
+                  )}
+                  {comment.pending ? 'Posting…' : formatDate(comment.created_at)}
+                  {comment.updated_at && comment.updated_at !== comment.created_at && (
+                    <span> (edited)</span>
+                  )}
+                </p>
+              </div>
+            </div>
+
+            {editingId === comment.id ? (
+              <div className="mt-2">
+                <MentionTextarea
+                  value={editingText}
+                  onChange={setEditingText}
+                  maxLength={5000}
+                  className="w-full p-2 rounded bg-gray-700 text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-teal-400 resize-none"
+                  rows={2}
+                />
+                <div className="text-xs text-gray-500 mt-1 mb-2">
+                  {editingText.length} / 5000
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleEditSubmit(comment.id)}
+                    className="bg-teal-500 text-black px-3 py-1 rounded text-sm font-semibold hover:bg-teal-400"
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => {
+                      setEditingId(null)
+                      setEditingText('')
+                      setValidationError(null)
+                    }}
+                    className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <CommentBody comment={comment} onProfileClick={handleProfileClick} />
+            )}
+
+            {!comment.pending && (
+              <CommentReactions
+                comment={comment}
+                onToggle={session?.user?.id ? toggleReaction : undefined}
+              />
+            )}
+
+            {/* Reply/Edit/Delete buttons */}
+            {editingId !== comment.id && !comment.pending && (
+              <div className="flex gap-2 mt-2">
+                {session?.user?.id && (
+                  <button
+                    onClick={() => startReply(threadId, comment)}
+                    className="text-xs text-gray-300 hover:underline"
+                  >
+                    Reply
+                  </button>
+                )}
+                {session?.user?.id === comment.user_id && (
+                  <>
+                    <button
+                      onClick={() => {
+                        setEditingId(comment.id)
+                        setEditingText(comment.body)
+                        setValidationError(null)
+                      }}
+                      className="text-xs text-teal-400 hover:underline"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (confirm('Delete this comment?')) {
+                          removeComment(comment.id)
+                        }
+                      }}
+                      className="text-xs text-red-400 hover:underline"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+                {session?.user?.id && session.user.id !== comment.user_id && (
+                  <button
+                    onClick={() => setReporting(comment)}
+                    className="text-xs text-gray-500 hover:text-red-400 hover:underline"
+                  >
+                    Report
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="mt-6 border-t border-gray-700 pt-6">
-      <h3 className="text-xl font-bold mb-4">Comments ({comments.length})</h3>
+      <h3 className="text-xl font-bold mb-4">Comments ({totalComments}{hasMore ? '+' : ''})</h3>
 
       {(error || validationError) && (
         <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded mb-4">
@@ -87,18 +324,30 @@ const TrackComments = ({ trackId, session }) => {
       {/* Comment form */}
       {session?.user?.id ? (
         <form onSubmit={handleSubmit} className="mb-6">
-          <textarea
+          <MentionTextarea
             value={commentText}
-            onChange={(e) => setCommentText(e.target.value)}
-            placeholder="Share your thoughts about this track... (max 5000 characters)"
+            onChange={setCommentText}
+            placeholder="Share your thoughts about this track... (@ to mention someone, max 5000 characters)"
             maxLength={5000}
             className="w-full p-3 rounded bg-gray-800 text-white border border-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-400 resize-none"
             rows={3}
           />
           <div className="flex items-center justify-between mt-2">
-            <span className="text-xs text-gray-500">
-              {commentText.length} / 5000
-            </span>
+            <div className="flex items-center gap-3">
+              <span className="text-xs text-gray-500">
+                {commentText.length} / 5000
+              </span>
+              {getCurrentTime && (
+                <label className="flex items-center gap-1 text-xs text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={pinToTime}
+                    onChange={(e) => setPinToTime(e.target.checked)}
+                  />
+                  Pin to the current playback time
+                </label>
+              )}
+            </div>
             <button
               type="submit"
               disabled={posting || !commentText.trim()}
@@ -114,116 +363,89 @@ const TrackComments = ({ trackId, session }) => {
         </div>
       )}
 
-      {/* Comments list */}
+      {/* Comment threads */}
       {loading ? (
         <div className="text-gray-400">Loading comments...</div>
       ) : comments.length === 0 ? (
         <div className="text-gray-400">No comments yet. Be the first to comment!</div>
       ) : (
         <div className="space-y-4">
-          {comments.map(comment => (
-            <div key={comment.id} className="bg-gray-800 bg-opacity-50 p-4 rounded">
-              <div className="flex gap-3">
-                <button
-                  type="button"
-                  onClick={() => handleProfileClick(comment.user_id)}
-                  className="shrink-0 hover:opacity-80 transition"
-                  title={comment.profiles?.username || 'User profile'}
-                >
-                  <img
-                    src={comment.profiles?.avatar_url || '/images/default-avatar.png'}
-                    alt={comment.profiles?.username || 'User'}
-                    className="w-10 h-10 rounded-full object-cover"
-                    onError={(e) => { e.target.src = '/images/default-avatar.png' }}
-                  />
-                </button>
-                <div className="flex-1 min-w-0">
-                  <div className="flex items-center justify-between gap-2">
-                    <div>
+          {comments.map(thread => {
+            const replies = thread.replies || []
+            const open = isThreadOpen(thread)
+            return (
+              <div key={thread.id}>
+                {renderComment(thread, thread.id)}
+                {(replies.length > 0 || replyTo?.threadId === thread.id) && (
+                  <div className="ml-8 mt-2 space-y-2 border-l border-gray-700 pl-3">
+                    {replies.length > 0 && (
                       <button
                         type="button"
-                        onClick={() => handleProfileClick(comment.user_id)}
-                        className="font-semibold text-white hover:text-teal-300 transition text-left"
+                        onClick={() => setOpenThreads((prev) => ({ ...prev, [thread.id]: !open }))}
+                        className="text-xs text-teal-300 hover:underline"
+                        aria-expanded={open}
                       >
-                        {comment.profiles?.username || 'Anonymous'}
+                        {open ? 'Hide replies' : `Show ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`}
                       </button>
-                      <p className="text-xs text-gray-400">
-                        {formatDate(comment.created_at)}
-                        {comment.updated_at && comment.updated_at !== comment.created_at && (
-                          <span> (edited)</span>
-                        )}
-                      </p>
-                    </div>
+                    )}
+                    {open && replies.map(reply => (
+                      <div key={reply.id}>{renderComment(reply, thread.id)}</div>
+                    ))}
+                    {replyTo?.threadId === thread.id && (
+                      <form onSubmit={handleReplySubmit} className="space-y-2">
+                        <MentionTextarea
+                          value={replyText}
+                          onChange={setReplyText}
+                          placeholder="Write a reply..."
+                          maxLength={5000}
+                          className="w-full p-2 rounded bg-gray-800 text-white border border-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-400 resize-none"
+                          rows={2}
+                          autoFocus
+                        />
+                        <div className="flex gap-2">
+                          <button
+                            type="submit"
+                            disabled={posting || !replyText.trim()}
+                            className="bg-teal-500 text-black px-3 py-1 rounded text-sm font-semibold hover:bg-teal-400 disabled:opacity-60"
+                          >
+                            {posting ? 'Posting...' : 'Reply'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={cancelReply}
+                            className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    )}
                   </div>
-
-                  {editingId === comment.id ? (
-                    <div className="mt-2">
-                      <textarea
-                        value={editingText}
-                        onChange={(e) => setEditingText(e.target.value)}
-                        maxLength={5000}
-                        className="w-full p-2 rounded bg-gray-700 text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-teal-400 resize-none"
-                        rows={2}
-                      />
-                      <div className="text-xs text-gray-500 mt-1 mb-2">
-                        {editingText.length} / 5000
-                      </div>
-                      <div className="flex gap-2">
-                        <button
-                          onClick={() => handleEditSubmit(comment.id)}
-                          className="bg-teal-500 text-black px-3 py-1 rounded text-sm font-semibold hover:bg-teal-400"
-                        >
-                          Save
-                        </button>
-                        <button
-                          onClick={() => {
-                            setEditingId(null)
-                            setEditingText('')
-                            setValidationError(null)
-                          }}
-                          className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    </div>
-                  ) : (
-                    <p className="text-gray-200 mt-2 wrap-break-word whitespace-pre-wrap">
-                      {comment.body}
-                    </p>
-                  )}
-
-                  {/* Edit/Delete buttons */}
-                  {session?.user?.id === comment.user_id && editingId !== comment.id && (
-                    <div className="flex gap-2 mt-2">
-                      <button
-                        onClick={() => {
-                          setEditingId(comment.id)
-                          setEditingText(comment.body)
-                          setValidationError(null)
-                        }}
-                        className="text-xs text-teal-400 hover:underline"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => {
-                          if (confirm('Delete this comment?')) {
-                            removeComment(comment.id)
-                          }
-                        }}
-                        className="text-xs text-red-400 hover:underline"
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  )}
-                </div>
+                )}
               </div>
-            </div>
-          ))}
+            )
+          })}
+          {hasMore && (
+            <button
+              type="button"
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="w-full rounded bg-gray-800 py-2 text-sm text-teal-300 hover:bg-gray-700 disabled:opacity-60"
+            >
+              {loadingMore ? 'Loading...' : 'Load more comments'}
+            </button>
+          )}
         </div>
       )}
+
+      {reporting && (
+        <ReportDialog
+          targetType="comment"
+          targetId={reporting.id}
+          targetLabel={reporting.profiles?.username ? `by ${reporting.profiles.username}` : ''}
+          onClose={() => setReporting(null)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,26 @@
+/*
+  TrackProcessingStatus.jsx
+  - Pill for a track the server has not accepted yet: "Checking audio…" while the process-upload
+    function runs, "Rejected" (with the reason as tooltip and text) when it failed.
+  - Renders nothing for ready tracks and for rows loaded without processing_status.
+*/
+export default function TrackProcessingStatus({ track, showReason = false }) {
+  const status = track?.processing_status
+  if (status !== 'processing' && status !== 'failed') return null
+
+  if (status === 'processing') {
+    return (
+      <span className="px-2 py-0.5 rounded-full text-xs bg-amber-500/20 text-amber-200" title="The file is being checked">
+        Checking audio…
+      </span>
+    )
+  }
+  return (
+    <span className="inline-flex flex-wrap items-center gap-1 text-xs">
+      <span className="px-2 py-0.5 rounded-full bg-red-500/20 text-red-300" title={track.processing_error || undefined}>
+        Rejected
+      </span>
+      {showReason && track.processing_error && <span className="text-red-300">{track.processing_error}</span>}
+    </span>
+  )
+}
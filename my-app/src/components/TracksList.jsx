@@ -1,4 +1,9 @@
+import { useEffect, useMemo, useRef } from 'react'
 import TrackCard from './TrackCard'
+import { useWindowVirtualizer } from '../hooks/useWindowVirtualizer'
+
+const ESTIMATED_CARD_HEIGHT = 260 // card plus the gap below it, before it is measured
+const VIRTUALIZE_OVER = 30 // shorter lists render every card
 
 export default function TracksList({
   tracks,
@@ -13,35 +18,76 @@ export default function TracksList({
   isTrackLiked,
   onToggleLike,
   emptyMessage,
-  likeCounts, // optional: Map or object of trackId -> likes
+  trackStats, // optional: Map of trackId -> { likes, plays, comments } (useTrackStats)
+  hasMore = false, // optional infinite scroll: onLoadMore runs when the end comes into view
+  loadingMore = false,
+  onLoadMore,
+  virtualized = false, // render only the cards near the viewport
 }) {
+  const keys = useMemo(() => (tracks || []).map((t) => t.id), [tracks])
+  const { containerRef, measureRef, start, end, paddingTop, paddingBottom } = useWindowVirtualizer({
+    keys,
+    estimateSize: ESTIMATED_CARD_HEIGHT,
+    enabled: virtualized && keys.length > VIRTUALIZE_OVER,
+  })
+  const sentinelRef = useRef(null)
+  const canLoadMore = Boolean(onLoadMore) && hasMore && !loadingMore
+
+  useEffect(() => {
+    const el = sentinelRef.current
+    if (!el || !canLoadMore || typeof IntersectionObserver === 'undefined') return
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onLoadMore()
+      },
+      { rootMargin: '600px 0px' },
+    )
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [canLoadMore, onLoadMore])
+
   if (loading) return <div>Loading tracks...</div>
   if (error) return <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded">{error}</div>
   if (!tracks || tracks.length === 0)
     return <div className="text-gray-300 bg-gray-800 p-4 rounded">{emptyMessage}</div>
 
   return (
-    <div className="grid grid-cols-1 gap-5">
-      {tracks.map((track, idx) => {
-        return (
-          <div key={track.id}>
-            <TrackCard
-              track={track}
-              idx={idx}
-              trackList={tracks}
-              profileAvatar={profileAvatar}
-              player={player}
-              session={session}
-              isOwn={isOwn}
-              expandedComments={expandedComments}
-              onToggleComments={onToggleComments}
-              isTrackLiked={isTrackLiked}
-              onToggleLike={onToggleLike}
-              likeCounts={likeCounts}
-            />
-          </div>
-        )
-      })}
-    </div>
+    <>
+      <div ref={containerRef} style={{ paddingTop, paddingBottom }}>
+        {tracks.slice(start, end).map((track, i) => {
+          const idx = start + i
+          return (
+            <div key={track.id} ref={measureRef(track.id)} className="pb-5">
+              <TrackCard
+                track={track}
+                idx={idx}
+                trackList={tracks}
+                profileAvatar={profileAvatar}
+                player={player}
+                session={session}
+                isOwn={isOwn}
+                expandedComments={expandedComments}
+                onToggleComments={onToggleComments}
+                isTrackLiked={isTrackLiked}
+                onToggleLike={onToggleLike}
+                trackStats={trackStats}
+              />
+            </div>
+          )
+        })}
+      </div>
+      {onLoadMore && hasMore && (
+        <div ref={sentinelRef} className="py-4 text-center">
+          <button
+            type="button"
+            onClick={onLoadMore}
+            disabled={loadingMore}
+            className="rounded bg-gray-800 px-4 py-2 text-sm text-teal-300 hover:bg-gray-700 disabled:opacity-60"
+          >
+            {loadingMore ? 'Loading more tracks...' : 'Load more tracks'}
+          </button>
+        </div>
+      )}
+    </>
   )
 }
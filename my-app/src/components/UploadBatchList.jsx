@@ -0,0 +1,161 @@
+/*
+  UploadBatchList.jsx
+  - One editable row per file of an upload batch: title, artist, album, track number and genre.
+  - Empty artist, album and genre fall back to the release values shown as placeholders.
+  - While a file uploads its row shows progress with Pause/Resume; failed rows show the error.
+  - WAV/FLAC being converted to MP3 show the conversion progress with a Cancel button.
+*/
+const STATUS_LABELS = {
+  queued: 'Waiting',
+  preparing: 'Preparing audio...',
+  transcoding: 'Converting to MP3...',
+  uploading: 'Uploading...',
+  paused: 'Paused',
+  retrying: 'Connection lost, retrying...',
+  saving: 'Saving...',
+  done: 'Uploaded',
+  failed: 'Failed',
+}
+
+const BYTES_PER_MB = 1024 * 1024
+
+export default function UploadBatchList({
+  entries,
+  genres,
+  releaseArtist,
+  releaseAlbum,
+  releaseGenreId,
+  busy,
+  onChange,
+  onRemove,
+  onPause,
+  onResume,
+  onCancelTranscode,
+}) {
+  const releaseGenre = genres.find((g) => g.id === releaseGenreId)
+
+  return (
+    <ul className="space-y-3 mb-4">
+      {entries.map((entry) => {
+        const locked = busy || entry.status === 'done'
+        const transferring = ['uploading', 'paused', 'retrying'].includes(entry.status)
+        const transcoding = entry.status === 'transcoding'
+        const percent = transcoding
+          ? Math.round((entry.progress || 0) * 100)
+          : entry.total ? Math.round((entry.loaded / entry.total) * 100) : 0
+        return (
+          <li key={entry.key} className="bg-gray-800 rounded p-3">
+            <div className="flex items-center justify-between gap-2 mb-2 text-xs text-gray-400">
+              <span className="truncate" title={entry.file.name}>
+                {entry.file.name} • {(entry.file.size / BYTES_PER_MB).toFixed(1)} MB
+              </span>
+              <span className="flex items-center gap-2 shrink-0">
+                {entry.status !== 'idle' && (
+                  <span className={entry.status === 'failed' ? 'text-red-400' : entry.status === 'done' ? 'text-teal-300' : ''}>
+                    {STATUS_LABELS[entry.status]}{transcoding && ` ${percent}%`}
+                  </span>
+                )}
+                {transcoding && (
+                  <button
+                    type="button"
+                    onClick={() => onCancelTranscode(entry.key)}
+                    className="bg-gray-700 text-white px-2 py-0.5 rounded hover:bg-gray-600"
+                  >
+                    Cancel
+                  </button>
+                )}
+                {transferring && (
+                  <button
+                    type="button"
+                    onClick={() => (entry.status === 'paused' ? onResume(entry.key) : onPause(entry.key))}
+                    className="bg-gray-700 text-white px-2 py-0.5 rounded hover:bg-gray-600"
+                  >
+                    {entry.status === 'paused' ? 'Resume' : 'Pause'}
+                  </button>
+                )}
+                {!busy && entry.status !== 'done' && (
+                  <button
+                    type="button"
+                    onClick={() => onRemove(entry.key)}
+                    className="text-gray-400 hover:text-white"
+                    aria-label={`Remove ${entry.file.name}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </span>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-[4rem_1fr_1fr_1fr_10rem] gap-2">
+              <input
+                type="number"
+                min="1"
+                value={entry.trackNumber ?? ''}
+                onChange={(e) => onChange(entry.key, 'trackNumber', e.target.value ? Number(e.target.value) : null)}
+                className="p-2 rounded bg-gray-700 text-white text-sm"
+                placeholder="#"
+                aria-label="Track number"
+                disabled={locked}
+              />
+              <input
+                type="text"
+                value={entry.title}
+                onChange={(e) => onChange(entry.key, 'title', e.target.value)}
+                className="p-2 rounded bg-gray-700 text-white text-sm"
+                placeholder="Title *"
+                aria-label="Title"
+                disabled={locked}
+              />
+              <input
+                type="text"
+                value={entry.artist}
+                onChange={(e) => onChange(entry.key, 'artist', e.target.value)}
+                className="p-2 rounded bg-gray-700 text-white text-sm"
+                placeholder={releaseArtist || 'Artist *'}
+                aria-label="Artist"
+                disabled={locked}
+              />
+              <input
+                type="text"
+                value={entry.album}
+                onChange={(e) => onChange(entry.key, 'album', e.target.value)}
+                className="p-2 rounded bg-gray-700 text-white text-sm"
+                placeholder={releaseAlbum || 'Album'}
+                aria-label="Album"
+                disabled={locked}
+              />
+              <select
+                value={entry.genreId ?? ''}
+                onChange={(e) => onChange(entry.key, 'genreId', e.target.value ? Number(e.target.value) : null)}
+                className="p-2 rounded bg-gray-700 text-white text-sm col-span-2 md:col-span-1"
+                aria-label="Genre"
+                disabled={locked}
+              >
+                <option value="">{releaseGenre ? `Genre: ${releaseGenre.name}` : 'Genre *'}</option>
+                {genres.map((genre) => (
+                  <option key={genre.id} value={genre.id}>{genre.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {(transcoding || transferring || entry.status === 'saving') && (
+              <div
+                className="mt-2 h-1.5 w-full rounded bg-gray-700 overflow-hidden"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+              >
+                <div
+                  className={`h-full transition-[width] ${entry.status === 'paused' ? 'bg-gray-500' : 'bg-teal-400'}`}
+                  style={{ width: `${entry.status === 'saving' ? 100 : percent}%` }}
+                />
+              </div>
+            )}
+            {entry.error && <p className="mt-2 text-xs text-red-400">{entry.error}</p>}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
@@ -0,0 +1,72 @@
+/*
+  Waveform.jsx
+  - Draws stored waveform peaks as bars; the played part is highlighted.
+  - Click (or arrow keys) to seek: onSeek receives a fraction 0..1 of the track.
+*/
+const KEY_STEP = 0.05
+
+export default function Waveform({
+  peaks,
+  progress = 0,
+  onSeek,
+  height = 40,
+  label = 'Seek',
+  className = '',
+}) {
+  if (!Array.isArray(peaks) || peaks.length === 0) return null
+  const played = Math.min(Math.max(progress || 0, 0), 1)
+  const playedBars = Math.round(played * peaks.length)
+
+  const handleClick = (e) => {
+    e.stopPropagation()
+    if (!onSeek) return
+    const rect = e.currentTarget.getBoundingClientRect()
+    onSeek(Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1))
+  }
+
+  const handleKeyDown = (e) => {
+    if (!onSeek) return
+    const delta = e.key === 'ArrowRight' ? KEY_STEP : e.key === 'ArrowLeft' ? -KEY_STEP : 0
+    if (!delta) return
+    // preventDefault also keeps the global seek shortcuts from handling the same key
+    e.preventDefault()
+    onSeek(Math.min(Math.max(played + delta, 0), 1))
+  }
+
+  return (
+    <div
+      className={`w-full ${onSeek ? 'cursor-pointer' : ''} ${className}`}
+      style={{ height }}
+      onClick={handleClick}
+      onKeyDown={handleKeyDown}
+      role={onSeek ? 'slider' : 'img'}
+      tabIndex={onSeek ? 0 : undefined}
+      aria-label={label}
+      aria-valuemin={onSeek ? 0 : undefined}
+      aria-valuemax={onSeek ? 100 : undefined}
+      aria-valuenow={onSeek ? Math.round(played * 100) : undefined}
+    >
+      <svg
+        viewBox={`0 0 ${peaks.length} 100`}
+        preserveAspectRatio="none"
+        className="h-full w-full"
+        aria-hidden="true"
+      >
+        {peaks.map((peak, i) => {
+          // Mirrored around the middle, with a minimum so silence still shows a line
+          const h = Math.max(peak * 100, 3)
+          return (
+            <rect
+              key={i}
+              x={i + 0.15}
+              y={(100 - h) / 2}
+              width={0.7}
+              height={h}
+              className={i < playedBars ? 'fill-amber-200' : 'fill-gray-600'}
+            />
+          )
+        })}
+      </svg>
+    </div>
+  )
+}
@@ -0,0 +1,234 @@
+import { useState, useCallback, useRef, useMemo } from 'react'
+import { getSignedAudioUrl, isSignedUrlExpired } from '../utils/signedUrlCache'
+import {
+  attachElement,
+  isAttached,
+  resumeAudioContext,
+  rampElementGain,
+  setElementGain,
+  setElementTrim,
+} from '../utils/audioGraph'
+
+const MIN_TRIM_DB = -24
+const MAX_TRIM_DB = 12
+
+/**
+ * Normalization gain for a track (tracks.replay_gain_db, computed at upload); 0 when unknown
+ */
+const trackTrimDb = (track, normalize) => {
+  const db = Number(track?.replay_gain_db)
+  if (!normalize || track?.replay_gain_db == null || !Number.isFinite(db)) return 0
+  return Math.min(Math.max(db, MIN_TRIM_DB), MAX_TRIM_DB)
+}
+
+/**
+ * Apply output settings to one element. defaultPlaybackRate is set too because loading a
+ * new src resets playbackRate to it; pitch is preserved so sped-up voices don't sound chipmunked.
+ */
+const applyOutput = (element, { volume, muted, playbackRate, fade }) => {
+  element.volume = volume * fade
+  element.muted = muted
+  element.defaultPlaybackRate = playbackRate
+  element.playbackRate = playbackRate
+  element.preservesPitch = true
+  element.mozPreservesPitch = true
+  element.webkitPreservesPitch = true
+}
+
+/**
+ * useAudioDecks – Two <audio> elements ("decks") for gapless playback and crossfades.
+ * The active deck is exposed through audioRef; the other deck preloads the next queue entry.
+ * @param {Object} audioRef – Ref that always points at the active deck
+ * @returns {Object} { activeDeck, bindDeckA, bindDeckB, preload, takePreloaded, ... }
+ */
+export function useAudioDecks(audioRef) {
+  const [activeDeck, setActiveDeck] = useState(0)
+  const decksRef = useRef([null, null])
+  const activeDeckRef = useRef(0)
+  // { qid, url, track } for the entry loaded into the inactive deck
+  const preloadedRef = useRef(null)
+  const preloadingQidRef = useRef(null)
+  // { element, timer } for the deck fading out
+  const fadeRef = useRef(null)
+  // { volume, muted, playbackRate, fade } applied to both decks; fade scales the volume (sleep timer)
+  const outputRef = useRef({ volume: 1, muted: false, playbackRate: 1, fade: 1 })
+  const normalizeRef = useRef(false)
+
+  const bindDeck = useCallback((index, element) => {
+    decksRef.current[index] = element
+    if (element) applyOutput(element, outputRef.current)
+    if (index === activeDeckRef.current) audioRef.current = element
+  }, [audioRef])
+  const bindDeckA = useCallback((el) => bindDeck(0, el), [bindDeck])
+  const bindDeckB = useCallback((el) => bindDeck(1, el), [bindDeck])
+
+  const getInactiveDeck = useCallback(() => decksRef.current[1 - activeDeckRef.current], [])
+
+  /**
+   * Stop a crossfade immediately: pause the outgoing deck and restore its gain
+   */
+  const finishFade = useCallback(() => {
+    const fade = fadeRef.current
+    if (!fade) return
+    clearTimeout(fade.timer)
+    fade.element.pause()
+    setElementGain(fade.element, 1)
+    fadeRef.current = null
+  }, [])
+
+  /**
+   * Forget the preloaded entry and unload the inactive deck
+   */
+  const clearPreload = useCallback(() => {
+    preloadedRef.current = null
+    preloadingQidRef.current = null
+    const inactive = getInactiveDeck()
+    if (inactive && fadeRef.current?.element !== inactive && inactive.getAttribute('src')) {
+      inactive.pause()
+      inactive.removeAttribute('src')
+      inactive.load()
+    }
+  }, [getInactiveDeck])
+
+  /**
+   * Sign and buffer a queue entry in the inactive deck ahead of time
+   * @param {Object} entry - Queue entry { qid, track }
+   */
+  const preload = useCallback(async (entry) => {
+    if (!entry?.track?.audio_path) return
+    if (preloadedRef.current?.qid === entry.qid || preloadingQidRef.current === entry.qid) return
+    // A fading deck is still audible; wait until the fade is over
+    if (fadeRef.current) return
+    preloadingQidRef.current = entry.qid
+    try {
+      const url = await getSignedAudioUrl(entry.track.audio_path)
+      if (preloadingQidRef.current !== entry.qid) return
+      const inactive = getInactiveDeck()
+      if (!inactive) return
+      inactive.preload = 'auto'
+      inactive.src = url
+      inactive.load()
+      setElementTrim(inactive, trackTrimDb(entry.track, normalizeRef.current))
+      preloadedRef.current = { qid: entry.qid, url, track: entry.track }
+    } catch (err) {
+      // Non-blocking: the entry will be loaded the normal way when it comes up
+      console.warn('[useAudioDecks] Preload failed:', err)
+    } finally {
+      if (preloadingQidRef.current === entry.qid) preloadingQidRef.current = null
+    }
+  }, [getInactiveDeck])
+
+  /**
+   * Whether the inactive deck holds this entry and can start right away
+   * (a preload whose signed URL has since expired does not count)
+   * @param {string} qid
+   * @returns {boolean}
+   */
+  const isPreloaded = useCallback((qid) => {
+    const inactive = getInactiveDeck()
+    const preloaded = preloadedRef.current
+    return Boolean(
+      qid &&
+      preloaded?.qid === qid &&
+      inactive?.getAttribute('src') &&
+      !isSignedUrlExpired(preloaded.url, 0),
+    )
+  }, [getInactiveDeck])
+
+  /**
+   * Switch to the preloaded deck, optionally crossfading from the current one
+   * @param {string} qid - Queue entry expected in the inactive deck
+   * @param {number} fadeSeconds - 0 for a gapless cut
+   * @returns {Object|null} { url, playPromise } or null when the entry was not preloaded
+   */
+  const takePreloaded = useCallback((qid, fadeSeconds = 0) => {
+    if (!isPreloaded(qid)) return null
+    finishFade()
+    const outgoing = decksRef.current[activeDeckRef.current]
+    const incoming = getInactiveDeck()
+    const { url } = preloadedRef.current
+    preloadedRef.current = null
+
+    let fade = fadeSeconds > 0 && outgoing && !outgoing.paused
+    if (fade) {
+      // Gain nodes are needed on both decks; without Web Audio we fall back to a hard cut
+      fade = Boolean(attachElement(outgoing) && attachElement(incoming))
+    }
+    resumeAudioContext()
+
+    if (fade) {
+      setElementGain(incoming, 0)
+      rampElementGain(incoming, 1, fadeSeconds)
+      rampElementGain(outgoing, 0, fadeSeconds)
+      fadeRef.current = {
+        element: outgoing,
+        timer: setTimeout(() => {
+          fadeRef.current = null
+          outgoing.pause()
+          setElementGain(outgoing, 1)
+        }, fadeSeconds * 1000),
+      }
+    } else {
+      if (outgoing) outgoing.pause()
+      if (isAttached(incoming)) setElementGain(incoming, 1)
+    }
+
+    incoming.currentTime = 0
+    const playPromise = incoming.play()
+    activeDeckRef.current = 1 - activeDeckRef.current
+    audioRef.current = incoming
+    setActiveDeck(activeDeckRef.current)
+    return { url, playPromise }
+  }, [audioRef, finishFade, getInactiveDeck, isPreloaded])
+
+  /**
+   * Apply volume, mute and speed to both decks, so a deck switch keeps the listener's settings
+   * @param {Object} output - Any of { volume, muted, playbackRate, fade }
+   */
+  const setOutput = useCallback((output) => {
+    outputRef.current = { ...outputRef.current, ...output }
+    decksRef.current.forEach((deck) => {
+      if (deck) applyOutput(deck, outputRef.current)
+    })
+  }, [])
+
+  /**
+   * Route both decks through the Web Audio graph (EQ, normalization) and set the
+   * normalization trim for the playing and preloaded tracks. Call once playback has
+   * started from a user gesture, so the AudioContext is allowed to run.
+   * @param {Object} options - { enabled, normalize, track } where track is the playing track
+   */
+  const setProcessing = useCallback(({ enabled, normalize, track }) => {
+    normalizeRef.current = Boolean(normalize)
+    if (enabled) {
+      decksRef.current.forEach((deck) => attachElement(deck))
+      resumeAudioContext()
+    }
+    setElementTrim(decksRef.current[activeDeckRef.current], trackTrimDb(track, normalize))
+    if (preloadedRef.current) {
+      setElementTrim(getInactiveDeck(), trackTrimDb(preloadedRef.current.track, normalize))
+    }
+  }, [getInactiveDeck])
+
+  /**
+   * Pause and unload both decks (used by stop)
+   */
+  const stopAll = useCallback(() => {
+    finishFade()
+    clearPreload()
+  }, [finishFade, clearPreload])
+
+  return useMemo(() => ({
+    activeDeck,
+    bindDeckA,
+    bindDeckB,
+    preload,
+    isPreloaded,
+    takePreloaded,
+    clearPreload,
+    finishFade,
+    stopAll,
+    setOutput,
+    setProcessing,
+  }), [activeDeck, bindDeckA, bindDeckB, preload, isPreloaded, takePreloaded, clearPreload, finishFade, stopAll, setOutput, setProcessing])
+}
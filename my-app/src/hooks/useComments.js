@@ -1,45 +1,178 @@
-import { useState, useCallback, useEffect, useMemo } from 'react'
-import { postComment, fetchComments, deleteComment, updateComment } from '../utils/commentUtils'
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+import {
+  postComment,
+  fetchComments,
+  fetchCommentAuthor,
+  deleteComment,
+  updateComment,
+  maskDeletedComment,
+  subscribeToTrackComments,
+} from '../utils/commentUtils'
+import { getCommentReactions, setCommentReaction, applyReactionToggle } from '../utils/reactionUtils'
 import { checkRateLimit } from '../utils/securityUtils'
 
-const COMMENT_RATE_LIMIT_MS = 5000 // 5 seconds between comments
+export const COMMENT_RATE_LIMIT_MS = 5000 // 5 seconds between comments
+const REACTION_RATE_LIMIT_MS = 1000 // 1 second between reaction toggles on a comment
+
+let pendingSeq = 0
+
+const findComment = (threads, commentId) => {
+  for (const c of threads) {
+    if (c.id === commentId) return c
+    const reply = c.replies?.find((r) => r.id === commentId)
+    if (reply) return reply
+  }
+  return null
+}
+
+// Apply fn to the comment with this id, wherever it sits in the threads
+const mapComment = (threads, commentId, fn) =>
+  threads.map((c) => {
+    if (c.id === commentId) return fn(c)
+    if (!c.replies?.some((r) => r.id === commentId)) return c
+    return { ...c, replies: c.replies.map((r) => (r.id === commentId ? fn(r) : r)) }
+  })
+
+// Drop a deleted comment: a thread starter with replies stays as a placeholder, and a deleted
+// starter goes away with its last reply
+const removeFromThreads = (threads, commentId) =>
+  threads.flatMap((c) => {
+    if (c.id === commentId) {
+      return c.replies?.length ? [maskDeletedComment({ ...c, deleted_at: c.deleted_at || new Date().toISOString() })] : []
+    }
+    if (!c.replies?.some((r) => r.id === commentId)) return [c]
+    const replies = c.replies.filter((r) => r.id !== commentId)
+    return c.deleted_at && replies.length === 0 ? [] : [{ ...c, replies }]
+  })
+
+// Merge a server row into the loaded comment (rows from Realtime carry no profile or replies)
+const mergeComment = (existing, row) => ({
+  ...existing,
+  ...row,
+  profiles: row.profiles || existing.profiles,
+  replies: existing.replies,
+})
+
+// Add a comment to its thread (or as a new thread); replies to threads not loaded yet are skipped
+const insertIntoThreads = (threads, comment) => {
+  if (findComment(threads, comment.id)) return mapComment(threads, comment.id, (c) => mergeComment(c, comment))
+  if (!comment.parent_id) return [{ ...comment, replies: [] }, ...threads]
+  return threads.map((c) => (c.id === comment.parent_id ? { ...c, replies: [...(c.replies || []), comment] } : c))
+}
+
+// Swap an optimistic comment for the stored one; if Realtime delivered the row first, drop the placeholder
+const settlePending = (threads, pendingId, comment) => {
+  if (findComment(threads, comment.id)) return removeFromThreads(threads, pendingId)
+  return mapComment(threads, pendingId, (c) => ({ ...comment, replies: c.replies }))
+}
+
+// This tab's own insert arriving over Realtime before postComment resolved
+const findPendingMatch = (threads, comment) => {
+  for (const c of [...threads, ...threads.flatMap((t) => t.replies || [])]) {
+    if (c.pending && c.user_id === comment.user_id && (c.parent_id ?? null) === (comment.parent_id ?? null) && c.body === comment.body) {
+      return c
+    }
+  }
+  return null
+}
+
+const applyRealtimeChange = (threads, { type, comment }) => {
+  if (type === 'delete') return removeFromThreads(threads, comment.id)
+  if (type === 'update') {
+    // Soft deletes and moderator hides both take the comment out of the list
+    if (comment.deleted_at || comment.hidden_at) return removeFromThreads(threads, comment.id)
+    if (!findComment(threads, comment.id)) return threads
+    return mapComment(threads, comment.id, (c) => mergeComment(c, comment))
+  }
+  if (comment.deleted_at || comment.hidden_at) return threads
+  const pending = findPendingMatch(threads, comment)
+  if (pending && !findComment(threads, comment.id)) return settlePending(threads, pending.id, comment)
+  return insertIntoThreads(threads, comment)
+}
 
 /**
  * Hook to manage track comments with optimizations and rate limiting
+ * Comments are threads: top-level comments (newest first) with one level of `replies` (oldest first).
+ * Pages load on demand (loadMore); comments by others arrive live over Supabase Realtime, and
+ * this user's own comments show immediately (pending) until the server confirms them.
+ * Emoji reactions come with each page and are toggled optimistically (toggleReaction).
  * @param {number} trackId - The track ID
+ * @param {string|null} userId - Current user's ID, to show their optimistic comments with their profile
  * @returns {Object} Comments state and methods
  */
-export function useComments(trackId) {
+export function useComments(trackId, userId = null) {
   const tid = typeof trackId === 'string' ? Number(trackId) : trackId
 
   const [comments, setComments] = useState([])
   const [loading, setLoading] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [nextCursor, setNextCursor] = useState(null)
   const [error, setError] = useState(null)
   const [posting, setPosting] = useState(false)
+  // Ignore pages that resolve after the track changed or the list was reloaded
+  const loadRequestRef = useRef(0)
+  // "commentId:emoji" toggles in flight
+  const pendingReactions = useRef(new Set())
 
   // Memoize fetch to prevent unnecessary calls
   const loadComments = useCallback(async () => {
     if (!tid) return
 
+    const requestId = ++loadRequestRef.current
     setLoading(true)
     setError(null)
     try {
-      const data = await fetchComments(tid)
-      setComments(data)
+      const page = await fetchComments(tid, { userId })
+      if (requestId !== loadRequestRef.current) return
+      setComments(page.comments)
+      setNextCursor(page.nextCursor)
     } catch (err) {
       console.error('Load comments error:', err)
       setError(err.message)
     } finally {
-      setLoading(false)
+      if (requestId === loadRequestRef.current) setLoading(false)
     }
-  }, [tid])
+  }, [tid, userId])
 
   useEffect(() => {
     loadComments()
   }, [loadComments])
 
-  // Post a comment with rate limiting
-  const addComment = useCallback(async (body) => {
+  // Load the next (older) page of threads
+  const loadMore = useCallback(async () => {
+    if (!tid || nextCursor == null || loadingMore) return
+    const requestId = loadRequestRef.current
+    setLoadingMore(true)
+    setError(null)
+    try {
+      const page = await fetchComments(tid, { before: nextCursor, userId })
+      if (requestId !== loadRequestRef.current) return
+      setComments(prev => [...prev, ...page.comments.filter(c => !findComment(prev, c.id))])
+      setNextCursor(page.nextCursor)
+    } catch (err) {
+      console.error('Load more comments error:', err)
+      setError(err.message)
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [tid, nextCursor, loadingMore, userId])
+
+  // Live changes from other listeners (and echoes of our own, merged by id)
+  useEffect(() => {
+    if (!tid) return
+    return subscribeToTrackComments(tid, (change) => {
+      setComments(prev => applyRealtimeChange(prev, change))
+    })
+  }, [tid])
+
+  // Warm the author cache so optimistic comments show the right name and avatar
+  useEffect(() => {
+    if (userId) fetchCommentAuthor(userId)
+  }, [userId])
+
+  // Post a comment with rate limiting; options.timestampSec pins it to a moment in the track,
+  // options.parentId makes it a reply
+  const addComment = useCallback(async (body, options = {}) => {
     if (!tid || !body?.trim()) {
       setError('Comment cannot be empty')
       return false
@@ -48,33 +181,49 @@ export function useComments(trackId) {
     // Check rate limit
     const rateLimitKey = `comment_${tid}`
     const { canProceed, remainingMs } = checkRateLimit(rateLimitKey, COMMENT_RATE_LIMIT_MS)
-    
+
     if (!canProceed) {
       setError(`Please wait ${Math.ceil(remainingMs / 1000)} seconds before posting another comment`)
       return false
     }
 
+    const pendingId = `pending-${++pendingSeq}`
+    const placeholder = {
+      id: pendingId,
+      pending: true,
+      track_id: tid,
+      user_id: userId,
+      parent_id: options.parentId ?? null,
+      body: body.trim(),
+      mentions: [],
+      timestamp_sec: options.timestampSec ?? null,
+      created_at: new Date().toISOString(),
+      profiles: userId ? await fetchCommentAuthor(userId) : null,
+    }
+    setComments(prev => insertIntoThreads(prev, placeholder))
+
     setPosting(true)
     setError(null)
     try {
-      const newComment = await postComment(tid, body)
-      setComments(prev => [newComment, ...prev])
+      const newComment = await postComment(tid, body, options)
+      setComments(prev => settlePending(prev, pendingId, newComment))
       return true
     } catch (err) {
       console.error('Add comment error:', err)
+      setComments(prev => removeFromThreads(prev, pendingId))
       setError(err.message)
       return false
     } finally {
       setPosting(false)
     }
-  }, [tid])
+  }, [tid, userId])
 
   // Delete a comment
   const removeComment = useCallback(async (commentId) => {
     setError(null)
     try {
       await deleteComment(commentId)
-      setComments(prev => prev.filter(c => c.id !== commentId))
+      setComments(prev => removeFromThreads(prev, commentId))
       return true
     } catch (err) {
       console.error('Remove comment error:', err)
@@ -93,9 +242,7 @@ export function useComments(trackId) {
     setError(null)
     try {
       const updated = await updateComment(commentId, newBody)
-      setComments(prev =>
-        prev.map(c => (c.id === commentId ? updated : c))
-      )
+      setComments(prev => mapComment(prev, commentId, c => mergeComment(c, updated)))
       return true
     } catch (err) {
       console.error('Edit comment error:', err)
@@ -104,15 +251,56 @@ export function useComments(trackId) {
     }
   }, [])
 
+  // Add or take back this user's reaction; optimistic, reverted if the write fails
+  const toggleReaction = useCallback(async (commentId, emoji) => {
+    if (!userId) {
+      setError('Please sign in to react to comments')
+      return false
+    }
+    const key = `${commentId}:${emoji}`
+    if (pendingReactions.current.has(key)) return false
+
+    const { canProceed, remainingMs } = checkRateLimit(`reaction_${commentId}`, REACTION_RATE_LIMIT_MS)
+    if (!canProceed) {
+      setError(`Please wait ${Math.ceil(remainingMs / 1000)}s before reacting again`)
+      return false
+    }
+
+    const comment = findComment(comments, commentId)
+    if (!comment || comment.pending) return false
+    const add = !getCommentReactions(comment).mine.includes(emoji)
+    const apply = (adding) => setComments(prev =>
+      mapComment(prev, commentId, c => ({ ...c, reactions: applyReactionToggle(getCommentReactions(c), emoji, adding) })))
+
+    pendingReactions.current.add(key)
+    apply(add)
+    try {
+      await setCommentReaction(commentId, emoji, add)
+      setError(null)
+      return true
+    } catch (err) {
+      console.error('Reaction error:', err)
+      apply(!add)
+      setError(err.message)
+      return false
+    } finally {
+      pendingReactions.current.delete(key)
+    }
+  }, [userId, comments])
+
   // Memoize return object to prevent unnecessary dependency updates
   return useMemo(() => ({
     comments,
     loading,
+    loadingMore,
+    hasMore: nextCursor != null,
     error,
     posting,
     addComment,
     removeComment,
     editComment,
-    loadComments
-  }), [comments, loading, error, posting, addComment, removeComment, editComment, loadComments])
+    toggleReaction,
+    loadComments,
+    loadMore
+  }), [comments, loading, loadingMore, nextCursor, error, posting, addComment, removeComment, editComment, toggleReaction, loadComments, loadMore])
 }
@@ -0,0 +1,135 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { fetchFollowedIds, fetchFollowingPage, countFollowingSince } from '../utils/feedUtils'
+
+const UNREAD_WINDOW_MS = 7 * 86_400_000 // before the tab was ever opened, the last week counts as new
+
+const seenKey = (userId) => `following_seen:${userId}`
+
+const readSeenAt = (userId) => {
+  try {
+    return localStorage.getItem(seenKey(userId))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * useFollowingFeed – New tracks and playlists from the creators a user follows
+ * Pages load only while the tab is active. Opening the tab stores the time per user in
+ * localStorage; items created after the previous visit are "new" and counted for the badge.
+ * @param {Object} options – { userId, active }
+ * @returns {Object} { items, loading, loadingMore, hasMore, error, followingCount, unreadCount, lastSeenAt, loadMore, reload }
+ */
+export const useFollowingFeed = ({ userId, active }) => {
+  const [creatorIds, setCreatorIds] = useState(null) // null until loaded
+  const [items, setItems] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loaded, setLoaded] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [lastSeenAt, setLastSeenAt] = useState(null) // previous visit, for the "New" labels
+  const [idsAttempt, setIdsAttempt] = useState(0) // bumped by reload after fetchFollowedIds failed
+  const requestRef = useRef(0)
+
+  useEffect(() => {
+    setCreatorIds(null)
+    setItems([])
+    setNextCursor(null)
+    setLoaded(false)
+    setUnreadCount(0)
+    setError(null)
+    if (!userId) return
+    let isMounted = true
+    fetchFollowedIds(userId)
+      .then((ids) => {
+        if (isMounted) setCreatorIds(ids)
+      })
+      .catch(() => {
+        if (isMounted) setError('Failed to load the creators you follow')
+      })
+    return () => { isMounted = false }
+  }, [userId, idsAttempt])
+
+  const reload = useCallback(async () => {
+    if (!creatorIds) {
+      setIdsAttempt((n) => n + 1)
+      return
+    }
+    const requestId = ++requestRef.current
+    setLoading(true)
+    setLoadingMore(false)
+    setError(null)
+    try {
+      const page = await fetchFollowingPage({ creatorIds })
+      if (requestId !== requestRef.current) return
+      setItems(page.items)
+      setNextCursor(page.nextCursor)
+      setLoaded(true)
+    } catch {
+      if (requestId === requestRef.current) setError('Failed to load the Following feed')
+    } finally {
+      if (requestId === requestRef.current) setLoading(false)
+    }
+  }, [creatorIds])
+
+  // First page the first time the tab is opened
+  useEffect(() => {
+    if (active && !loaded && creatorIds) reload()
+  }, [active, loaded, creatorIds, reload])
+
+  // Opening the tab marks everything up to now as seen
+  useEffect(() => {
+    if (!active || !userId) return
+    setLastSeenAt(readSeenAt(userId) || new Date(Date.now() - UNREAD_WINDOW_MS).toISOString())
+    setUnreadCount(0)
+    try {
+      localStorage.setItem(seenKey(userId), new Date().toISOString())
+    } catch {
+      // ignore storage failures
+    }
+  }, [active, userId])
+
+  // Badge while the tab is closed
+  useEffect(() => {
+    if (active || !userId || !creatorIds?.length) return
+    let isMounted = true
+    const since = readSeenAt(userId) || new Date(Date.now() - UNREAD_WINDOW_MS).toISOString()
+    countFollowingSince(creatorIds, since)
+      .then((count) => {
+        if (isMounted) setUnreadCount(count)
+      })
+      .catch((err) => console.warn('[useFollowingFeed] Could not count new items:', err))
+    return () => { isMounted = false }
+  }, [active, userId, creatorIds])
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loading || loadingMore) return
+    const requestId = requestRef.current
+    setLoadingMore(true)
+    try {
+      const page = await fetchFollowingPage({ creatorIds, cursor: nextCursor })
+      if (requestId !== requestRef.current) return
+      setItems((prev) => [...prev, ...page.items.filter((item) => !prev.some((p) => p.key === item.key))])
+      setNextCursor(page.nextCursor)
+    } catch {
+      if (requestId === requestRef.current) setError('Failed to load more of the Following feed')
+    } finally {
+      if (requestId === requestRef.current) setLoadingMore(false)
+    }
+  }, [creatorIds, nextCursor, loading, loadingMore])
+
+  return useMemo(() => ({
+    items,
+    loading: loading || (active && creatorIds === null && !error),
+    loadingMore,
+    hasMore: nextCursor != null,
+    error,
+    followingCount: creatorIds?.length ?? 0,
+    unreadCount,
+    lastSeenAt,
+    loadMore,
+    reload,
+  }), [items, loading, active, creatorIds, loadingMore, nextCursor, error, unreadCount, lastSeenAt, loadMore, reload])
+}
@@ -0,0 +1,71 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { fetchFeedPage } from '../utils/feedUtils'
+
+/**
+ * useHomeFeed – Paged Home feed, sorted and filtered on the server
+ * Changing sort, order or genres starts over from the first page; loadMore appends the next one.
+ * @param {Object} options – { sort: 'recent'|'plays'|'likes', order: 'desc'|'asc', genreIds }
+ * @returns {Object} { tracks, loading, loadingMore, hasMore, error, loadMore, reload }
+ */
+export const useHomeFeed = ({ sort, order, genreIds }) => {
+  const [tracks, setTracks] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+  // Pages that resolve after the filters changed are dropped
+  const requestRef = useRef(0)
+  const genreKey = [...genreIds].sort((a, b) => a - b).join(',')
+
+  const reload = useCallback(async () => {
+    const requestId = ++requestRef.current
+    setLoading(true)
+    setLoadingMore(false)
+    setError(null)
+    try {
+      const page = await fetchFeedPage({ sort, order, genreIds: genreKey ? genreKey.split(',').map(Number) : [] })
+      if (requestId !== requestRef.current) return
+      setTracks(page.tracks)
+      setNextCursor(page.nextCursor)
+    } catch {
+      if (requestId === requestRef.current) setError('Failed to load tracks')
+    } finally {
+      if (requestId === requestRef.current) setLoading(false)
+    }
+  }, [sort, order, genreKey])
+
+  useEffect(() => {
+    reload()
+  }, [reload])
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loading || loadingMore) return
+    const requestId = requestRef.current
+    setLoadingMore(true)
+    try {
+      const page = await fetchFeedPage({
+        sort,
+        order,
+        genreIds: genreKey ? genreKey.split(',').map(Number) : [],
+        cursor: nextCursor,
+      })
+      if (requestId !== requestRef.current) return
+      setTracks((prev) => [...prev, ...page.tracks.filter((t) => !prev.some((p) => p.id === t.id))])
+      setNextCursor(page.nextCursor)
+    } catch {
+      if (requestId === requestRef.current) setError('Failed to load more tracks')
+    } finally {
+      if (requestId === requestRef.current) setLoadingMore(false)
+    }
+  }, [sort, order, genreKey, nextCursor, loading, loadingMore])
+
+  return useMemo(() => ({
+    tracks,
+    loading,
+    loadingMore,
+    hasMore: nextCursor != null,
+    error,
+    loadMore,
+    reload,
+  }), [tracks, loading, loadingMore, nextCursor, error, loadMore, reload])
+}
@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react'
+import { findShortcut, isTypingTarget } from '../utils/shortcuts'
+
+/**
+ * useKeyboardShortcuts – Route global keydown events to handlers by shortcut id (see utils/shortcuts.js).
+ * Ignored while typing in inputs, textareas and editable content. A handler that returns false
+ * did not handle the key, so its default action (e.g. page scrolling) is kept.
+ * @param {Object} handlers – { [shortcutId]: (event) => boolean|void }
+ */
+export function useKeyboardShortcuts(handlers) {
+  // One listener for the app's lifetime; it reads the latest handlers from here
+  const handlersRef = useRef(handlers)
+  useEffect(() => {
+    handlersRef.current = handlers
+  }, [handlers])
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.defaultPrevented || event.isComposing || isTypingTarget(event.target)) return
+      const shortcut = findShortcut(event)
+      if (!shortcut) return
+      // Space on a focused button or link activates it; don't toggle playback as well
+      if (shortcut.id === 'playPause' && event.target?.closest?.('button, a, [role="button"]')) return
+      const handler = handlersRef.current?.[shortcut.id]
+      if (!handler) return
+      if (handler(event) !== false) event.preventDefault()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+}
@@ -1,11 +1,13 @@
-import { useState, useCallback, useRef, useMemo } from 'react'
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react'
 import { supabase } from '../supabaseclient'
 import { checkRateLimit } from '../utils/securityUtils'
+import { subscribeLikeChanges, announceLikeChange } from '../utils/likeEvents'
 
 const LIKE_RATE_LIMIT_MS = 2000 // 2 seconds between like/unlike actions
 
 /**
  * useLikesV2 – Manage track likes with optimistic updates, debouncing, and rate limiting
+ * Instances stay in sync: a like toggled through one (e.g. the L shortcut) updates the others.
  * @param {string} userId – Current user's ID (from session)
  * @returns {Object} { isLiked, toggleLike, loading, error, reset }
  */
@@ -17,12 +19,24 @@ export const useLikesV2 = (userId) => {
   // Track pending requests to prevent race conditions
   const pendingRequests = useRef(new Map())
 
+  // Likes toggled by any instance, this one included
+  useEffect(() => subscribeLikeChanges((id, liked) => {
+    setLikedTracks(prev => {
+      if (prev.has(id) === liked) return prev
+      const updated = new Set(prev)
+      if (liked) updated.add(id)
+      else updated.delete(id)
+      return updated
+    })
+  }), [])
+
   /**
    * Fetch current user's liked track IDs with caching
+   * With { merge: true } only these tracks are updated (paged lists fetch one page at a time)
    */
-  const fetchLikedTracks = useCallback(async (trackIds) => {
+  const fetchLikedTracks = useCallback(async (trackIds, { merge = false } = {}) => {
     if (!userId || !trackIds || trackIds.length === 0) {
-      setLikedTracks(new Set())
+      if (!merge) setLikedTracks(new Set())
       return
     }
 
@@ -41,7 +55,15 @@ export const useLikesV2 = (userId) => {
       if (fetchError) throw fetchError
 
       const ids = new Set((data || []).map(row => row.track_id))
-      setLikedTracks(ids)
+      if (merge) {
+        setLikedTracks(prev => {
+          const updated = new Set(prev)
+          uniqueIds.forEach(id => (ids.has(id) ? updated.add(id) : updated.delete(id)))
+          return updated
+        })
+      } else {
+        setLikedTracks(ids)
+      }
     } catch (err) {
       console.error('Error fetching liked tracks:', err)
       setError(err.message)
@@ -82,12 +104,7 @@ export const useLikesV2 = (userId) => {
     const isCurrentlyLiked = likedTracks.has(id)
     pendingRequests.current.set(id, true)
 
-    setLikedTracks(prev => {
-      const updated = new Set(prev)
-      if (isCurrentlyLiked) updated.delete(id)
-      else updated.add(id)
-      return updated
-    })
+    announceLikeChange(id, !isCurrentlyLiked)
 
     try {
       if (isCurrentlyLiked) {
@@ -117,15 +134,7 @@ export const useLikesV2 = (userId) => {
       setError(err.message)
 
       // Revert optimistic update on error
-      setLikedTracks(prev => {
-        const updated = new Set(prev)
-        if (isCurrentlyLiked) {
-          updated.add(id)
-        } else {
-          updated.delete(id)
-        }
-        return updated
-      })
+      announceLikeChange(id, isCurrentlyLiked)
 
       return false
     } finally {
@@ -0,0 +1,132 @@
+import { useEffect, useRef } from 'react'
+import { getPublicStorageUrl } from '../supabaseclient'
+
+const SEEK_STEP_SEC = 10
+const RESTART_THRESHOLD_SEC = 3 // "previous" restarts the track when past this point
+const MEDIA_ACTIONS = ['play', 'pause', 'previoustrack', 'nexttrack', 'seekto', 'seekbackward', 'seekforward']
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator
+
+/**
+ * useMediaSession – Expose the current track to the OS (lock screen, notification, media keys,
+ * headphone buttons) through navigator.mediaSession and route its actions to the player.
+ * @param {Object} options – { audioRef, track, isPlaying, activeDeck, canNext, canPrevious, onPlay, onPause, onNext, onPrevious }
+ */
+export function useMediaSession({
+  audioRef,
+  track,
+  isPlaying,
+  activeDeck,
+  canNext,
+  canPrevious,
+  onPlay,
+  onPause,
+  onNext,
+  onPrevious,
+}) {
+  // Handlers are registered once; they read the latest player callbacks from here
+  const actionsRef = useRef({})
+  useEffect(() => {
+    actionsRef.current = { onPlay, onPause, onNext, onPrevious, canNext, canPrevious }
+  }, [onPlay, onPause, onNext, onPrevious, canNext, canPrevious])
+
+  // Metadata shown by the OS
+  useEffect(() => {
+    if (!hasMediaSession()) return
+    if (!track) {
+      navigator.mediaSession.metadata = null
+      return
+    }
+    const cover = track.image_path
+      ? getPublicStorageUrl('track-images', track.image_path)
+      : track.cover_url || track.profiles?.avatar_url || null
+    try {
+      navigator.mediaSession.metadata = new window.MediaMetadata({
+        title: track.title || 'Untitled track',
+        artist: track.artist || 'Unknown artist',
+        album: track.album || '',
+        artwork: cover ? [{ src: cover }] : [],
+      })
+    } catch (err) {
+      console.warn('[useMediaSession] Could not set metadata:', err)
+    }
+  }, [track])
+
+  useEffect(() => {
+    if (!hasMediaSession()) return
+    navigator.mediaSession.playbackState = track ? (isPlaying ? 'playing' : 'paused') : 'none'
+  }, [track, isPlaying])
+
+  // Action handlers
+  useEffect(() => {
+    if (!hasMediaSession()) return
+    const seekBy = (offset) => {
+      const audio = audioRef.current
+      if (!audio || !Number.isFinite(audio.duration)) return
+      audio.currentTime = Math.min(Math.max(audio.currentTime + offset, 0), audio.duration)
+    }
+    const handlers = {
+      play: () => actionsRef.current.onPlay?.(),
+      pause: () => actionsRef.current.onPause?.(),
+      nexttrack: () => {
+        if (actionsRef.current.canNext) actionsRef.current.onNext?.()
+      },
+      previoustrack: () => {
+        const audio = audioRef.current
+        if (audio && (audio.currentTime > RESTART_THRESHOLD_SEC || !actionsRef.current.canPrevious)) {
+          audio.currentTime = 0
+          return
+        }
+        actionsRef.current.onPrevious?.()
+      },
+      seekto: (details) => {
+        const audio = audioRef.current
+        if (!audio || !Number.isFinite(details?.seekTime)) return
+        if (details.fastSeek && typeof audio.fastSeek === 'function') audio.fastSeek(details.seekTime)
+        else audio.currentTime = details.seekTime
+      },
+      seekbackward: (details) => seekBy(-(details?.seekOffset || SEEK_STEP_SEC)),
+      seekforward: (details) => seekBy(details?.seekOffset || SEEK_STEP_SEC),
+    }
+    MEDIA_ACTIONS.forEach((action) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handlers[action])
+      } catch {
+        // action not supported by this browser
+      }
+    })
+    return () => {
+      MEDIA_ACTIONS.forEach((action) => {
+        try {
+          navigator.mediaSession.setActionHandler(action, null)
+        } catch {
+          // action not supported by this browser
+        }
+      })
+    }
+  }, [audioRef])
+
+  // Keep the OS scrubber in sync with the active deck
+  useEffect(() => {
+    const audio = audioRef.current
+    if (!hasMediaSession() || !audio || !track) return
+    if (typeof navigator.mediaSession.setPositionState !== 'function') return
+    const sync = () => {
+      const { duration, currentTime, playbackRate } = audio
+      if (!Number.isFinite(duration) || duration <= 0) return
+      try {
+        navigator.mediaSession.setPositionState({
+          duration,
+          position: Math.min(currentTime, duration),
+          playbackRate: playbackRate || 1,
+        })
+      } catch {
+        // invalid state while the element is loading
+      }
+    }
+    const events = ['loadedmetadata', 'durationchange', 'seeked', 'ratechange', 'play', 'pause']
+    events.forEach((name) => audio.addEventListener(name, sync))
+    sync()
+    return () => events.forEach((name) => audio.removeEventListener(name, sync))
+  }, [audioRef, track, activeDeck])
+}
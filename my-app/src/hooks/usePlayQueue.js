@@ -0,0 +1,240 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+import {
+  createQueueEntry,
+  clampIndex,
+  moveItem,
+  buildShuffleOrder,
+  insertIntoUpcoming,
+  resolveStep,
+  canStep,
+  readStoredQueue,
+  writeStoredQueue,
+  REPEAT_MODES,
+  MAX_QUEUE_LENGTH,
+} from '../utils/queueUtils'
+
+/**
+ * usePlayQueue – Editable play queue for the global player, persisted per user in localStorage
+ * @param {string|null} userId – Current user's ID (from session); null uses an anonymous queue
+ * @returns {Object} Queue state and operations. Operations that change the playing entry return it.
+ */
+export function usePlayQueue(userId) {
+  const owner = userId || null
+  const [state, setState] = useState(() => ({ owner, ...readStoredQueue(owner) }))
+
+  // Latest state for operations that need to return the entry they selected
+  const stateRef = useRef(state)
+
+  const commit = useCallback((changes) => {
+    const next = { ...stateRef.current, ...changes }
+    stateRef.current = next
+    setState(next)
+    return next
+  }, [])
+
+  // Load the signed-in user's queue when the session changes
+  useEffect(() => {
+    if (stateRef.current.owner === owner) return
+    const loaded = { owner, ...readStoredQueue(owner) }
+    stateRef.current = loaded
+    setState(loaded)
+  }, [owner])
+
+  // Persist only once the state belongs to the current user, so a session switch
+  // never writes one user's queue under another user's key
+  useEffect(() => {
+    if (state.owner !== owner) return
+    writeStoredQueue(owner, state)
+  }, [state, owner])
+
+  /**
+   * Replace the whole queue with a list and select the given track
+   */
+  const replace = useCallback((tracks, startTrack) => {
+    const list = Array.isArray(tracks) ? tracks.filter((t) => t?.id) : []
+    const base = list.length ? list : [startTrack]
+    const entries = base.map(createQueueEntry).filter(Boolean).slice(0, MAX_QUEUE_LENGTH)
+    let index = entries.findIndex((e) => e.track.id === startTrack?.id)
+    if (index < 0) {
+      const extra = createQueueEntry(startTrack)
+      if (!extra) return null
+      entries.push(extra)
+      index = entries.length - 1
+    }
+    const order = stateRef.current.shuffle ? buildShuffleOrder(entries, entries[index].qid) : []
+    const next = commit({ entries, index, order })
+    return next.entries[next.index]
+  }, [commit])
+
+  /**
+   * Insert a track right after the current entry (also next in the shuffle order)
+   */
+  const playNext = useCallback((track) => {
+    const entry = createQueueEntry(track)
+    if (!entry) return false
+    const { entries, index, shuffle, order } = stateRef.current
+    if (entries.length >= MAX_QUEUE_LENGTH) return false
+    const at = entries.length ? index + 1 : 0
+    const nextEntries = [...entries.slice(0, at), entry, ...entries.slice(at)]
+    let nextOrder = order
+    if (shuffle) {
+      const orderAt = order.indexOf(entries[index]?.qid) + 1
+      nextOrder = [...order.slice(0, orderAt), entry.qid, ...order.slice(orderAt)]
+    }
+    commit({ entries: nextEntries, index: entries.length ? index : 0, order: nextOrder })
+    return true
+  }, [commit])
+
+  /**
+   * Append one or more tracks to the end of the queue (shuffled into the upcoming order)
+   */
+  const enqueue = useCallback((tracks) => {
+    const list = (Array.isArray(tracks) ? tracks : [tracks]).map(createQueueEntry).filter(Boolean)
+    const { entries, index, shuffle, order } = stateRef.current
+    const room = MAX_QUEUE_LENGTH - entries.length
+    if (!list.length || room <= 0) return false
+    const added = list.slice(0, room)
+    const nextOrder = shuffle
+      ? insertIntoUpcoming(order, added.map((e) => e.qid), order.indexOf(entries[index]?.qid))
+      : order
+    commit({ entries: [...entries, ...added], order: nextOrder })
+    return true
+  }, [commit])
+
+  /**
+   * Remove an entry by queue id, keeping the current entry selected
+   */
+  const remove = useCallback((qid) => {
+    const { entries, index, order } = stateRef.current
+    const at = entries.findIndex((e) => e.qid === qid)
+    if (at < 0) return false
+    const nextEntries = entries.filter((e) => e.qid !== qid)
+    const nextIndex = at < index ? index - 1 : index
+    commit({
+      entries: nextEntries,
+      index: clampIndex(nextIndex, nextEntries.length),
+      order: order.filter((id) => id !== qid),
+    })
+    return true
+  }, [commit])
+
+  /**
+   * Move an entry to a new position, keeping the current entry selected
+   */
+  const move = useCallback((from, to) => {
+    const { entries, index } = stateRef.current
+    if (from < 0 || from >= entries.length) return false
+    const target = clampIndex(to, entries.length)
+    if (from === target) return false
+    const currentQid = entries[index]?.qid
+    const nextEntries = moveItem(entries, from, target)
+    const nextIndex = Math.max(0, nextEntries.findIndex((e) => e.qid === currentQid))
+    commit({ entries: nextEntries, index: nextIndex })
+    return true
+  }, [commit])
+
+  /**
+   * Drop every entry after the current one
+   */
+  const clearUpcoming = useCallback(() => {
+    const { entries, index, order } = stateRef.current
+    if (entries.length <= index + 1) return false
+    const kept = entries.slice(0, index + 1)
+    const keptQids = new Set(kept.map((e) => e.qid))
+    commit({ entries: kept, order: order.filter((qid) => keptQids.has(qid)) })
+    return true
+  }, [commit])
+
+  /**
+   * Select an entry by position and return it. In shuffle mode the entry is pulled
+   * forward in the order so already-heard tracks still don't repeat.
+   */
+  const jumpTo = useCallback((position) => {
+    const { entries, index, shuffle, order } = stateRef.current
+    if (position < 0 || position >= entries.length) return null
+    let nextOrder = order
+    if (shuffle && position !== index) {
+      const qid = entries[position].qid
+      const without = order.filter((id) => id !== qid)
+      const orderAt = without.indexOf(entries[index]?.qid) + 1
+      nextOrder = [...without.slice(0, orderAt), qid, ...without.slice(orderAt)]
+    }
+    commit({ index: position, order: nextOrder })
+    return entries[position]
+  }, [commit])
+
+  /**
+   * Advance to the next (+1) or previous (-1) entry, honouring shuffle and repeat.
+   * Returns null when playback should stop (end of queue with repeat off).
+   */
+  const advance = useCallback((delta, options) => {
+    const step = resolveStep(stateRef.current, delta, options)
+    if (!step) return null
+    const next = commit(step)
+    return next.entries[next.index]
+  }, [commit])
+
+  /**
+   * Entry that advance() would most likely select, without changing the queue (used for preloading).
+   * May differ from advance() when a new shuffle pass starts.
+   */
+  const peek = useCallback((delta, options) => {
+    const step = resolveStep(stateRef.current, delta, options)
+    return step ? stateRef.current.entries[step.index] || null : null
+  }, [])
+
+  const setShuffle = useCallback((enabled) => {
+    const { entries, index } = stateRef.current
+    commit({
+      shuffle: Boolean(enabled),
+      order: enabled ? buildShuffleOrder(entries, entries[index]?.qid || null) : [],
+    })
+  }, [commit])
+
+  const toggleShuffle = useCallback(() => {
+    setShuffle(!stateRef.current.shuffle)
+  }, [setShuffle])
+
+  const setRepeat = useCallback((mode) => {
+    if (!REPEAT_MODES.includes(mode)) return
+    commit({ repeat: mode })
+  }, [commit])
+
+  const cycleRepeat = useCallback(() => {
+    const at = REPEAT_MODES.indexOf(stateRef.current.repeat)
+    commit({ repeat: REPEAT_MODES[(at + 1) % REPEAT_MODES.length] })
+  }, [commit])
+
+  // Clears the entries but keeps shuffle/repeat, which are listener preferences
+  const reset = useCallback(() => {
+    commit({ entries: [], index: 0, order: [] })
+  }, [commit])
+
+  const canNext = canStep(state, 1)
+  const canPrevious = canStep(state, -1)
+
+  return useMemo(() => ({
+    owner: state.owner,
+    entries: state.entries,
+    index: state.index,
+    current: state.entries[state.index] || null,
+    shuffle: state.shuffle,
+    repeat: state.repeat,
+    canNext,
+    canPrevious,
+    replace,
+    playNext,
+    enqueue,
+    remove,
+    move,
+    clearUpcoming,
+    jumpTo,
+    advance,
+    peek,
+    setShuffle,
+    toggleShuffle,
+    setRepeat,
+    cycleRepeat,
+    reset,
+  }), [state, canNext, canPrevious, replace, playNext, enqueue, remove, move, clearUpcoming, jumpTo, advance, peek, setShuffle, toggleShuffle, setRepeat, cycleRepeat, reset])
+}
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react'
+
+const POLL_MS = 250
+
+/**
+ * usePlaybackProgress – How far the global player is into its current track, for views outside
+ * the player (e.g. the waveform on the active TrackCard). Polls only while enabled.
+ * @param {Object} player – Player API (uses getPosition)
+ * @param {boolean} enabled – Usually "this card's track is the current one"
+ * @returns {number} Fraction 0..1
+ */
+export function usePlaybackProgress(player, enabled) {
+  const [progress, setProgress] = useState(0)
+  const getPosition = player?.getPosition
+
+  useEffect(() => {
+    if (!enabled || !getPosition) return
+    const tick = () => {
+      const { currentTime, duration } = getPosition()
+      setProgress(duration > 0 ? currentTime / duration : 0)
+    }
+    tick()
+    const id = setInterval(tick, POLL_MS)
+    return () => clearInterval(id)
+  }, [enabled, getPosition])
+
+  return enabled ? progress : 0
+}
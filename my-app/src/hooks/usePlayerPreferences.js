@@ -0,0 +1,88 @@
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import {
+  readPlayerPrefs,
+  writePlayerPrefs,
+  clampVolume,
+  clampPlaybackRate,
+} from '../utils/playerPrefs'
+import { EQ_PRESETS, CUSTOM_PRESET, clampEqGain } from '../utils/equalizer'
+
+/**
+ * usePlayerPreferences – Volume, mute, playback speed, equalizer and loudness normalization for the
+ * global player, persisted per user
+ * @param {string|null} userId – Current user's ID (from session); null uses anonymous preferences
+ * @returns {Object} Current values plus setVolume, setMuted, toggleMute, setPlaybackRate,
+ *   setEqPreset, setEqGain, setNormalize
+ */
+export function usePlayerPreferences(userId) {
+  const owner = userId || null
+  const [state, setState] = useState(() => ({ owner, ...readPlayerPrefs(owner) }))
+
+  // Load the signed-in user's preferences when the session changes
+  useEffect(() => {
+    setState((prev) => (prev.owner === owner ? prev : { owner, ...readPlayerPrefs(owner) }))
+  }, [owner])
+
+  // Persist only preferences that belong to the current user (see usePlayQueue)
+  useEffect(() => {
+    if (state.owner !== owner) return
+    writePlayerPrefs(owner, state)
+  }, [state, owner])
+
+  /**
+   * Set the volume (0..1). Raising it above zero unmutes, like most players.
+   */
+  const setVolume = useCallback((value) => {
+    const volume = clampVolume(value)
+    setState((prev) => ({ ...prev, volume, muted: volume > 0 ? false : prev.muted }))
+    return volume
+  }, [])
+
+  const setMuted = useCallback((muted) => {
+    setState((prev) => ({ ...prev, muted: Boolean(muted) }))
+  }, [])
+
+  const toggleMute = useCallback(() => {
+    setState((prev) => ({ ...prev, muted: !prev.muted }))
+  }, [])
+
+  const setPlaybackRate = useCallback((rate) => {
+    setState((prev) => ({ ...prev, playbackRate: clampPlaybackRate(rate) }))
+  }, [])
+
+  const setEqPreset = useCallback((preset) => {
+    if (!EQ_PRESETS[preset]) return
+    setState((prev) => ({ ...prev, eqPreset: preset, eqGains: EQ_PRESETS[preset].gains }))
+  }, [])
+
+  /**
+   * Change one band; the EQ then becomes a custom curve
+   */
+  const setEqGain = useCallback((band, gainDb) => {
+    setState((prev) => {
+      if (band < 0 || band >= prev.eqGains.length) return prev
+      const eqGains = prev.eqGains.map((g, i) => (i === band ? clampEqGain(gainDb) : g))
+      return { ...prev, eqPreset: CUSTOM_PRESET, eqGains }
+    })
+  }, [])
+
+  const setNormalize = useCallback((enabled) => {
+    setState((prev) => ({ ...prev, normalize: Boolean(enabled) }))
+  }, [])
+
+  return useMemo(() => ({
+    volume: state.volume,
+    muted: state.muted,
+    playbackRate: state.playbackRate,
+    eqPreset: state.eqPreset,
+    eqGains: state.eqGains,
+    normalize: state.normalize,
+    setVolume,
+    setMuted,
+    toggleMute,
+    setPlaybackRate,
+    setEqPreset,
+    setEqGain,
+    setNormalize,
+  }), [state, setVolume, setMuted, toggleMute, setPlaybackRate, setEqPreset, setEqGain, setNormalize])
+}
@@ -0,0 +1,142 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+import {
+  fetchPlaybackPosition,
+  savePlaybackPosition,
+  clearPlaybackPosition,
+  isNearEnd,
+  POSITION_SAVE_INTERVAL_MS,
+} from '../utils/playbackPosition'
+import { isSignedUrlFor } from '../utils/signedUrlCache'
+
+/**
+ * useResumePosition – Remember where the listener is inside long tracks and offer to resume there.
+ * Saves periodically while playing and on pause/page hide; clears the resume point when a track finishes.
+ * @param {Object} options – { userId, audioRef, track, activeDeck }
+ * @returns {Object} { prompt, accept, dismiss } – prompt is { trackId, position } or null
+ */
+export function useResumePosition({ userId, audioRef, track, activeDeck }) {
+  const trackId = track?.id || null
+  const audioPath = track?.audio_path || null
+  const [prompt, setPrompt] = useState(null)
+  const promptRef = useRef(null)
+  const lastSaveRef = useRef(0)
+  // Position to apply once the track's audio has loaded (accepted before it was playing)
+  const pendingSeekRef = useRef(null)
+
+  const updatePrompt = useCallback((value) => {
+    promptRef.current = value
+    setPrompt(value)
+  }, [])
+
+  // Look up a resume point whenever a different track becomes current
+  useEffect(() => {
+    updatePrompt(null)
+    pendingSeekRef.current = null
+    lastSaveRef.current = 0
+    if (!trackId) return
+    let cancelled = false
+    fetchPlaybackPosition(userId, trackId)
+      .then((saved) => {
+        if (cancelled || !saved) return
+        // Already listening past the saved point (e.g. seeked before the lookup finished)
+        const audio = audioRef.current
+        if (audio && isSignedUrlFor(audio.src, audioPath) && audio.currentTime >= saved.position) return
+        updatePrompt({ trackId, position: saved.position })
+      })
+      .catch((err) => {
+        console.warn('[useResumePosition] Could not load resume point:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [userId, trackId, audioPath, audioRef, updatePrompt])
+
+  const save = useCallback((audio) => {
+    // While the prompt is open the listener may still jump back; keep the saved point
+    if (!audio || !trackId || promptRef.current) return
+    // The new track becomes current while it is being signed; the deck still plays the old one
+    if (!isSignedUrlFor(audio.src, audioPath)) return
+    lastSaveRef.current = Date.now()
+    const { currentTime, duration } = audio
+    const request = isNearEnd(currentTime, duration)
+      ? clearPlaybackPosition(userId, trackId)
+      : savePlaybackPosition(userId, { trackId, position: currentTime, duration })
+    request.catch((err) => {
+      console.warn('[useResumePosition] Could not save resume point:', err)
+    })
+  }, [userId, trackId, audioPath])
+
+  useEffect(() => {
+    const audio = audioRef.current
+    if (!audio || !trackId) return
+    const onTime = () => {
+      if (!audio.paused && Date.now() - lastSaveRef.current >= POSITION_SAVE_INTERVAL_MS) save(audio)
+    }
+    const onPause = () => {
+      // Pausing also fires when the deck is unloaded; there is nothing to save then
+      if (audio.getAttribute('src')) save(audio)
+    }
+    const onEnded = () => {
+      if (!isSignedUrlFor(audio.src, audioPath)) return
+      clearPlaybackPosition(userId, trackId).catch((err) => {
+        console.warn('[useResumePosition] Could not clear resume point:', err)
+      })
+    }
+    const onLoaded = () => {
+      const pending = pendingSeekRef.current
+      if (pending?.trackId !== trackId) return
+      pendingSeekRef.current = null
+      audio.currentTime = pending.position
+    }
+    const onPageHide = () => {
+      if (!audio.paused) save(audio)
+    }
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') onPageHide()
+    }
+
+    audio.addEventListener('timeupdate', onTime)
+    audio.addEventListener('pause', onPause)
+    audio.addEventListener('ended', onEnded)
+    audio.addEventListener('loadedmetadata', onLoaded)
+    window.addEventListener('pagehide', onPageHide)
+    document.addEventListener('visibilitychange', onVisibility)
+    return () => {
+      audio.removeEventListener('timeupdate', onTime)
+      audio.removeEventListener('pause', onPause)
+      audio.removeEventListener('ended', onEnded)
+      audio.removeEventListener('loadedmetadata', onLoaded)
+      window.removeEventListener('pagehide', onPageHide)
+      document.removeEventListener('visibilitychange', onVisibility)
+    }
+  }, [audioRef, trackId, audioPath, activeDeck, userId, save])
+
+  /**
+   * Jump to the saved position (now, or as soon as the track's audio has loaded)
+   */
+  const accept = useCallback(() => {
+    const current = promptRef.current
+    if (!current) return
+    updatePrompt(null)
+    const audio = audioRef.current
+    if (audio && isSignedUrlFor(audio.src, audioPath) && audio.readyState >= 1) {
+      audio.currentTime = current.position
+    } else {
+      pendingSeekRef.current = current
+    }
+  }, [audioRef, audioPath, updatePrompt])
+
+  /**
+   * Start over: hide the prompt and drop the saved position
+   */
+  const dismiss = useCallback(() => {
+    const current = promptRef.current
+    if (!current) return
+    updatePrompt(null)
+    clearPlaybackPosition(userId, current.trackId).catch((err) => {
+      console.warn('[useResumePosition] Could not clear resume point:', err)
+    })
+  }, [userId, updatePrompt])
+
+  return useMemo(() => ({ prompt, accept, dismiss }), [prompt, accept, dismiss])
+}
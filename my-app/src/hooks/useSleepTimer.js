@@ -0,0 +1,97 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+
+export const SLEEP_PRESETS_MIN = [15, 30, 45, 60, 90]
+export const MAX_SLEEP_MIN = 12 * 60
+const TIMER_FADE_MS = 30 * 1000 // fade over the last 30s of a timer
+const TRACK_FADE_SEC = 10 // and over the last 10s of the track for "stop after this track"
+const TICK_MS = 250
+
+const OFF = { mode: 'off', endsAt: null }
+
+/**
+ * useSleepTimer – Stop playback after a duration or at the end of the current track, fading out first.
+ * The caller decides what stopping means (onExpire) and how the fade is applied (onFade).
+ * For mode "track" the caller also has to stop instead of advancing when the track ends.
+ * @param {Object} options – { audioRef, activeDeck, onExpire, onFade(level 0..1) }
+ * @returns {Object} { mode: 'off'|'timer'|'track', endsAt, start(minutes), stopAfterTrack, cancel, finish }
+ */
+export function useSleepTimer({ audioRef, activeDeck, onExpire, onFade }) {
+  const [state, setState] = useState(OFF)
+  const fadeLevelRef = useRef(1)
+
+  const setFade = useCallback((level) => {
+    const rounded = Math.round(Math.min(Math.max(level, 0), 1) * 100) / 100
+    if (rounded === fadeLevelRef.current) return
+    fadeLevelRef.current = rounded
+    onFade?.(rounded)
+  }, [onFade])
+
+  const cancel = useCallback(() => {
+    setState(OFF)
+    setFade(1)
+  }, [setFade])
+
+  // Stop now; the fade is lifted so the next play starts at full volume
+  const finish = useCallback(() => {
+    setState(OFF)
+    onExpire?.()
+    setFade(1)
+  }, [onExpire, setFade])
+
+  /**
+   * Start (or restart) a timer
+   * @param {number} minutes - 1..MAX_SLEEP_MIN
+   * @returns {boolean} False for an invalid duration
+   */
+  const start = useCallback((minutes) => {
+    const n = Number(minutes)
+    if (!Number.isFinite(n) || n <= 0 || n > MAX_SLEEP_MIN) return false
+    setFade(1)
+    setState({ mode: 'timer', endsAt: Date.now() + n * 60 * 1000 })
+    return true
+  }, [setFade])
+
+  const stopAfterTrack = useCallback(() => {
+    setFade(1)
+    setState({ mode: 'track', endsAt: null })
+  }, [setFade])
+
+  // Timer mode: count down on the wall clock (also while paused) and fade near the end
+  useEffect(() => {
+    if (state.mode !== 'timer') return
+    const tick = () => {
+      const remaining = state.endsAt - Date.now()
+      if (remaining <= 0) finish()
+      else setFade(remaining < TIMER_FADE_MS ? remaining / TIMER_FADE_MS : 1)
+    }
+    tick()
+    const id = setInterval(tick, TICK_MS)
+    return () => clearInterval(id)
+  }, [state, finish, setFade])
+
+  // Track mode: fade over the last seconds of whatever track is playing
+  useEffect(() => {
+    const audio = audioRef.current
+    if (state.mode !== 'track' || !audio) return
+    const onTime = () => {
+      const remaining = audio.duration - audio.currentTime
+      if (!Number.isFinite(remaining)) return
+      setFade(remaining < TRACK_FADE_SEC ? remaining / TRACK_FADE_SEC : 1)
+    }
+    audio.addEventListener('timeupdate', onTime)
+    audio.addEventListener('seeked', onTime)
+    return () => {
+      audio.removeEventListener('timeupdate', onTime)
+      audio.removeEventListener('seeked', onTime)
+    }
+  }, [state.mode, audioRef, activeDeck, setFade])
+
+  return useMemo(() => ({
+    mode: state.mode,
+    endsAt: state.endsAt,
+    start,
+    stopAfterTrack,
+    cancel,
+    finish,
+  }), [state, start, stopAfterTrack, cancel, finish])
+}
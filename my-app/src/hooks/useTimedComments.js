@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react'
+import { fetchTimedComments, subscribeToCommentChanges } from '../utils/commentUtils'
+
+const byTimestamp = (a, b) => a.timestamp_sec - b.timestamp_sec
+
+/**
+ * useTimedComments – Comments pinned to a moment in a track, kept in sync with comments
+ * posted, edited or deleted in this tab
+ * @param {number|null} trackId – Track in the player
+ * @returns {Array} Comments with timestamp_sec, ordered by timestamp
+ */
+export function useTimedComments(trackId) {
+  const [state, setState] = useState({ trackId: null, comments: [] })
+
+  useEffect(() => {
+    if (!trackId) return
+    let cancelled = false
+    fetchTimedComments(trackId)
+      .then((comments) => {
+        if (!cancelled) setState({ trackId, comments })
+      })
+      .catch((err) => {
+        console.warn('[useTimedComments] Could not load comment markers:', err)
+      })
+
+    const unsubscribe = subscribeToCommentChanges(({ type, trackId: changedId, comment }) => {
+      if (changedId !== trackId || !comment) return
+      setState((prev) => {
+        if (prev.trackId !== trackId) return prev
+        const others = prev.comments.filter((c) => c.id !== comment.id)
+        if (type === 'delete') return { trackId, comments: others }
+        if (comment.timestamp_sec == null) return { trackId, comments: others }
+        // Edits come back without the joined profile; keep the one already loaded
+        const existing = prev.comments.find((c) => c.id === comment.id)
+        const merged = { ...existing, ...comment, profiles: comment.profiles || existing?.profiles }
+        return { trackId, comments: [...others, merged].sort(byTimestamp) }
+      })
+    })
+
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [trackId])
+
+  return state.trackId === trackId ? state.comments : []
+}
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react'
+import { fetchTrackStats } from '../utils/trackStats'
+import { subscribeLikeChanges } from '../utils/likeEvents'
+
+/**
+ * useTrackStats – Like, play and comment counts for a list of tracks
+ * Only tracks without counts yet are fetched, so a list that grows page by page asks for each
+ * page once. Counts are shared by Home, Playlist and Profile through fetchTrackStats.
+ * Like counts follow the user's own likes and unlikes (from any list or the L shortcut).
+ * @param {Array} tracks – Tracks with an `id`
+ * @returns {Map} trackId -> { likes, plays, comments }
+ */
+export const useTrackStats = (tracks) => {
+  const [stats, setStats] = useState(() => new Map())
+  const idsKey = (tracks || []).map((t) => t.id).filter(Boolean).join(',')
+
+  useEffect(() => {
+    const ids = idsKey ? idsKey.split(',').map(Number).filter((id) => Number.isInteger(id) && id > 0) : []
+    const missing = ids.filter((id) => !stats.has(id))
+    if (!missing.length) return
+    let active = true
+    fetchTrackStats(missing)
+      .then((fetched) => {
+        if (!active) return
+        setStats((prev) => new Map([...prev, ...fetched]))
+      })
+      .catch((err) => {
+        console.warn('[useTrackStats] Failed to load track counts:', err)
+      })
+    return () => { active = false }
+  }, [idsKey, stats])
+
+  useEffect(() => subscribeLikeChanges((trackId, liked) => {
+    setStats((prev) => {
+      const current = prev.get(trackId)
+      if (!current) return prev
+      const next = new Map(prev)
+      next.set(trackId, { ...current, likes: Math.max(0, current.likes + (liked ? 1 : -1)) })
+      return next
+    })
+  }), [])
+
+  return stats
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react'
+import { fetchTrackPeaks, getTrackPeaks } from '../utils/waveform'
+
+/**
+ * useTrackWaveform – Waveform peaks for a track, loaded from the track record or the database.
+ * Tracks without stored peaks show none; generating them is left to the explicit backfill on
+ * the Upload page, so playing a track never downloads and decodes it a second time.
+ * @param {Object|null} track – Track to show
+ * @returns {number[]|null} Peaks 0..1, or null while loading or when unavailable
+ */
+export function useTrackWaveform(track) {
+  const trackId = track?.id ?? null
+  const storedPeaks = track?.waveform_peaks ?? null
+  const [loaded, setLoaded] = useState({ trackId: null, peaks: null })
+
+  // Keyed on the fields used, not the track object (the player recreates it on queue changes)
+  useEffect(() => {
+    const target = { id: trackId, waveform_peaks: storedPeaks }
+    if (!trackId || getTrackPeaks(target)) return
+    let cancelled = false
+    fetchTrackPeaks(target)
+      .then((peaks) => {
+        if (!cancelled) setLoaded({ trackId, peaks })
+      })
+      .catch((err) => {
+        console.warn('[useTrackWaveform] Could not load waveform:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [trackId, storedPeaks])
+
+  return getTrackPeaks(track) || (loaded.trackId === trackId ? loaded.peaks : null)
+}
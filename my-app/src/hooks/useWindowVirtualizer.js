@@ -0,0 +1,124 @@
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react'
+
+/**
+ * useWindowVirtualizer – Render only the items of a page-scrolled list that are near the viewport
+ * Items have variable heights (track cards grow when their comments open), so each rendered item
+ * is measured with a ResizeObserver; items not measured yet count as estimateSize. The skipped
+ * items are replaced by top/bottom padding so the scrollbar keeps the full length.
+ * @param {Object} options
+ * @param {Array} options.keys – Stable key per item, in order
+ * @param {number} options.estimateSize – Height in px assumed before an item is measured
+ * @param {number} options.overscan – Extra px rendered above and below the viewport
+ * @param {boolean} options.enabled – false renders everything (e.g. short lists)
+ * @returns {Object} { containerRef, start, end, paddingTop, paddingBottom, measureRef }
+ */
+export const useWindowVirtualizer = ({ keys, estimateSize = 240, overscan = 800, enabled = true }) => {
+  const containerRef = useRef(null)
+  const sizesRef = useRef(new Map())
+  const elementsRef = useRef(new Map()) // element -> key
+  const observerRef = useRef(null)
+  const [, setMeasureVersion] = useState(0) // re-render when a measured height changes
+  const [viewport, setViewport] = useState({ top: 0, bottom: typeof window === 'undefined' ? 0 : window.innerHeight })
+
+  // Viewport in list coordinates, updated at most once per frame
+  useEffect(() => {
+    if (!enabled) return
+    let frame = null
+    const update = () => {
+      frame = null
+      const el = containerRef.current
+      if (!el) return
+      const listTop = el.getBoundingClientRect().top
+      const top = Math.max(0, -listTop - overscan)
+      const bottom = -listTop + window.innerHeight + overscan
+      setViewport((prev) => (prev.top === top && prev.bottom === bottom ? prev : { top, bottom }))
+    }
+    const schedule = () => {
+      if (frame == null) frame = requestAnimationFrame(update)
+    }
+    update()
+    window.addEventListener('scroll', schedule, { passive: true })
+    window.addEventListener('resize', schedule)
+    return () => {
+      window.removeEventListener('scroll', schedule)
+      window.removeEventListener('resize', schedule)
+      if (frame != null) cancelAnimationFrame(frame)
+    }
+  }, [enabled, overscan])
+
+  useLayoutEffect(() => {
+    if (!enabled || typeof ResizeObserver === 'undefined') return
+    const observer = new ResizeObserver((entries) => {
+      let changed = false
+      entries.forEach((entry) => {
+        const key = elementsRef.current.get(entry.target)
+        if (key == null) return
+        // A card scrolled out of the window is unmounted and reports 0; keep its last height
+        if (!entry.target.isConnected) {
+          observer.unobserve(entry.target)
+          elementsRef.current.delete(entry.target)
+          return
+        }
+        const height = Math.round(entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight)
+        if (sizesRef.current.get(key) !== height) {
+          sizesRef.current.set(key, height)
+          changed = true
+        }
+      })
+      if (changed) setMeasureVersion((v) => v + 1)
+    })
+    observerRef.current = observer
+    elementsRef.current.forEach((_key, el) => observer.observe(el))
+    return () => {
+      observer.disconnect()
+      observerRef.current = null
+    }
+  }, [enabled])
+
+  // Callback ref for an item's wrapper element
+  const measureRef = useCallback((key) => (el) => {
+    const elements = elementsRef.current
+    if (el) {
+      elements.set(el, key)
+      observerRef.current?.observe(el)
+      return
+    }
+    elements.forEach((k, node) => {
+      if (k === key && !node.isConnected) {
+        observerRef.current?.unobserve(node)
+        elements.delete(node)
+      }
+    })
+  }, [])
+
+  if (!enabled) {
+    return { containerRef, measureRef, start: 0, end: keys.length, paddingTop: 0, paddingBottom: 0 }
+  }
+
+  // Walk the item heights once: first item reaching the viewport, first one starting below it
+  const sizeOf = (key) => sizesRef.current.get(key) ?? estimateSize
+  let offset = 0
+  let start = -1
+  let end = keys.length
+  let paddingTop = 0
+  for (let i = 0; i < keys.length; i++) {
+    const size = sizeOf(keys[i])
+    if (start === -1 && offset + size >= viewport.top) {
+      start = i
+      paddingTop = offset
+    }
+    if (start !== -1 && offset > viewport.bottom) {
+      end = i
+      break
+    }
+    offset += size
+  }
+  if (start === -1) {
+    start = keys.length
+    paddingTop = offset
+  }
+  let paddingBottom = 0
+  for (let i = end; i < keys.length; i++) paddingBottom += sizeOf(keys[i])
+
+  return { containerRef, measureRef, start, end, paddingTop, paddingBottom }
+}
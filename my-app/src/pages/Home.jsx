@@ -1,19 +1,21 @@
-import { useState, useEffect, lazy, Suspense, useMemo, useCallback } from 'react'
+import { useState, useEffect, useMemo, useRef, lazy, Suspense, useCallback } from 'react'
 import { Link } from 'react-router-dom'
 import { supabase, getPublicStorageUrl } from '../supabaseclient'
 import NavBar from '../components/NavBar'
 import TracksList from '../components/TracksList'
+import FollowingFeed from '../components/FollowingFeed'
 const AddToPlaylist = lazy(() => import('../components/AddToPlaylist'))
 const TrackComments = lazy(() => import('../components/TrackComments'))
 import { useLikesV2 } from '../hooks/useLikesV2'
+import { useHomeFeed } from '../hooks/useHomeFeed'
+import { useFollowingFeed } from '../hooks/useFollowingFeed'
+import { useTrackStats } from '../hooks/useTrackStats'
+import { fetchOwnWarnings } from '../utils/moderationUtils'
 
 export default function Home({ session, player }) {
-  const [tracks, setTracks] = useState([])
-  const [filteredTracks, setFilteredTracks] = useState([])
   const [genres, setGenres] = useState([])
   const [selectedGenreIds, setSelectedGenreIds] = useState([]) // was selectedGenreId
   const [showGenres, setShowGenres] = useState(false)
-  const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [displayName, setDisplayName] = useState('user')
   const [ownPlaylists, setOwnPlaylists] = useState([])
@@ -23,11 +25,19 @@ export default function Home({ session, player }) {
   const { isLiked, toggleLike, fetchLikedTracks } = useLikesV2(session?.user?.id)
   const [expandedComments, setExpandedComments] = useState(null)
 
-  // NEW: sort controls
+  // Sort controls; sorting, genre filtering and paging happen in the database
   const [sortField, setSortField] = useState('recent') // 'recent' | 'plays' | 'likes'
   const [sortOrder, setSortOrder] = useState('desc') // 'desc' | 'asc'
-  const [likeCounts, setLikeCounts] = useState(new Map())
-  const [likeCountsLoading, setLikeCountsLoading] = useState(false)
+  const feed = useHomeFeed({ sort: sortField, order: sortOrder, genreIds: selectedGenreIds })
+  const [feedTab, setFeedTab] = useState('all') // 'all' | 'following'
+  const following = useFollowingFeed({ userId: session?.user?.id, active: feedTab === 'following' })
+  const followingTracks = useMemo(
+    () => following.items.filter((item) => item.type === 'track').map((item) => item.track),
+    [following.items],
+  )
+  const visibleTracks = feedTab === 'following' ? followingTracks : feed.tracks
+  const trackStats = useTrackStats(visibleTracks)
+  const [warnings, setWarnings] = useState([]) // moderator warnings not acknowledged yet
 
   // Fetch display name (username) of the logged-in user
   useEffect(() => {
@@ -69,62 +79,6 @@ export default function Home({ session, player }) {
     }
   }, [])
 
-  const fetchTracks = useCallback(async () => {
-    setLoading(true)
-    setError(null)
-    try {
-      const { data, error } = await supabase
-        .from('tracks')
-        .select(`
-          *,
-          profiles!tracks_user_id_fkey(username, avatar_url),
-          genres(name)
-        `)
-        .eq('is_public', true)
-        .is('deleted_at', null)
-        .order('created_at', { ascending: false })
-        .limit(50)
-
-      if (error) throw error
-
-      setTracks(data || [])
-      setFilteredTracks(data || [])
-
-      // NEW: fetch like counts for these tracks (for sorting by likes)
-      const ids = (data || []).map(t => t.id).filter(Boolean)
-      setLikeCountsLoading(true)
-      try {
-        if (ids.length === 0) {
-          setLikeCounts(new Map())
-        } else {
-          const { data: likesRows, error: likesErr } = await supabase
-            .from('track_likes')
-            .select('track_id')
-            .in('track_id', ids)
-
-          if (likesErr) throw likesErr
-
-          const counts = new Map()
-          for (const row of (likesRows || [])) {
-            const tid = row.track_id
-            counts.set(tid, (counts.get(tid) || 0) + 1)
-          }
-          setLikeCounts(counts)
-        }
-      } catch (e) {
-        console.warn('Failed to load like counts:', e)
-        setLikeCounts(new Map())
-      } finally {
-        setLikeCountsLoading(false)
-      }
-    } catch (err) {
-      console.error('Error fetching tracks:', err)
-      setError('Failed to load tracks')
-    } finally {
-      setLoading(false)
-    }
-  }, [])
-
   const fetchPlaylistCovers = useCallback(async (playlists) => {
     if (!playlists || playlists.length === 0) {
       setPlaylistCovers(new Map())
@@ -186,23 +140,41 @@ export default function Home({ session, player }) {
     }
   }, [fetchPlaylistCovers])
 
-  // Fetch tracks, genres, and playlists on mount/user change
+  // Fetch genres and playlists on mount/user change (tracks come from useHomeFeed)
   useEffect(() => {
     fetchGenres()
-    fetchTracks()
     if (session?.user?.id) {
       fetchOwnPlaylists(session.user.id)
     }
-  }, [session?.user?.id, fetchGenres, fetchTracks, fetchOwnPlaylists])
+  }, [session?.user?.id, fetchGenres, fetchOwnPlaylists])
 
-  // Filter tracks when genre selection changes (now supports multi-select)
+  // Moderator warnings since the last one this user acknowledged
   useEffect(() => {
-    if (selectedGenreIds.length > 0) {
-      setFilteredTracks(tracks.filter(track => selectedGenreIds.includes(track.genre_id)))
-    } else {
-      setFilteredTracks(tracks)
+    const userId = session?.user?.id
+    if (!userId) return
+    let isMounted = true
+    let seenAt = null
+    try {
+      seenAt = localStorage.getItem(`moderation_warning_seen:${userId}`)
+    } catch {
+      // ignore storage failures
     }
-  }, [selectedGenreIds, tracks])
+    fetchOwnWarnings(userId)
+      .then((rows) => {
+        if (isMounted) setWarnings(rows.filter((w) => !seenAt || w.created_at > seenAt))
+      })
+      .catch((err) => console.warn('[Home] Could not load moderator warnings:', err))
+    return () => { isMounted = false }
+  }, [session?.user?.id])
+
+  const acknowledgeWarnings = () => {
+    try {
+      localStorage.setItem(`moderation_warning_seen:${session.user.id}`, warnings[0].created_at)
+    } catch {
+      // ignore storage failures
+    }
+    setWarnings([])
+  }
 
   const handleGenreToggle = (genreId) => {
     setSelectedGenreIds((prev) =>
@@ -227,32 +199,18 @@ export default function Home({ session, player }) {
     })
   }
 
-  // Fetch liked tracks when tracks load
+  // Liked state for each page as it arrives (only tracks not checked yet for this user)
+  const likedCheckedRef = useRef({ fetch: null, ids: new Set() })
   useEffect(() => {
-    const trackIds = tracks.map(t => t.id)
-    if (trackIds.length > 0) {
-      fetchLikedTracks(trackIds)
+    if (likedCheckedRef.current.fetch !== fetchLikedTracks) {
+      likedCheckedRef.current = { fetch: fetchLikedTracks, ids: new Set() }
     }
-  }, [tracks, fetchLikedTracks])
-
-  // NEW: apply sorting after filtering
-  const displayedTracks = useMemo(() => {
-    const arr = [...(filteredTracks || [])]
-    const dir = sortOrder === 'asc' ? 1 : -1
-
-    const getLikes = (t) => likeCounts.get(t.id) || 0
-    const getPlays = (t) => Number(t.play_count || 0)
-    const getCreated = (t) => new Date(t.created_at || 0).getTime()
-
-    arr.sort((a, b) => {
-      if (sortField === 'likes') return (getLikes(a) - getLikes(b)) * dir
-      if (sortField === 'plays') return (getPlays(a) - getPlays(b)) * dir
-      // recent
-      return (getCreated(a) - getCreated(b)) * dir
-    })
-
-    return arr
-  }, [filteredTracks, likeCounts, sortField, sortOrder])
+    const checked = likedCheckedRef.current.ids
+    const fresh = visibleTracks.map(t => t.id).filter(id => !checked.has(id))
+    if (fresh.length === 0) return
+    fresh.forEach(id => checked.add(id))
+    fetchLikedTracks(fresh, { merge: true })
+  }, [visibleTracks, fetchLikedTracks])
 
   return (
     <div className="min-h-screen bg-black text-white">
@@ -260,6 +218,26 @@ export default function Home({ session, player }) {
       <div className="max-w-5xl mx-auto mt-16 p-6 pb-32 md:pb-6">
         <h1 className="text-2xl sm:text-3xl font-bold mb-6 text-white">Nice to see you, {displayName}!</h1>
 
+        {warnings.length > 0 && (
+          <div className="mb-6 rounded border border-orange-500/60 bg-orange-500/15 p-4 text-sm" role="alert">
+            <p className="font-semibold text-orange-300 mb-2">A moderator sent you a warning</p>
+            <ul className="space-y-1 text-gray-200">
+              {warnings.map((w) => (
+                <li key={w.id}>
+                  {w.note} <span className="text-xs text-gray-400">({formatDate(w.created_at)})</span>
+                </li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              onClick={acknowledgeWarnings}
+              className="mt-3 bg-gray-700 text-white px-3 py-1 rounded text-xs hover:bg-gray-600"
+            >
+              Got it
+            </button>
+          </div>
+        )}
+
         <section className="mb-8">
           <h2 className="sm:text-xl text-lg font-semibold mb-3 text-white">Your playlists</h2>
           {ownPlaylistsLoading ? (
@@ -301,139 +279,201 @@ export default function Home({ session, player }) {
           )}
         </section>
 
-        <div className="mb-6">
-          <h2 className="text-xl font-bold mb-3 text-white">Filter by Genre</h2>
-          <div
-            className="relative inline-block"
-            onMouseEnter={() => setShowGenres(true)}
-            onMouseLeave={() => setShowGenres(false)}
-          >
+        <div className="flex gap-2 mb-6" role="tablist">
+          {[
+            { id: 'all', label: 'All tracks' },
+            { id: 'following', label: 'Following' },
+          ].map((tab) => (
             <button
+              key={tab.id}
               type="button"
-              className="px-3 py-1 rounded text-sm bg-gray-700 text-white hover:bg-gray-600"
+              role="tab"
+              aria-selected={feedTab === tab.id}
+              onClick={() => setFeedTab(tab.id)}
+              className={`px-3 py-1.5 rounded text-sm ${
+                feedTab === tab.id ? 'bg-teal-500 text-black font-semibold' : 'bg-gray-800 text-white hover:bg-gray-700'
+              }`}
             >
-              Filter{selectedGenreIds.length > 0 ? ` (${selectedGenreIds.length})` : ''}
+              {tab.label}
+              {tab.id === 'following' && feedTab !== 'following' && following.unreadCount > 0 && (
+                <span
+                  className="ml-2 rounded-full bg-teal-500 px-1.5 text-xs font-semibold text-black"
+                  aria-label={`${following.unreadCount} new`}
+                >
+                  {following.unreadCount > 99 ? '99+' : following.unreadCount}
+                </span>
+              )}
             </button>
+          ))}
+        </div>
 
-            {showGenres && (
-              <div className="absolute z-20 mt-2 w-64 rounded bg-gray-900 border border-gray-700 shadow-lg">
-                <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
-                  <span className="text-sm text-gray-300">Select genres</span>
-                  <button
-                    type="button"
-                    onClick={handleClearGenres}
-                    className="text-xs text-teal-300 hover:underline"
-                  >
-                    Clear
-                  </button>
-                </div>
-                <ul
-                  className="max-h-56 overflow-y-auto divide-y divide-gray-800"
-                  role="listbox"
-                  aria-label="Genres"
+        {feedTab === 'following' ? (
+          <>
+            {following.error && (
+              <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded mb-4">
+                {following.error}
+                <button
+                  onClick={following.reload}
+                  className="ml-4 bg-red-700 px-2 py-1 rounded text-white"
                 >
-                  {genres.map((genre) => {
-                    const selected = selectedGenreIds.includes(genre.id)
-                    return (
-                      <li
-                        key={genre.id}
-                        role="option"
-                        aria-selected={selected}
-                        onClick={() => handleGenreToggle(genre.id)}
-                        className={`cursor-pointer px-3 py-2 flex items-center justify-between ${
-                          selected ? 'bg-teal-500/20 text-teal-300' : 'hover:bg-gray-800'
-                        }`}
-                        title={genre.description}
-                      >
-                        <span>{genre.name}</span>
-                        {selected && <span className="text-teal-300">✓</span>}
-                      </li>
-                    )
-                  })}
-                </ul>
+                  Retry
+                </button>
               </div>
             )}
-          </div>
-        </div>
+            <FollowingFeed
+              feed={following}
+              player={player}
+              session={session}
+              expandedComments={expandedComments}
+              onToggleComments={(id) => setExpandedComments(expandedComments === id ? null : id)}
+              isTrackLiked={isLiked}
+              onToggleLike={toggleLike}
+              trackStats={trackStats}
+            />
+          </>
+        ) : (
+          <>
+            <div className="mb-6">
+              <h2 className="text-xl font-bold mb-3 text-white">Filter by Genre</h2>
+              <div
+                className="relative inline-block"
+                onMouseEnter={() => setShowGenres(true)}
+                onMouseLeave={() => setShowGenres(false)}
+              >
+                <button
+                  type="button"
+                  className="px-3 py-1 rounded text-sm bg-gray-700 text-white hover:bg-gray-600"
+                >
+                  Filter{selectedGenreIds.length > 0 ? ` (${selectedGenreIds.length})` : ''}
+                </button>
+
+                {showGenres && (
+                  <div className="absolute z-20 mt-2 w-64 rounded bg-gray-900 border border-gray-700 shadow-lg">
+                    <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+                      <span className="text-sm text-gray-300">Select genres</span>
+                      <button
+                        type="button"
+                        onClick={handleClearGenres}
+                        className="text-xs text-teal-300 hover:underline"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                    <ul
+                      className="max-h-56 overflow-y-auto divide-y divide-gray-800"
+                      role="listbox"
+                      aria-label="Genres"
+                    >
+                      {genres.map((genre) => {
+                        const selected = selectedGenreIds.includes(genre.id)
+                        return (
+                          <li
+                            key={genre.id}
+                            role="option"
+                            aria-selected={selected}
+                            onClick={() => handleGenreToggle(genre.id)}
+                            className={`cursor-pointer px-3 py-2 flex items-center justify-between ${
+                              selected ? 'bg-teal-500/20 text-teal-300' : 'hover:bg-gray-800'
+                            }`}
+                            title={genre.description}
+                          >
+                            <span>{genre.name}</span>
+                            {selected && <span className="text-teal-300">✓</span>}
+                          </li>
+                        )
+                      })}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="mb-6 flex flex-col sm:flex-row gap-3 sm:items-end sm:justify-between">
+              <div>
+                <h2 className="text-2xl font-bold mb-1 text-white">Recent Tracks</h2>
+                {sortField === 'likes' && (
+                  <div className="text-xs text-gray-400">Sorted by like count</div>
+                )}
+              </div>
 
-        <div className="mb-6 flex flex-col sm:flex-row gap-3 sm:items-end sm:justify-between">
-          <div>
-            <h2 className="text-2xl font-bold mb-1 text-white">Recent Tracks</h2>
-            {sortField === 'likes' && (
-              <div className="text-xs text-gray-400">
-                {likeCountsLoading ? 'Loading like counts…' : 'Sorted by like count'}
+              {/* Sort controls */}
+              <div className="flex gap-2 items-center">
+                <label className="text-sm text-gray-300">
+                  Sort by{' '}
+                  <select
+                    value={sortField}
+                    onChange={(e) => setSortField(e.target.value)}
+                    className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                  >
+                    <option value="recent">Recent</option>
+                    <option value="plays">Listening count</option>
+                    <option value="likes">Likes</option>
+                  </select>
+                </label>
+
+                <label className="text-sm text-gray-300">
+                  Order{' '}
+                  <select
+                    value={sortOrder}
+                    onChange={(e) => setSortOrder(e.target.value)}
+                    className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                  >
+                    <option value="desc">Top</option>
+                    <option value="asc">Bottom</option>
+                  </select>
+                </label>
+              </div>
+            </div>
+
+            {(error || feed.error) && (
+              <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded mb-4">
+                {error || feed.error}
+                <button 
+                  onClick={() => {
+                    setError(null)
+                    fetchGenres()
+                    feed.reload()
+                  }}
+                  className="ml-4 bg-red-700 px-2 py-1 rounded text-white"
+                >
+                  Retry
+                </button>
               </div>
             )}
-          </div>
-
-          {/* NEW: Sort controls */}
-          <div className="flex gap-2 items-center">
-            <label className="text-sm text-gray-300">
-              Sort by{' '}
-              <select
-                value={sortField}
-                onChange={(e) => setSortField(e.target.value)}
-                className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
-              >
-                <option value="recent">Recent</option>
-                <option value="plays">Listening count</option>
-                <option value="likes">Likes</option>
-              </select>
-            </label>
-
-            <label className="text-sm text-gray-300">
-              Order{' '}
-              <select
-                value={sortOrder}
-                onChange={(e) => setSortOrder(e.target.value)}
-                className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
-              >
-                <option value="desc">Top</option>
-                <option value="asc">Bottom</option>
-              </select>
-            </label>
-          </div>
-        </div>
-
-        {error && (
-          <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded mb-4">
-            {error}
-            <button 
-              onClick={fetchTracks}
-              className="ml-4 bg-red-700 px-2 py-1 rounded text-white"
-            >
-              Retry
-            </button>
-          </div>
-        )}
         
-        {loading ? (
-          <div className="text-white">Loading tracks...</div>
-        ) : displayedTracks.length === 0 ? (
-          <div className="text-white bg-gray-800 p-6 rounded">
-            {selectedGenreIds.length > 0
-              ? 'No tracks found for the selected genres. Try selecting different genres.'
-              : 'No tracks available yet.'}
-          </div>
-        ) : (
-          <TracksList
-            tracks={displayedTracks}
-            loading={false}
-            error={null}
-            profileAvatar={null}
-            player={player}
-            session={session}
-            isOwn={false}
-            formatDate={formatDate}
-            expandedComments={expandedComments}
-            onToggleComments={(id) => setExpandedComments(expandedComments === id ? null : id)}
-            isTrackLiked={isLiked}
-            onToggleLike={toggleLike}
-            likeCounts={likeCounts}
-            emptyMessage={selectedGenreIds.length > 0
-              ? 'No tracks found for the selected genres. Try selecting different genres.'
-              : 'No tracks available yet.'}
-          />
+            {feed.loading ? (
+              <div className="text-white">Loading tracks...</div>
+            ) : feed.tracks.length === 0 ? (
+              <div className="text-white bg-gray-800 p-6 rounded">
+                {selectedGenreIds.length > 0
+                  ? 'No tracks found for the selected genres. Try selecting different genres.'
+                  : 'No tracks available yet.'}
+              </div>
+            ) : (
+              <TracksList
+                tracks={feed.tracks}
+                loading={false}
+                error={null}
+                profileAvatar={null}
+                player={player}
+                session={session}
+                isOwn={false}
+                formatDate={formatDate}
+                expandedComments={expandedComments}
+                onToggleComments={(id) => setExpandedComments(expandedComments === id ? null : id)}
+                isTrackLiked={isLiked}
+                onToggleLike={toggleLike}
+                trackStats={trackStats}
+                hasMore={feed.hasMore}
+                loadingMore={feed.loadingMore}
+                onLoadMore={feed.loadMore}
+                virtualized
+                emptyMessage={selectedGenreIds.length > 0
+                  ? 'No tracks found for the selected genres. Try selecting different genres.'
+                  : 'No tracks available yet.'}
+              />
+            )}
+          </>
         )}
       </div>
     </div>
@@ -0,0 +1,291 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { supabase } from '../supabaseclient'
+import NavBar from '../components/NavBar'
+import {
+  SUSPENSION_DAYS,
+  reasonLabel,
+  fetchModerationStatus,
+  fetchReports,
+  fetchModerationLog,
+  setContentHidden,
+  warnAuthor,
+  suspendAuthor,
+  dismissReport,
+} from '../utils/moderationUtils'
+
+const TABS = [
+  { id: 'open', label: 'Open reports' },
+  { id: 'resolved', label: 'Resolved' },
+  { id: 'dismissed', label: 'Dismissed' },
+  { id: 'log', label: 'Audit log' },
+]
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '')
+
+// One report with the reported content and the moderator's actions
+const ReportCard = ({ report, onAction, busy }) => {
+  const [note, setNote] = useState('')
+  const [days, setDays] = useState(SUSPENSION_DAYS[0])
+  const content = report.target_type === 'comment' ? report.comment : report.track
+  const author = content?.author
+  const suspendedUntil = author?.suspended_until && new Date(author.suspended_until) > new Date()
+    ? author.suspended_until
+    : null
+  const isOpen = report.status === 'open'
+
+  return (
+    <li className="bg-gray-800 bg-opacity-50 p-4 rounded space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className="font-semibold text-white">
+          {report.target_type === 'comment' ? 'Comment' : 'Track'} • {reasonLabel(report.reason)}
+        </span>
+        <span className="text-xs text-gray-400">
+          Reported by {report.reporter?.username || 'Unknown'} • {formatDateTime(report.created_at)}
+        </span>
+      </div>
+      {report.details && <p className="text-sm text-gray-300 italic">“{report.details}”</p>}
+
+      <div className="rounded border border-gray-700 p-3 text-sm">
+        {!content ? (
+          <p className="text-gray-500">The reported content no longer exists.</p>
+        ) : (
+          <>
+            <p className="text-xs text-gray-400 mb-1">
+              By{' '}
+              {author ? (
+                <Link to={`/profile?user=${author.id}`} className="text-teal-300 hover:underline">
+                  {author.username}
+                </Link>
+              ) : 'Unknown'}
+              {suspendedUntil && <span className="text-red-400"> • suspended until {formatDateTime(suspendedUntil)}</span>}
+              {content.hidden_at && <span className="text-yellow-400"> • hidden</span>}
+              {content.deleted_at && <span className="text-gray-500"> • deleted by the author</span>}
+            </p>
+            {report.target_type === 'comment' ? (
+              <p className="text-gray-200 whitespace-pre-wrap wrap-break-word">{content.body}</p>
+            ) : (
+              <p className="text-gray-200">{content.title} — {content.artist}</p>
+            )}
+          </>
+        )}
+      </div>
+
+      {isOpen ? (
+        <div className="space-y-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            maxLength={1000}
+            placeholder="Note (required for a warning; it is shown to the user)"
+            className="w-full p-2 rounded bg-gray-700 text-white text-sm border border-gray-600 focus:outline-none focus:ring-2 focus:ring-teal-400 resize-none"
+          />
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              disabled={busy || !content || Boolean(content.hidden_at)}
+              onClick={() => onAction(() => setContentHidden(report, { note }))}
+              className="bg-yellow-500 text-black px-3 py-1 rounded text-sm font-semibold hover:bg-yellow-400 disabled:opacity-60"
+            >
+              Hide {report.target_type}
+            </button>
+            <button
+              type="button"
+              disabled={busy || !author || !note.trim()}
+              onClick={() => onAction(() => warnAuthor(report, note))}
+              className="bg-orange-500 text-black px-3 py-1 rounded text-sm font-semibold hover:bg-orange-400 disabled:opacity-60"
+            >
+              Warn author
+            </button>
+            <span className="flex items-center gap-1">
+              <select
+                value={days}
+                onChange={(e) => setDays(Number(e.target.value))}
+                className="rounded bg-gray-700 px-2 py-1 text-sm text-white"
+                aria-label="Suspension length"
+              >
+                {SUSPENSION_DAYS.map((d) => (
+                  <option key={d} value={d}>{d} {d === 1 ? 'day' : 'days'}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                disabled={busy || !author}
+                onClick={() => {
+                  if (confirm(`Suspend ${author.username} for ${days} ${days === 1 ? 'day' : 'days'}?`)) {
+                    onAction(() => suspendAuthor(report, { days, note }))
+                  }
+                }}
+                className="bg-red-600 text-white px-3 py-1 rounded text-sm font-semibold hover:bg-red-500 disabled:opacity-60"
+              >
+                Suspend
+              </button>
+            </span>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => onAction(() => dismissReport(report, note))}
+              className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-600 disabled:opacity-60"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-400">
+          <span>Closed {formatDateTime(report.resolved_at)}</span>
+          {content?.hidden_at && (
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => onAction(() => setContentHidden(report, { hidden: false, note }))}
+              className="text-teal-300 hover:underline disabled:opacity-60"
+            >
+              Unhide {report.target_type}
+            </button>
+          )}
+        </div>
+      )}
+    </li>
+  )
+}
+
+/*
+  Moderation.jsx
+  - Admin-only queue of reported comments and tracks (profiles.is_admin).
+  - Actions: hide the content, warn or suspend its author, or dismiss the report;
+    each one is recorded in the audit log, listed on the last tab.
+*/
+export default function Moderation({ session }) {
+  const userId = session?.user?.id
+  const [isAdmin, setIsAdmin] = useState(null) // null while checking
+  const [tab, setTab] = useState('open')
+  const [reports, setReports] = useState([])
+  const [log, setLog] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSignOut = async () => {
+    await supabase.auth.signOut()
+  }
+
+  useEffect(() => {
+    let isMounted = true
+    fetchModerationStatus(userId)
+      .then(({ isAdmin: admin }) => {
+        if (isMounted) setIsAdmin(admin)
+      })
+      .catch((err) => {
+        console.error('Error checking moderator access:', err)
+        if (isMounted) setIsAdmin(false)
+      })
+    return () => { isMounted = false }
+  }, [userId])
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      if (tab === 'log') {
+        setLog(await fetchModerationLog())
+      } else {
+        setReports(await fetchReports({ status: tab }))
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [tab])
+
+  useEffect(() => {
+    if (isAdmin) load()
+  }, [isAdmin, load])
+
+  // Run an action, then reload the list (the report usually moves to another tab)
+  const handleAction = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+      await load()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <NavBar session={session} onSignOut={handleSignOut} />
+      <div className="max-w-4xl mx-auto mt-16 p-6 bg-black bg-opacity-80 rounded-lg">
+        <h1 className="text-3xl font-bold mb-4">Moderation</h1>
+
+        {isAdmin === null ? (
+          <p className="text-gray-400">Loading...</p>
+        ) : !isAdmin ? (
+          <div className="bg-gray-800 p-4 rounded text-gray-300">
+            You do not have access to the moderation tools.
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2 mb-4" role="tablist">
+              {TABS.map((t) => (
+                <button
+                  key={t.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={tab === t.id}
+                  onClick={() => setTab(t.id)}
+                  className={`px-3 py-1.5 rounded text-sm ${
+                    tab === t.id ? 'bg-teal-500 text-black font-semibold' : 'bg-gray-800 text-white hover:bg-gray-700'
+                  }`}
+                >
+                  {t.label}
+                </button>
+              ))}
+            </div>
+
+            {error && (
+              <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded mb-4">{error}</div>
+            )}
+
+            {loading ? (
+              <p className="text-gray-400">Loading...</p>
+            ) : tab === 'log' ? (
+              log.length === 0 ? (
+                <p className="text-gray-400">No moderation actions yet.</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {log.map((entry) => (
+                    <li key={entry.id} className="bg-gray-800 bg-opacity-50 px-3 py-2 rounded">
+                      <span className="text-gray-400">{formatDateTime(entry.created_at)}</span>{' '}
+                      <span className="font-semibold">{entry.moderator?.username || 'Unknown'}</span>{' '}
+                      <span className="text-teal-300">{entry.action}</span>
+                      {entry.target_type && (
+                        <span> {entry.target_type} #{entry.comment_id ?? entry.track_id}</span>
+                      )}
+                      {entry.target_user && <span> (author: {entry.target_user.username})</span>}
+                      {entry.note && <span className="text-gray-300"> — {entry.note}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )
+            ) : reports.length === 0 ? (
+              <p className="text-gray-400">No {tab} reports.</p>
+            ) : (
+              <ul className="space-y-3">
+                {reports.map((report) => (
+                  <ReportCard key={report.id} report={report} onAction={handleAction} busy={busy} />
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -3,6 +3,7 @@ import { useLocation, useNavigate } from 'react-router-dom'
 import { supabase } from '../supabaseclient'
 import NavBar from '../components/NavBar'
 import { useLikesV2 } from '../hooks/useLikesV2'
+import { useTrackStats } from '../hooks/useTrackStats'
 import { normalizeUuid } from '../utils/securityUtils'
 import TrackCard from '../components/TrackCard'
 
@@ -15,7 +16,6 @@ export default function Playlist({ session, player }) {
 
   const [playlist, setPlaylist] = useState(null)
   const [tracks, setTracks] = useState([])
-  const [likeCounts, setLikeCounts] = useState(new Map())
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [isOwner, setIsOwner] = useState(false)
@@ -23,6 +23,13 @@ export default function Playlist({ session, player }) {
   const [expandedComments, setExpandedComments] = useState(null)
 
   const { isLiked, toggleLike, fetchLikedTracks } = useLikesV2(session?.user?.id)
+  const trackStats = useTrackStats(tracks)
+  // The owner also sees tracks that are still processing, were rejected or are hidden; only
+  // ready, visible ones are played and queued
+  const playableTracks = useMemo(
+    () => tracks.filter((t) => t.audio_path && t.processing_status === 'ready' && !t.hidden_at),
+    [tracks]
+  )
 
   const fetchPlaylist = useCallback(async () => {
     setLoading(true)
@@ -62,6 +69,10 @@ export default function Playlist({ session, player }) {
             user_id,
             created_at,
             play_count,
+            replay_gain_db,
+            waveform_peaks,
+            hidden_at,
+            processing_status,
             genres(name),
             profiles!tracks_user_id_fkey(username, avatar_url)
           )
@@ -72,7 +83,9 @@ export default function Playlist({ session, player }) {
       if (tracksError) throw tracksError
 
       const mappedTracks = (tracksData || [])
-        .filter((pt) => pt.tracks)
+        // Like the feeds, others only see tracks process-upload accepted and no moderator has hidden;
+        // the owner sees every track so failed or hidden ones can be removed
+        .filter((pt) => pt.tracks && (ownerCheck || (!pt.tracks.hidden_at && pt.tracks.processing_status === 'ready')))
         .map((pt) => ({
           ...pt.tracks,
           playlistTrackId: pt.id,
@@ -80,31 +93,6 @@ export default function Playlist({ session, player }) {
         }))
 
       setTracks(mappedTracks)
-
-      // Fetch like counts for these tracks
-      const ids = mappedTracks.map((t) => t.id).filter(Boolean)
-      if (ids.length) {
-        try {
-          const { data: likesRows, error: likesErr } = await supabase
-            .from('track_likes')
-            .select('track_id')
-            .in('track_id', ids)
-
-          if (likesErr) throw likesErr
-
-          const counts = new Map()
-          for (const row of likesRows || []) {
-            const tid = row.track_id
-            counts.set(tid, (counts.get(tid) || 0) + 1)
-          }
-          setLikeCounts(counts)
-        } catch (likesError) {
-          console.warn('Failed to load like counts for playlist tracks:', likesError)
-          setLikeCounts(new Map())
-        }
-      } else {
-        setLikeCounts(new Map())
-      }
     } catch (err) {
       console.error('Error fetching playlist:', err)
       setError(err.message)
@@ -192,6 +180,24 @@ export default function Playlist({ session, player }) {
             {tracks.length} {tracks.length === 1 ? 'track' : 'tracks'} • Created {formatDate(playlist?.created_at)} • Updated {formatDate(playlist?.updated_at)}
           </p>
           {!playlist?.is_public && <p className="text-xs text-gray-500 mt-1">🔒 Private Playlist</p>}
+          {playableTracks.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button
+                type="button"
+                onClick={() => player?.playTrack(playableTracks[0], playableTracks)}
+                className="bg-teal-500 text-black px-3 py-1.5 rounded text-sm font-semibold hover:bg-teal-400"
+              >
+                Play all
+              </button>
+              <button
+                type="button"
+                onClick={() => player?.addToQueue(playableTracks)}
+                className="bg-gray-700 text-white px-3 py-1.5 rounded text-sm hover:bg-gray-600"
+              >
+                Add all to queue
+              </button>
+            </div>
+          )}
         </div>
 
         {tracks.length === 0 ? (
@@ -204,7 +210,7 @@ export default function Playlist({ session, player }) {
               <div key={track.id} className="space-y-2">
                 <TrackCard
                   track={{ ...track, created_at: track.addedAt || track.created_at }}
-                  trackList={tracks}
+                  trackList={playableTracks}
                   idx={idx}
                   profileAvatar={track.profiles?.avatar_url}
                   player={player}
@@ -214,10 +220,13 @@ export default function Playlist({ session, player }) {
                   onToggleComments={(id) => setExpandedComments(id === expandedComments ? null : id)}
                   isTrackLiked={isLiked}
                   onToggleLike={toggleLike}
-                  likeCounts={likeCounts}
+                  trackStats={trackStats}
                 />
                 {isOwner && (
-                  <div className="flex justify-end">
+                  <div className="flex items-center justify-end gap-2">
+                    {track.hidden_at && (
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-red-500/20 text-red-300">Hidden by a moderator</span>
+                    )}
                     <button
                       type="button"
                       onClick={() => handleRemoveTrack(track.playlistTrackId)}
@@ -6,6 +6,7 @@ import UserProfile from '../components/UserProfile'
 const AddToPlaylist = lazy(() => import('../components/AddToPlaylist'))
 const TrackComments = lazy(() => import('../components/TrackComments'))
 import { useLikesV2 } from '../hooks/useLikesV2'
+import { useTrackStats } from '../hooks/useTrackStats'
 import { normalizeUuid } from '../utils/securityUtils'
 import FollowModal from '../components/FollowModal'
 import GdprExportPanel from '../components/GdprExportPanel'
@@ -54,10 +55,6 @@ export default function Profile({ session, player }) {
   const [ownPlaylistsLoading, setOwnPlaylistsLoading] = useState(false)
   const [ownPlaylistsError, setOwnPlaylistsError] = useState(null)
 
-  // Like count maps (trackId -> like count)
-  const [ownLikeCounts, setOwnLikeCounts] = useState(new Map())
-  const [publicLikeCounts, setPublicLikeCounts] = useState(new Map())
-
   const [showSettings, setShowSettings] = useState(false)
   const [followModal, setFollowModal] = useState({ open: false, type: null, userId: null })
   const [followModalUsers, setFollowModalUsers] = useState([])
@@ -68,7 +65,11 @@ export default function Profile({ session, player }) {
   const [likedTracks, setLikedTracks] = useState([])
   const [likedTracksLoading, setLikedTracksLoading] = useState(false)
   const [likedTracksError, setLikedTracksError] = useState(null)
-  const [likedTracksLikeCounts, setLikedTracksLikeCounts] = useState(new Map())
+
+  // Like, play and comment counts per list (trackId -> { likes, plays, comments })
+  const ownTrackStats = useTrackStats(ownTracks)
+  const publicTrackStats = useTrackStats(publicTracks)
+  const likedTrackStats = useTrackStats(likedTracks)
 
   // NEW: Comments expansion state
   const [expandedComments, setExpandedComments] = useState(null)
@@ -127,13 +128,15 @@ export default function Profile({ session, player }) {
         const { data: tracksData, error: tracksError } = await supabase
           .from('tracks')
           .select(`
-            id, user_id, title, artist, album, audio_path, created_at, image_path, play_count,
+            id, user_id, title, artist, album, audio_path, created_at, image_path, play_count, replay_gain_db, waveform_peaks,
             genres(name),
             profiles!tracks_user_id_fkey(username, avatar_url)
           `)
           .eq('user_id', targetUserId)
           .eq('is_public', true)
           .is('deleted_at', null)
+          .is('hidden_at', null)
+          .eq('processing_status', 'ready')
           .order('created_at', { ascending: false })
         if (tracksError) throw tracksError
 
@@ -233,7 +236,8 @@ export default function Profile({ session, player }) {
         const { data, error } = await supabase
           .from('tracks')
           .select(`
-            id, user_id, title, artist, album, audio_path, created_at, is_public, image_path, play_count,
+            id, user_id, title, artist, album, audio_path, created_at, is_public, image_path, play_count, replay_gain_db, waveform_peaks,
+            processing_status, processing_error,
             genres(name),
             profiles!tracks_user_id_fkey(username, avatar_url)
           `)
@@ -328,76 +332,6 @@ export default function Profile({ session, player }) {
     return () => { isMounted = false }
   }, [isOwnProfile, session?.user?.id])
 
-  // Compute like counts for ownTracks
-  useEffect(() => {
-    const ids = ownTracks.map(t => t.id).filter(Boolean)
-    if (!ids.length) {
-      setOwnLikeCounts(new Map())
-      return
-    }
-
-    let isMounted = true
-    const fetchOwnLikeCounts = async () => {
-      try {
-        const { data, error } = await supabase
-          .from('track_likes')
-          .select('track_id')
-          .in('track_id', ids)
-
-        if (error) throw error
-
-        const counts = new Map()
-        for (const row of data || []) {
-          const tid = row.track_id
-          counts.set(tid, (counts.get(tid) || 0) + 1)
-        }
-        if (isMounted) setOwnLikeCounts(counts)
-      } catch {
-        if (isMounted) setOwnLikeCounts(new Map())
-      }
-    }
-
-    fetchOwnLikeCounts()
-    return () => {
-      isMounted = false
-    }
-  }, [ownTracks])
-
-  // Compute like counts for publicTracks
-  useEffect(() => {
-    const ids = publicTracks.map(t => t.id).filter(Boolean)
-    if (!ids.length) {
-      setPublicLikeCounts(new Map())
-      return
-    }
-
-    let isMounted = true
-    const fetchPublicLikeCounts = async () => {
-      try {
-        const { data, error } = await supabase
-          .from('track_likes')
-          .select('track_id')
-          .in('track_id', ids)
-
-        if (error) throw error
-
-        const counts = new Map()
-        for (const row of data || []) {
-          const tid = row.track_id
-          counts.set(tid, (counts.get(tid) || 0) + 1)
-        }
-        if (isMounted) setPublicLikeCounts(counts)
-      } catch {
-        if (isMounted) setPublicLikeCounts(new Map())
-      }
-    }
-
-    fetchPublicLikeCounts()
-    return () => {
-      isMounted = false
-    }
-  }, [publicTracks])
-
   const handleFollowToggle = async () => {
     if (!session?.user?.id || !targetUserId) return
     setFollowError(null)
@@ -509,6 +443,8 @@ export default function Profile({ session, player }) {
               image_path,
               user_id,
               play_count,
+              replay_gain_db,
+              waveform_peaks,
               genres (name),
               profiles!tracks_user_id_fkey(username, avatar_url)
             )
@@ -534,7 +470,6 @@ export default function Profile({ session, player }) {
         if (isMounted) {
           setLikedTracksError(err.message)
           setLikedTracks([])
-          setLikedTracksLikeCounts(new Map())
         }
       } finally {
         if (isMounted) setLikedTracksLoading(false)
@@ -545,42 +480,6 @@ export default function Profile({ session, player }) {
     return () => { isMounted = false }
   }, [isOwnProfile, session?.user?.id, fetchLikedTracksTracks])
 
-  // Compute like counts for liked tracks
-  useEffect(() => {
-    const ids = likedTracks.map((t) => t.id).filter(Boolean)
-    if (!ids.length) {
-      setLikedTracksLikeCounts(new Map())
-      return
-    }
-
-    let active = true
-    const loadCounts = async () => {
-      try {
-        const { data, error } = await supabase
-          .from('track_likes')
-          .select('track_id')
-          .in('track_id', ids)
-
-        if (error) throw error
-
-        const counts = new Map()
-        for (const row of data || []) {
-          const tid = row.track_id
-          counts.set(tid, (counts.get(tid) || 0) + 1)
-        }
-        if (active) setLikedTracksLikeCounts(counts)
-      } catch (err) {
-        if (active) {
-          console.warn('Failed to load liked track counts', err)
-          setLikedTracksLikeCounts(new Map())
-        }
-      }
-    }
-
-    loadCounts()
-    return () => { active = false }
-  }, [likedTracks])
-
   // Fetch liked tracks when own tracks load
   useEffect(() => {
     const trackIds = ownTracks.map(t => t.id)
@@ -646,7 +545,7 @@ export default function Profile({ session, player }) {
                       onToggleComments={(id) => setExpandedComments(id === expandedComments ? null : id)}
                       isTrackLiked={isOwnTrackLiked}
                       onToggleLike={toggleOwnTrackLike}
-                      likeCounts={ownLikeCounts}
+                      trackStats={ownTrackStats}
                       emptyMessage="You haven't uploaded any tracks yet."
                     />
                   </div>
@@ -665,7 +564,7 @@ export default function Profile({ session, player }) {
                       session={session}
                       isTrackLiked={isLikedTrackLiked}
                       onToggleLike={toggleLikedTrackLike}
-                      likeCounts={likedTracksLikeCounts}
+                      trackStats={likedTrackStats}
                     />
                   </div>
                 </div>
@@ -727,7 +626,7 @@ export default function Profile({ session, player }) {
                     onToggleComments={(id) => setExpandedComments(id === expandedComments ? null : id)}
                     isTrackLiked={isPublicTrackLiked}
                     onToggleLike={togglePublicTrackLike}
-                      likeCounts={publicLikeCounts}
+                      trackStats={publicTrackStats}
                     emptyMessage="No public tracks yet."
                   />
                 </div>
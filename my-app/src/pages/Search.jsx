@@ -0,0 +1,221 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import { supabase } from '../supabaseclient'
+import NavBar from '../components/NavBar'
+import TracksList from '../components/TracksList'
+import { useLikesV2 } from '../hooks/useLikesV2'
+import { useTrackStats } from '../hooks/useTrackStats'
+import {
+  SEARCH_TYPES,
+  SEARCH_PAGE_SIZE,
+  normalizeSearchQuery,
+  searchByType,
+  countSearchResults,
+  searchUrl,
+} from '../utils/searchUtils'
+
+/*
+  Search.jsx
+  - Results for /search?q=...&type=tracks|playlists|people; the URL is the whole state,
+    so a search can be shared or bookmarked. The NavBar search box writes it.
+  - One tab per entity type with its result count; each tab pages with "Load more".
+*/
+export default function Search({ session, player }) {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const params = useMemo(() => new URLSearchParams(location.search), [location.search])
+  const query = normalizeSearchQuery(params.get('q'))
+  const type = SEARCH_TYPES.some((t) => t.id === params.get('type')) ? params.get('type') : 'tracks'
+
+  const [counts, setCounts] = useState(null)
+  const [items, setItems] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+  const [expandedComments, setExpandedComments] = useState(null)
+  // Pages that resolve after the query or tab changed are dropped
+  const requestRef = useRef(0)
+  const { isLiked, toggleLike, fetchLikedTracks } = useLikesV2(session?.user?.id)
+  const trackStats = useTrackStats(type === 'tracks' ? items : null)
+
+  const handleSignOut = async () => {
+    await supabase.auth.signOut()
+  }
+
+  // Tab counts, once per query
+  useEffect(() => {
+    if (!query) {
+      setCounts(null)
+      return
+    }
+    let isMounted = true
+    countSearchResults(query).then((next) => {
+      if (isMounted) setCounts(next)
+    })
+    return () => { isMounted = false }
+  }, [query])
+
+  // First page of the active tab
+  useEffect(() => {
+    const requestId = ++requestRef.current
+    setItems([])
+    setTotal(0)
+    setError(null)
+    setLoadingMore(false)
+    if (!query) return
+    setLoading(true)
+    searchByType(type, query)
+      .then(({ items: found, count }) => {
+        if (requestId !== requestRef.current) return
+        setItems(found)
+        setTotal(count)
+      })
+      .catch((err) => {
+        console.error('Search error:', err)
+        if (requestId === requestRef.current) setError('Search failed. Please try again.')
+      })
+      .finally(() => {
+        if (requestId === requestRef.current) setLoading(false)
+      })
+  }, [query, type])
+
+  useEffect(() => {
+    if (type !== 'tracks') return
+    const ids = items.map((t) => t.id)
+    if (ids.length > 0) fetchLikedTracks(ids)
+  }, [type, items, fetchLikedTracks])
+
+  const loadMore = async () => {
+    if (loading || loadingMore) return
+    const requestId = requestRef.current
+    setLoadingMore(true)
+    try {
+      const { items: more } = await searchByType(type, query, { offset: items.length, limit: SEARCH_PAGE_SIZE })
+      if (requestId !== requestRef.current) return
+      setItems((prev) => [...prev, ...more.filter((m) => !prev.some((p) => p.id === m.id))])
+    } catch (err) {
+      console.error('Search error:', err)
+      if (requestId === requestRef.current) setError('Search failed. Please try again.')
+    } finally {
+      if (requestId === requestRef.current) setLoadingMore(false)
+    }
+  }
+
+  const renderResults = () => {
+    if (loading) return <p className="text-gray-400">Searching...</p>
+    if (error) return <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded">{error}</div>
+    if (type === 'tracks') {
+      return (
+        <TracksList
+          tracks={items}
+          loading={false}
+          error={null}
+          profileAvatar={null}
+          player={player}
+          session={session}
+          isOwn={false}
+          expandedComments={expandedComments}
+          onToggleComments={(id) => setExpandedComments(expandedComments === id ? null : id)}
+          isTrackLiked={isLiked}
+          onToggleLike={toggleLike}
+          trackStats={trackStats}
+          emptyMessage={`No tracks match “${query}”.`}
+        />
+      )
+    }
+    if (items.length === 0) {
+      return (
+        <div className="text-gray-300 bg-gray-800 p-4 rounded">
+          No {type === 'people' ? 'people' : 'playlists'} match “{query}”.
+        </div>
+      )
+    }
+    if (type === 'playlists') {
+      return (
+        <ul className="space-y-2">
+          {items.map((playlist) => (
+            <li key={playlist.id}>
+              <Link
+                to={`/playlist?id=${playlist.id}`}
+                className="block bg-gray-800 hover:bg-gray-700 px-4 py-3 rounded transition"
+              >
+                <p className="text-white font-semibold truncate">{playlist.title}</p>
+                <p className="text-xs text-gray-400 mt-1 truncate">
+                  {playlist.ownerProfile?.username ? `by ${playlist.ownerProfile.username}` : 'Playlist'}
+                  {playlist.description && ` • ${playlist.description}`}
+                </p>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )
+    }
+    return (
+      <ul className="grid gap-3 grid-cols-1 sm:grid-cols-2">
+        {items.map((profile) => (
+          <li key={profile.id}>
+            <Link
+              to={`/profile?user=${profile.id}`}
+              className="flex items-center gap-3 bg-gray-800 hover:bg-gray-700 px-4 py-3 rounded transition"
+            >
+              <img
+                src={profile.avatar_url || '/images/default-avatar.png'}
+                alt=""
+                className="w-10 h-10 rounded-full object-cover"
+                onError={(e) => { e.target.src = '/images/default-avatar.png' }}
+              />
+              <div className="min-w-0">
+                <p className="text-white font-semibold truncate">{profile.username}</p>
+                {profile.bio && <p className="text-xs text-gray-400 truncate">{profile.bio}</p>}
+              </div>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <NavBar session={session} onSignOut={handleSignOut} />
+      <div className="max-w-5xl mx-auto mt-16 p-6 pb-32 md:pb-6">
+        {!query ? (
+          <p className="text-gray-300">Type in the search box to find tracks, playlists and people.</p>
+        ) : (
+          <>
+            <h1 className="text-2xl sm:text-3xl font-bold mb-4 text-white truncate">Results for “{query}”</h1>
+            <div className="flex flex-wrap gap-2 mb-6" role="tablist">
+              {SEARCH_TYPES.map((t) => (
+                <button
+                  key={t.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={type === t.id}
+                  onClick={() => navigate(searchUrl(query, t.id), { replace: true })}
+                  className={`px-3 py-1.5 rounded text-sm ${
+                    type === t.id ? 'bg-teal-500 text-black font-semibold' : 'bg-gray-800 text-white hover:bg-gray-700'
+                  }`}
+                >
+                  {t.label}
+                  {counts && <span className="ml-1 opacity-75">({counts[t.id]})</span>}
+                </button>
+              ))}
+            </div>
+            {renderResults()}
+            {!loading && !error && items.length < total && (
+              <button
+                type="button"
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="mt-4 w-full rounded bg-gray-800 py-2 text-sm text-teal-300 hover:bg-gray-700 disabled:opacity-60"
+              >
+                {loadingMore ? 'Loading...' : 'Load more results'}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
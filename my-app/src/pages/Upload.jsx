@@ -1,9 +1,20 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { supabase, getPublicStorageUrl } from '../supabaseclient'
 import imageCompression from 'browser-image-compression'
 import NavBar from '../components/NavBar'
 import AddToPlaylist from '../components/AddToPlaylist'
+import UploadBatchList from '../components/UploadBatchList'
+import TrackProcessingStatus from '../components/TrackProcessingStatus'
 import { validateFileUpload } from '../utils/securityUtils'
+import { analyzeLoudness } from '../utils/loudness'
+import { decodeAudioFile, readAudioDuration } from '../utils/audioDecode'
+import { computePeaks, canBackfillPeaks, backfillTrackPeaks } from '../utils/waveform'
+import { assertNotSuspended } from '../utils/moderationUtils'
+import { createResumableUpload } from '../utils/resumableUpload'
+import { metadataFromFileName } from '../utils/trackMetadata'
+import { readAudioTags } from '../utils/audioTags'
+import { transcodeToMp3, MP3_BITRATES } from '../utils/audioTranscode'
+import { formatPlaybackTime } from '../utils/playbackPosition'
 
 //This code allows users to upload audio tracks and manage them.
 
@@ -14,110 +25,63 @@ const sanitizeFileName = (name) => {
 
 const BYTES_PER_MB = 1024 * 1024
 const MAX_IMAGE_MB = 5
-const MAX_AUDIO_MB = 10
-const ALLOWED_AUDIO_TYPES = ['audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/aac', 'audio/ogg', 'audio/flac']
+const MAX_AUDIO_MB = 500 // uploads are chunked and resumable (utils/resumableUpload.js)
+const ALLOWED_AUDIO_TYPES = ['audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/aac', 'audio/mp4', 'audio/x-m4a', 'audio/ogg', 'audio/flac']
 const TRANSCODE_AUDIO_TYPES = ['audio/wav', 'audio/x-wav', 'audio/flac']
-const MAX_TRANSCODE_DURATION_SEC = 240 // avoid long waits
-
-const pickSupportedMime = () => {
-  const candidates = [
-    'audio/ogg;codecs=opus',
-    'audio/ogg',
-    'audio/mpeg', // mp3
-    'audio/mp4;codecs=mp4a.40.2', // aac/mp4
-  ]
-  for (const c of candidates) {
-    if (MediaRecorder?.isTypeSupported?.(c)) return c
+const DEFAULT_MP3_BITRATE = 192 // for oversized files when "Keep original" is selected
+const BATCH_CONCURRENCY = 2 // files of a batch uploading at the same time
+// Loudness and peaks need the whole file decoded to PCM in this tab; past these limits that
+// costs gigabytes, so such uploads skip the analysis instead
+const MAX_ANALYSIS_MB = 200
+const MAX_ANALYSIS_DURATION_SEC = 15 * 60
+const PROCESSING_POLL_MS = 4000
+const PROCESSING_POLL_WINDOW_MS = 15 * 60 * 1000 // stop asking about uploads stuck longer than this
+
+// Run worker over items with at most `limit` in flight; results keep the input order
+const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length)
+  let next = 0
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await worker(items[i], i)
+    }
   }
-  return null
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane))
+  return results
 }
 
-// Faster guard: only transcode bulky WAV/FLAC to allowed mime when over limit; otherwise just validate
-const compressAudioIfNeeded = async (file) => {
+// WAV/FLAC become MP3 when a bitrate is chosen or when they are over the limit; other
+// formats are uploaded as they are
+const compressAudioIfNeeded = async (file, { bitrate, onProgress, signal } = {}) => {
   if (!file) throw new Error('No audio file provided.')
   if (!ALLOWED_AUDIO_TYPES.includes(file.type)) {
-    throw new Error('Unsupported audio type. Please upload mp3, wav, aac, ogg, or flac under 10MB.')
-  }
-  if (file.size <= MAX_AUDIO_MB * BYTES_PER_MB) return file
-
-  if (!TRANSCODE_AUDIO_TYPES.includes(file.type)) {
-    throw new Error('Audio is over 10MB. Please compress to MP3/OGG/AAC under 10MB before uploading.')
-  }
-
-  const mime = pickSupportedMime()
-  if (!mime || typeof AudioContext === 'undefined') {
-    throw new Error('Browser cannot compress this audio. Please compress to MP3/OGG/AAC under 10MB and retry.')
-  }
-
-  const buffer = await file.arrayBuffer()
-  const audioCtx = new AudioContext()
-  const decoded = await audioCtx.decodeAudioData(buffer.slice(0))
-
-  if (decoded.duration > MAX_TRANSCODE_DURATION_SEC) {
-    audioCtx.close()
-    throw new Error(`Audio is too long to compress in-browser (> ${Math.round(MAX_TRANSCODE_DURATION_SEC / 60)} min). Please compress offline under 10MB.`)
+    throw new Error(`Unsupported audio type. Please upload mp3, wav, aac, m4a, ogg, or flac under ${MAX_AUDIO_MB}MB.`)
   }
+  const oversized = file.size > MAX_AUDIO_MB * BYTES_PER_MB
+  const lossless = TRANSCODE_AUDIO_TYPES.includes(file.type)
+  if (!oversized && !(bitrate && lossless)) return file
 
-  const destination = audioCtx.createMediaStreamDestination()
-  const source = audioCtx.createBufferSource()
-  source.buffer = decoded
-  source.connect(destination)
-
-  const recorder = new MediaRecorder(destination.stream, { mimeType: mime, audioBitsPerSecond: 128000 })
-  const chunks = []
-  recorder.ondataavailable = (e) => e.data && chunks.push(e.data)
-
-  const stopped = new Promise((resolve, reject) => {
-    recorder.onstop = resolve
-    recorder.onerror = (ev) => reject(ev.error || new Error('Transcode failed'))
-  })
-
-  // Ensure we stop when the buffer finishes playing
-  source.onended = () => {
-    if (recorder.state === 'recording') recorder.stop()
+  if (!lossless) {
+    throw new Error(`Audio is over ${MAX_AUDIO_MB}MB. Please compress to MP3/OGG/AAC under ${MAX_AUDIO_MB}MB before uploading.`)
   }
 
-  recorder.start()
-  source.start()
-
-  const timeoutMs = decoded.duration * 1000 + 5000
-  const result = await Promise.race([
-    stopped,
-    new Promise((resolve) => setTimeout(() => resolve('timeout'), timeoutMs)),
-  ])
-
-  if (result === 'timeout') {
-    if (recorder.state === 'recording') recorder.stop()
-    source.stop()
-    audioCtx.close()
-    throw new Error('Transcode timed out')
+  const converted = await transcodeToMp3(file, { bitrate: bitrate || DEFAULT_MP3_BITRATE, onProgress, signal })
+  if (converted.size > MAX_AUDIO_MB * BYTES_PER_MB) {
+    throw new Error(`Audio is still over ${MAX_AUDIO_MB}MB after conversion. Please choose a lower bitrate or compress externally.`)
   }
-
-  // Ensure recorder is stopped before continuing
-  if (recorder.state === 'recording') recorder.stop()
-  await stopped
-  audioCtx.close()
-
-  const outBlob = new Blob(chunks, { type: mime })
-  if (!outBlob.size || outBlob.size >= file.size) {
-    throw new Error('Could not shrink audio below 10MB. Please compress externally and retry.')
-  }
-  if (outBlob.size > MAX_AUDIO_MB * BYTES_PER_MB) {
-    throw new Error('Audio is still over 10MB after compression. Please compress externally.')
-  }
-
-  const targetExt = mime.includes('ogg') ? 'ogg' : mime.includes('mpeg') ? 'mp3' : 'm4a'
-  const newName = `${file.name.replace(/\.[^.]+$/, '')}.${targetExt}`
-  return new File([outBlob], newName, { type: mime.includes('mp4') ? 'audio/aac' : mime })
+  return converted
 }
 
 export default function Upload({ session, player }) {
-  const [title, setTitle] = useState('')
   const [artist, setArtist] = useState('')
   const [genreId, setGenreId] = useState(null)
   const [album, setAlbum] = useState('')
   const [isPublic, setIsPublic] = useState(true)
-  const [file, setFile] = useState(null)
+  const [batch, setBatch] = useState([]) // one entry per audio file, see addAudioFiles
+  const [dragActive, setDragActive] = useState(false)
+  const [saveAsPlaylist, setSaveAsPlaylist] = useState(false)
+  const [mp3Bitrate, setMp3Bitrate] = useState(null) // null keeps WAV/FLAC as they are
   const [imageFile, setImageFile] = useState(null)
   const [profileAvatarUrl, setProfileAvatarUrl] = useState(null)
   const [loading, setLoading] = useState(false)
@@ -130,6 +94,22 @@ export default function Upload({ session, player }) {
   const [imageProcessingTrackId, setImageProcessingTrackId] = useState(null)
   const [editingMetadata, setEditingMetadata] = useState({})
   const [metadataSavingId, setMetadataSavingId] = useState(null)
+  const [waveformBackfill, setWaveformBackfill] = useState(null) // { done, total } while running
+  const uploadControllersRef = useRef(new Map()) // batch entry key -> createResumableUpload controller
+  const transcodeControllersRef = useRef(new Map()) // batch entry key -> AbortController of its MP3 conversion
+  const releaseCoverRef = useRef(null) // { file, path } of the cover already uploaded for this batch
+  const coverClaimRef = useRef(null) // 'user' once an image is chosen, 'tags' once embedded art is used
+  const [coverSource, setCoverSource] = useState(null) // audio file whose embedded art is the cover
+
+  // Leaving the page stops conversions and transfers; picking the same files later resumes uploads
+  useEffect(() => {
+    const controllers = uploadControllersRef.current
+    const transcodes = transcodeControllersRef.current
+    return () => {
+      transcodes.forEach((controller) => controller.abort())
+      controllers.forEach((upload) => upload.abort())
+    }
+  }, [])
   
   useEffect(() => {
     if (!session?.user?.id) return
@@ -218,42 +198,128 @@ export default function Upload({ session, player }) {
     })
   }, [tracks])
 
-  const handleFileChange = async (e) => {
-    const selectedFile = e.target.files?.[0]
-    if (!selectedFile) return
-    // Allow larger upfront so we can attempt compression/transcode before rejecting
-    const v = validateFileUpload(selectedFile, {
-      maxSizeMB: 100,
-      allowedTypes: ALLOWED_AUDIO_TYPES,
-      allowedExtensions: ['.mp3', '.wav', '.ogg', '.aac', '.flac'],
+  // The process-upload function checks new tracks shortly after they are saved; follow their status
+  useEffect(() => {
+    const pendingIds = tracks
+      .filter((t) => t.processing_status === 'processing' && Date.now() - new Date(t.created_at).getTime() < PROCESSING_POLL_WINDOW_MS)
+      .map((t) => t.id)
+    if (!pendingIds.length) return
+    const timer = setInterval(async () => {
+      const { data, error } = await supabase
+        .from('tracks')
+        .select('id, processing_status, processing_error, duration_sec, mime_type, file_size')
+        .in('id', pendingIds)
+      if (error) {
+        console.warn('[Upload] Could not refresh processing status', error)
+        return
+      }
+      const settled = (data || []).filter((row) => row.processing_status !== 'processing')
+      if (!settled.length) return
+      setTracks((prev) => prev.map((t) => ({ ...t, ...settled.find((row) => row.id === t.id) })))
+    }, PROCESSING_POLL_MS)
+    return () => clearInterval(timer)
+  }, [tracks])
+
+  const updateEntry = (key, patch) => {
+    setBatch((prev) => prev.map((entry) => (entry.key === key ? { ...entry, ...patch } : entry)))
+  }
+
+  // Each file becomes an editable batch entry, prefilled from its name
+  const addAudioFiles = (fileList) => {
+    const rejected = []
+    const added = []
+    Array.from(fileList || []).forEach((selectedFile) => {
+      // Allow larger upfront so we can attempt compression/transcode before rejecting
+      const v = validateFileUpload(selectedFile, {
+        maxSizeMB: MAX_AUDIO_MB * 4,
+        allowedTypes: ALLOWED_AUDIO_TYPES,
+        allowedExtensions: ['.mp3', '.wav', '.ogg', '.aac', '.m4a', '.flac'],
+      })
+      if (!v.isValid) {
+        rejected.push(`${selectedFile.name}: ${v.error}`)
+        return
+      }
+      const guess = metadataFromFileName(selectedFile.name)
+      added.push({
+        key: `${selectedFile.name}:${selectedFile.size}:${selectedFile.lastModified}`,
+        file: selectedFile,
+        title: guess.title,
+        artist: guess.artist,
+        album: '',
+        trackNumber: guess.trackNumber,
+        genreId: null,
+        status: 'idle',
+        loaded: 0,
+        total: selectedFile.size,
+        error: null,
+      })
     })
-    if (!v.isValid) {
-      setError(v.error)
-      setFile(null)
-      e.target.value = ''
-      return
-    }
-    setError(null)
+    setBatch((prev) => [...prev, ...added.filter((entry) => !prev.some((p) => p.key === entry.key))])
     setSuccess(null)
-    // Keep the original selection so the form doesn't think it's empty
-    setFile(selectedFile)
+    setError(rejected.length ? rejected.join(' ') : null)
+    // Read tags from the original files; compressAudioIfNeeded drops them when it transcodes
+    added.forEach((entry) => applyAudioTags(entry))
+  }
+
+  // Embedded tags replace the file-name guesses in fields the user has not edited yet
+  const applyAudioTags = async (entry) => {
+    const tags = await readAudioTags(entry.file)
+    const genre = tags.genre && genres.find((g) => g.name.toLowerCase() === tags.genre.toLowerCase())
+    setBatch((prev) => prev.map((current) => {
+      if (current.key !== entry.key) return current
+      const fill = (field, value) => (value && current[field] === entry[field] ? value : current[field])
+      return {
+        ...current,
+        title: fill('title', tags.title),
+        artist: fill('artist', tags.artist),
+        album: fill('album', tags.album),
+        trackNumber: fill('trackNumber', tags.trackNumber),
+        genreId: fill('genreId', genre?.id),
+      }
+    }))
+    if (tags.album) setAlbum((prev) => prev || tags.album)
+    if (tags.picture && !coverClaimRef.current) {
+      coverClaimRef.current = 'tags'
+      await applyEmbeddedCover(tags.picture, entry.file.name)
+    }
+  }
+
+  // The first embedded artwork becomes the release cover unless the user picks an image
+  const applyEmbeddedCover = async (picture, sourceName) => {
     try {
-      const validated = await compressAudioIfNeeded(selectedFile)
-      if (validated.size > MAX_AUDIO_MB * BYTES_PER_MB) {
-        throw new Error('Audio is too large after compression. Please keep it under 10MB.')
+      const extension = picture.type === 'image/png' ? 'png' : 'jpg'
+      const artwork = new File([picture], `${sourceName.replace(/\.[^.]+$/, '')}-cover.${extension}`, { type: picture.type })
+      const compressOptions = { maxSizeMB: 0.8, maxWidthOrHeight: 512, useWebWorker: true, initialQuality: 0.8 }
+      let compressedBlob
+      try {
+        compressedBlob = await imageCompression(artwork, compressOptions)
+      } catch (compErr) {
+        console.warn('Image compression failed, using embedded artwork as is', compErr)
+        compressedBlob = artwork
       }
-      setFile(validated)
-      if (validated !== selectedFile) setSuccess('Audio compressed for upload.')
+      if (compressedBlob.size > MAX_IMAGE_MB * BYTES_PER_MB || coverClaimRef.current !== 'tags') return
+      setImageFile(new File(
+        [compressedBlob],
+        `${Date.now()}-${sanitizeFileName(artwork.name)}`,
+        { type: compressedBlob.type || artwork.type }
+      ))
+      setCoverSource(sourceName)
     } catch (err) {
-      setError(err.message)
-      // Only clear if we truly cannot proceed (e.g., still >10MB or unsupported)
-      if (selectedFile.size > MAX_AUDIO_MB * BYTES_PER_MB) {
-        setFile(null)
-        e.target.value = ''
-      }
+      console.warn('[Upload] Could not use embedded cover art', err)
     }
   }
-  
+
+  const handleFileChange = (e) => {
+    addAudioFiles(e.target.files)
+    e.target.value = ''
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragActive(false)
+    if (!loading) addAudioFiles(e.dataTransfer?.files)
+  }
+
   const handleImageChange = async (e) => {
     const selectedImage = e.target.files?.[0]
     if (!selectedImage) return
@@ -270,6 +336,8 @@ export default function Upload({ session, player }) {
       return
     }
     setError(null)
+    coverClaimRef.current = 'user'
+    setCoverSource(null)
     // Keep original so form isn't empty while compressing
     setImageFile(selectedImage)
     try {
@@ -303,131 +371,247 @@ export default function Upload({ session, player }) {
     setGenreId(id === genreId ? null : id) // Toggle selection
   }
   
+  // Compress, analyse, upload and insert one batch entry; returns the new track id
+  const uploadEntry = async (entry, imagePath) => {
+    updateEntry(entry.key, { status: 'preparing', error: null })
+    const transcode = new AbortController()
+    transcodeControllersRef.current.set(entry.key, transcode)
+    let audioToUpload
+    try {
+      audioToUpload = await compressAudioIfNeeded(entry.file, {
+        bitrate: mp3Bitrate,
+        onProgress: (progress) => updateEntry(entry.key, { status: 'transcoding', progress }),
+        signal: transcode.signal,
+      })
+    } finally {
+      transcodeControllersRef.current.delete(entry.key)
+    }
+    if (audioToUpload !== entry.file) updateEntry(entry.key, { status: 'preparing' })
+
+    // Measure loudness for playback normalization and draw the waveform peaks; the upload
+    // goes ahead without them for long or large files and if the browser cannot decode this file
+    let loudness = null
+    let peaks = null
+    try {
+      const duration = audioToUpload.size <= MAX_ANALYSIS_MB * BYTES_PER_MB ? await readAudioDuration(audioToUpload) : null
+      const decoded = duration != null && duration <= MAX_ANALYSIS_DURATION_SEC ? await decodeAudioFile(audioToUpload) : null
+      if (decoded) {
+        peaks = computePeaks(decoded)
+        loudness = await analyzeLoudness(decoded)
+      }
+    } catch (analysisErr) {
+      console.warn('Audio analysis failed, uploading without normalization and waveform data', analysisErr)
+    }
+
+    const fileName = `${Date.now()}-${sanitizeFileName(audioToUpload.name)}`
+    const filePath = `${session.user.id}/${fileName}`
+
+    // Upload audio file in resumable chunks (a retried file continues at its old path)
+    const upload = createResumableUpload({
+      bucket: 'audio',
+      path: filePath,
+      file: audioToUpload,
+      upsert: true,
+      onProgress: (loaded, total) => updateEntry(entry.key, { loaded, total }),
+      onStatus: (status) => updateEntry(entry.key, { status }),
+    })
+    uploadControllersRef.current.set(entry.key, upload)
+    let audioPath
+    try {
+      audioPath = (await upload.start()).path
+    } catch (uploadError) {
+      throw new Error(`Upload error: ${uploadError.message}`)
+    } finally {
+      uploadControllersRef.current.delete(entry.key)
+    }
+
+    // Create a record in the tracks table with the path only
+    updateEntry(entry.key, { status: 'saving' })
+    const { data, error: insertError } = await supabase
+      .from('tracks')
+      .insert({
+        user_id: session.user.id,
+        title: entry.title.trim(),
+        artist: entry.artist.trim() || artist.trim(),
+        genre_id: entry.genreId ?? genreId,
+        album: entry.album.trim() || album.trim(),
+        track_number: entry.trackNumber || null,
+        audio_path: audioPath,
+        mime_type: audioToUpload.type,
+        file_size: audioToUpload.size,
+        loudness_lufs: loudness?.loudnessLufs ?? null,
+        replay_gain_db: loudness?.gainDb ?? null,
+        waveform_peaks: peaks,
+        is_public: isPublic,
+        image_path: imagePath,
+      })
+      .select('id')
+      .single()
+    if (insertError) {
+      throw new Error(`Database error: ${insertError.message}`)
+    }
+    updateEntry(entry.key, { status: 'done', trackId: data.id })
+    return data.id
+  }
+
+  // The shared cover goes up once per batch, also when failed files are retried
+  const uploadReleaseCover = async () => {
+    if (releaseCoverRef.current?.file === imageFile) return releaseCoverRef.current.path
+
+    // Compress cover image before upload to avoid server-side size limits (5MB)
+    const compressOptions = {
+      maxSizeMB: 0.8,
+      maxWidthOrHeight: 512,
+      useWebWorker: true,
+      initialQuality: 0.8,
+    }
+    let compressedBlob
+    try {
+      compressedBlob = await imageCompression(imageFile, compressOptions)
+    } catch (compErr) {
+      console.warn('Image compression failed, falling back to original image', compErr)
+      compressedBlob = imageFile
+    }
+
+    const compressedFile = new File(
+      [compressedBlob],
+      `${Date.now()}-${sanitizeFileName(imageFile.name)}`,
+      { type: compressedBlob.type || imageFile.type }
+    )
+
+    if (compressedFile.size > MAX_IMAGE_MB * BYTES_PER_MB) {
+      throw new Error('Cover image is too large even after compression. Please choose a smaller image (<5MB).')
+    }
+
+    const imageFileName = `${Date.now()}-${sanitizeFileName(imageFile.name)}`
+    const imagePath = `${session.user.id}/tracks/${imageFileName}`
+
+    const { data: imageUploadData, error: imageUploadError } = await supabase.storage
+      .from('track-images')
+      .upload(imagePath, compressedFile, { upsert: true, contentType: compressedFile.type })
+
+    if (imageUploadError) {
+      throw new Error(`Image upload error: ${imageUploadError.message}`)
+    }
+    const path = imageUploadData?.path || imagePath
+    releaseCoverRef.current = { file: imageFile, path }
+    return path
+  }
+
+  // The finished release as a playlist, in track-number order
+  const saveReleasePlaylist = async (entries) => {
+    const { data: playlist, error: playlistError } = await supabase
+      .from('playlists')
+      .insert({
+        owner: session.user.id,
+        title: album.trim(),
+        description: artist.trim() || null,
+        is_public: isPublic,
+      })
+      .select('id')
+      .single()
+    if (playlistError) throw playlistError
+    // Unnumbered files keep their place in the batch after the numbered ones
+    const ordered = [...entries].sort((a, b) => (a.trackNumber || Infinity) - (b.trackNumber || Infinity))
+    const { error: tracksError } = await supabase.from('playlist_tracks').insert(
+      ordered.map((entry, i) => ({
+        playlist_id: playlist.id,
+        track_id: entry.trackId,
+        position: i + 1,
+        added_by: session.user.id,
+      })),
+    )
+    if (tracksError) throw tracksError
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
-    
-    if (!file) {
-      setError('Please select an audio file to upload')
+
+    const pending = batch.filter((entry) => entry.status !== 'done')
+    if (!pending.length) {
+      setError('Please add at least one audio file to upload')
       return
     }
-    
+
     if (!imageFile) {
       setError('Please select a cover image to upload')
       return
     }
-    
-    if (!title || !artist) {
-      setError('Title and artist are required')
+
+    if (pending.some((entry) => !entry.title.trim() || !(entry.artist.trim() || artist.trim()))) {
+      setError('Every file needs a title and an artist')
       return
     }
-    
-    if (!genreId) {
-      setError('Please select a genre for your track')
+
+    if (pending.some((entry) => (entry.genreId ?? genreId) == null)) {
+      setError('Please select a genre for your tracks')
       return
     }
-    
+
+    if (saveAsPlaylist && !album.trim()) {
+      setError('Enter an album name to save the release as a playlist')
+      return
+    }
+
     // Verify user is authenticated
-    console.log('User ID:', session?.user?.id)
     if (!session?.user?.id) {
       setError('Authentication required')
       return
     }
-    
+
     setLoading(true)
     setError(null)
     setSuccess(null)
-    
+
     try {
-      const audioToUpload = await compressAudioIfNeeded(file)
-      const fileName = `${Date.now()}-${sanitizeFileName(audioToUpload.name)}`
-      const filePath = `${session.user.id}/${fileName}`
-      
-      console.log('Uploading file:', { filePath, fileType: audioToUpload.type, fileSize: audioToUpload.size })
-      
-      // 2. Upload audio file
-      const { data: uploadData, error: uploadError } = await supabase.storage
-        .from('audio')
-        .upload(filePath, audioToUpload, { upsert: true })
-      
-      console.log('Upload response:', { uploadData, uploadError })
-      
-      if (uploadError) {
-        throw new Error(`Upload error: ${uploadError.message}`)
-      }
-      
-      // Compress cover image before upload to avoid server-side size limits (5MB)
-      const compressOptions = {
-        maxSizeMB: 0.8,
-        maxWidthOrHeight: 512,
-        useWebWorker: true,
-        initialQuality: 0.8,
-      }
-      let compressedBlob
-      try {
-        compressedBlob = await imageCompression(imageFile, compressOptions)
-      } catch (compErr) {
-        console.warn('Image compression failed, falling back to original image', compErr)
-        compressedBlob = imageFile
-      }
+      await assertNotSuspended(session.user.id)
+      const imagePath = await uploadReleaseCover()
 
-      const compressedFile = new File(
-        [compressedBlob],
-        `${Date.now()}-${sanitizeFileName(imageFile.name)}`,
-        { type: compressedBlob.type || imageFile.type }
-      )
+      pending.forEach((entry) => updateEntry(entry.key, { status: 'queued', error: null, loaded: 0 }))
+      const trackIds = await runWithConcurrency(pending, BATCH_CONCURRENCY, async (entry) => {
+        try {
+          return await uploadEntry(entry, imagePath)
+        } catch (err) {
+          console.error('Upload error:', err)
+          updateEntry(entry.key, { status: 'failed', error: err.message })
+          return null
+        }
+      })
+      fetchUserTracks()
 
-      if (compressedFile.size > MAX_IMAGE_MB * BYTES_PER_MB) {
-        throw new Error('Cover image is too large even after compression. Please choose a smaller image (<5MB).')
+      const failed = trackIds.filter((id) => id == null).length
+      if (failed) {
+        setError(`${failed} of ${pending.length} file${pending.length === 1 ? '' : 's'} failed to upload. Press Upload again to retry ${failed === 1 ? 'it' : 'them'}.`)
+        return
       }
 
-      const imageFileName = `${Date.now()}-${sanitizeFileName(imageFile.name)}`
-      const imagePath = `${session.user.id}/tracks/${imageFileName}`
-
-      // Upload compressed track image
-      const { data: imageUploadData, error: imageUploadError } = await supabase.storage
-        .from('track-images')
-        .upload(imagePath, compressedFile, { upsert: true, contentType: compressedFile.type })
-
-      if (imageUploadError) {
-        throw new Error(`Image upload error: ${imageUploadError.message}`)
+      const uploaded = [
+        ...batch.filter((entry) => entry.status === 'done'),
+        ...pending.map((entry, i) => ({ ...entry, trackId: trackIds[i] })),
+      ]
+      let message = uploaded.length === 1 ? 'Track uploaded successfully!' : `${uploaded.length} tracks uploaded successfully!`
+      message += ' The audio is checked on the server before it appears in feeds.'
+      if (saveAsPlaylist) {
+        try {
+          await saveReleasePlaylist(uploaded)
+          message += ` Saved “${album.trim()}” as a playlist.`
+        } catch (playlistErr) {
+          console.error('Playlist error:', playlistErr)
+          setError(`The tracks were uploaded, but the playlist could not be saved: ${playlistErr.message}`)
+        }
       }
 
-      // 3. Create a record in the tracks table with the path only
-      const trackData = {
-        user_id: session.user.id,
-        title,
-        artist,
-        genre_id: genreId, // Use the selected genre ID
-        album,
-        audio_path: filePath,
-        mime_type: audioToUpload.type,
-        file_size: audioToUpload.size,
-        is_public: isPublic,
-        image_path: imageUploadData?.path || imagePath
-      }
-      
-      console.log('Inserting track data:', trackData)
-      
-      const { error: insertError } = await supabase
-        .from('tracks')
-        .insert(trackData)
-      
-      if (insertError) {
-        throw new Error(`Database error: ${insertError.message}`)
-      }
-      
-      // 4. Reset form and show success message
-      setTitle('')
+      // Reset form and show success message
+      setBatch([])
       setArtist('')
       setGenreId(null)
       setAlbum('')
-      setFile(null)
       setImageFile(null)
-      setSuccess('Track uploaded successfully!')
-      
-      // 5. Refresh tracks list
-      fetchUserTracks()
-      
+      setSaveAsPlaylist(false)
+      setCoverSource(null)
+      releaseCoverRef.current = null
+      coverClaimRef.current = null
+      setSuccess(message)
     } catch (err) {
       console.error('Upload error:', err)
       setError(err.message)
@@ -436,6 +620,16 @@ export default function Upload({ session, player }) {
     }
   }
   
+  // Tracks of a batch share one cover file; keep it while another track still uses it
+  const isCoverShared = async (imagePath, trackId) => {
+    const { count, error } = await supabase
+      .from('tracks')
+      .select('id', { count: 'exact', head: true })
+      .eq('image_path', imagePath)
+      .neq('id', trackId)
+    return Boolean(error) || (count ?? 0) > 0
+  }
+
   const handleTrackCoverUpload = async (trackId, existingPath, event) => {
     const coverFile = event.target.files?.[0]
     if (!coverFile) return
@@ -485,7 +679,7 @@ export default function Upload({ session, player }) {
         .eq('id', trackId)
         .eq('user_id', session.user.id)
       if (updateError) throw new Error(`Database error: ${updateError.message}`)
-      if (existingPath && existingPath !== finalPath) {
+      if (existingPath && existingPath !== finalPath && !(await isCoverShared(existingPath, trackId))) {
         await supabase.storage.from('track-images').remove([existingPath])
       }
       setSuccess('Track cover updated successfully!')
@@ -510,10 +704,12 @@ export default function Upload({ session, player }) {
         .eq('id', trackId)
         .eq('user_id', session.user.id)
       if (updateError) throw new Error(`Database error: ${updateError.message}`)
-      const { error: removeError } = await supabase.storage
-        .from('track-images')
-        .remove([existingPath])
-      if (removeError) console.error('Image removal warning:', removeError)
+      if (!(await isCoverShared(existingPath, trackId))) {
+        const { error: removeError } = await supabase.storage
+          .from('track-images')
+          .remove([existingPath])
+        if (removeError) console.error('Image removal warning:', removeError)
+      }
       setSuccess('Track cover removed.')
       fetchUserTracks()
     } catch (err) {
@@ -608,27 +804,90 @@ export default function Upload({ session, player }) {
     }
   }
   
+  // Tracks uploaded before waveforms existed (or too long to analyse at upload): generate their
+  // peaks one at a time, skipping files too large to decode here
+  const tracksWithoutWaveform = tracks.filter(canBackfillPeaks)
+
+  const handleBackfillWaveforms = async () => {
+    const pending = tracksWithoutWaveform
+    if (!pending.length) return
+    setError(null)
+    setSuccess(null)
+    let failed = 0
+    for (let i = 0; i < pending.length; i += 1) {
+      setWaveformBackfill({ done: i, total: pending.length })
+      try {
+        await backfillTrackPeaks(pending[i], session.user.id)
+      } catch (err) {
+        failed += 1
+        console.warn('[Upload] Waveform generation failed for track', pending[i].id, err)
+      }
+    }
+    setWaveformBackfill(null)
+    if (failed) setError(`Could not generate waveforms for ${failed} track${failed === 1 ? '' : 's'}.`)
+    else setSuccess('Waveforms generated.')
+    fetchUserTracks()
+  }
+
   return (
     <div className="min-h-screen bg-black text-white">
       <NavBar session={session} onSignOut={handleSignOut} />
       <div className="max-w-4xl mx-auto mt-16 p-6 bg-black bg-opacity-80 rounded-lg text-white pb-32 md:pb-6">
-        <h2 className="text-2xl font-bold mb-6">Upload Track</h2>
+        <h2 className="text-2xl font-bold mb-6">Upload Tracks</h2>
         
         {error && <div className="bg-red-500 bg-opacity-25 text-red-100 p-3 rounded mb-4">{error}</div>}
         {success && <div className="bg-green-500 bg-opacity-25 text-green-100 p-3 rounded mb-4">{success}</div>}
         
         <form onSubmit={handleSubmit} className="mb-8">
+          <div
+            onDragOver={(e) => {
+              e.preventDefault()
+              if (!loading) setDragActive(true)
+            }}
+            onDragLeave={() => setDragActive(false)}
+            onDrop={handleDrop}
+            className={`mb-4 rounded border-2 border-dashed p-6 text-center transition ${
+              dragActive ? 'border-teal-400 bg-teal-500/10' : 'border-gray-700 bg-gray-900'
+            }`}
+          >
+            <p className="mb-2 text-gray-300">Drop audio files here to upload one track or a whole release</p>
+            <label
+              htmlFor="audio-files"
+              className={`inline-block px-3 py-1 rounded text-sm ${
+                loading ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-gray-700 text-white hover:bg-gray-600 cursor-pointer'
+              }`}
+            >
+              Choose audio files
+            </label>
+            <input
+              id="audio-files"
+              type="file"
+              accept="audio/*"
+              multiple
+              onChange={handleFileChange}
+              className="hidden"
+              disabled={loading}
+            />
+            <p className="mt-2 text-xs text-gray-500">mp3, wav, aac, m4a, ogg or flac, up to {MAX_AUDIO_MB}MB each</p>
+          </div>
+
+          {batch.length > 0 && (
+            <UploadBatchList
+              entries={batch}
+              genres={genres}
+              releaseArtist={artist}
+              releaseAlbum={album}
+              releaseGenreId={genreId}
+              busy={loading}
+              onChange={(key, field, value) => updateEntry(key, { [field]: value })}
+              onRemove={(key) => setBatch((prev) => prev.filter((entry) => entry.key !== key))}
+              onPause={(key) => uploadControllersRef.current.get(key)?.pause()}
+              onResume={(key) => uploadControllersRef.current.get(key)?.resume()}
+              onCancelTranscode={(key) => transcodeControllersRef.current.get(key)?.abort()}
+            />
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-            <div>
-              <label className="block mb-1">Title *</label>
-              <input
-                type="text"
-                value={title}
-                onChange={(e) => setTitle(e.target.value)}
-                className="w-full p-2 rounded bg-gray-800 text-white"
-                required
-              />
-            </div>
             <div>
               <label className="block mb-1">Artist *</label>
               <input
@@ -636,7 +895,7 @@ export default function Upload({ session, player }) {
                 value={artist}
                 onChange={(e) => setArtist(e.target.value)}
                 className="w-full p-2 rounded bg-gray-800 text-white"
-                required
+                placeholder="For files without their own artist"
               />
             </div>
             <div>
@@ -646,6 +905,7 @@ export default function Upload({ session, player }) {
                 value={album}
                 onChange={(e) => setAlbum(e.target.value)}
                 className="w-full p-2 rounded bg-gray-800 text-white"
+                placeholder="Applied to every file of the batch"
               />
             </div>
           </div>
@@ -675,21 +935,10 @@ export default function Upload({ session, player }) {
                 ))}
               </div>
             )}
-            {!loadingGenres && genreId === null && (
-              <p className="text-red-400 text-sm mt-1">Please select a genre</p>
+            {!loadingGenres && genreId === null && batch.some((entry) => entry.genreId == null) && (
+              <p className="text-red-400 text-sm mt-1">Please select a genre (files can also pick their own)</p>
             )}
           </div>
-          
-          <div className="mb-4">
-            <label className="block mb-1">Audio File *</label>
-            <input
-              type="file"
-              accept="audio/*"
-              onChange={handleFileChange}
-              className="w-full p-2 rounded bg-gray-800 text-white"
-              required
-            />
-          </div>
 
           <div className="mb-4">
             <label className="block mb-1">Cover Image *</label>
@@ -698,11 +947,34 @@ export default function Upload({ session, player }) {
               accept="image/*"
               onChange={handleImageChange}
               className="w-full p-2 rounded bg-gray-800 text-white"
-              required
             />
+            {coverSource && (
+              <p className="text-xs text-gray-400 mt-1">
+                Using the artwork embedded in {coverSource}. Choose an image to replace it.
+              </p>
+            )}
           </div>
           
           <div className="mb-4">
+            <label htmlFor="mp3-bitrate" className="block mb-1">WAV/FLAC files</label>
+            <select
+              id="mp3-bitrate"
+              value={mp3Bitrate ?? ''}
+              onChange={(e) => setMp3Bitrate(e.target.value ? Number(e.target.value) : null)}
+              className="w-full p-2 rounded bg-gray-800 text-white"
+              disabled={loading}
+            >
+              <option value="">Keep original (convert only if over {MAX_AUDIO_MB}MB)</option>
+              {MP3_BITRATES.map((kbps) => (
+                <option key={kbps} value={kbps}>Convert to MP3, {kbps} kbps</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-400 mt-1">
+              Conversion runs in the background of this tab; other formats are uploaded as they are.
+            </p>
+          </div>
+
+          <div className="mb-4 space-y-2">
             <label className="flex items-center">
               <input
                 type="checkbox"
@@ -710,20 +982,48 @@ export default function Upload({ session, player }) {
                 onChange={(e) => setIsPublic(e.target.checked)}
                 className="mr-2"
               />
-              Make this track public
+              Make {batch.length > 1 ? 'these tracks' : 'this track'} public
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={saveAsPlaylist}
+                onChange={(e) => setSaveAsPlaylist(e.target.checked)}
+                className="mr-2"
+              />
+              Save the release as a playlist named after the album
             </label>
           </div>
-          
+
           <button
             type="submit"
-            className="bg-teal-400 text-white px-4 py-2 rounded font-bold hover:bg-teal-300"
-            disabled={loading || genreId === null}
+            className="bg-teal-400 text-white px-4 py-2 rounded font-bold hover:bg-teal-300 disabled:opacity-60"
+            disabled={loading || batch.length === 0}
           >
-            {loading ? 'Uploading...' : 'Upload Track'}
+            {loading
+              ? 'Uploading...'
+              : batch.length > 1
+                ? `Upload ${batch.filter((entry) => entry.status !== 'done').length} tracks`
+                : 'Upload Track'}
           </button>
         </form>
         
-        <h2 className="text-2xl font-bold mb-4">Your Tracks</h2>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-2xl font-bold">Your Tracks</h2>
+          {(waveformBackfill || tracksWithoutWaveform.length > 0) && (
+            <button
+              type="button"
+              onClick={handleBackfillWaveforms}
+              className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-600 disabled:opacity-60"
+              disabled={Boolean(waveformBackfill)}
+              title="Older uploads have no waveform yet"
+            >
+              {waveformBackfill
+                ? `Generating waveforms… ${waveformBackfill.done}/${waveformBackfill.total}`
+                : `Generate missing waveforms (${tracksWithoutWaveform.length})`}
+            </button>
+          )}
+        </div>
         
         {loadingTracks ? (
           <div>Loading your tracks...</div>
@@ -738,7 +1038,7 @@ export default function Upload({ session, player }) {
                 '/images/default-avatar.png'
               const isActive = player?.currentTrack?.id === track.id
               const isBusy = isActive && player?.loading
-              const canPlay = Boolean(track.audio_path)
+              const canPlay = Boolean(track.audio_path) && track.processing_status !== 'failed'
               const playbackLabel = isActive
                 ? isBusy
                   ? 'Loading...'
@@ -790,11 +1090,16 @@ export default function Upload({ session, player }) {
                       </button>
                       <p className="text-sm text-gray-400 mt-2">
                         {track.genres ? track.genres.name : 'No genre'} • {track.is_public ? 'Public' : 'Private'}
+                        {track.hidden_at && <span className="text-red-400"> • Hidden by a moderator</span>}
                         {track.mime_type && ` • ${track.mime_type.split('/')[1]}`}
                         {track.file_size && ` • ${Math.round(track.file_size / 1024)} KB`}
+                        {track.duration_sec && ` • ${formatPlaybackTime(track.duration_sec)}`}
                         • 🎵 {track.play_count || 0} plays
                       </p>
                       {!track.audio_path && <p className="text-red-400 text-sm">Audio path missing</p>}
+                      <div className="mt-1">
+                        <TrackProcessingStatus track={track} showReason />
+                      </div>
                     </div>
                     <div className="flex flex-col md:flex-row gap-3 w-full md:w-auto md:items-end">
                       <div className="flex gap-2 w-full md:w-auto">
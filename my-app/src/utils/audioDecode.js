@@ -0,0 +1,35 @@
+/**
+ * Decode an audio file into an AudioBuffer without starting an AudioContext
+ * (an OfflineAudioContext needs no user gesture and renders nothing here).
+ * @param {File|Blob|ArrayBuffer} source - Audio data
+ * @param {number} sampleRate - Rate to resample to; lower rates keep long files small in memory
+ * @returns {Promise<AudioBuffer|null>} Null when the browser has no Web Audio support
+ */
+export async function decodeAudioFile(source, sampleRate = 48000) {
+  if (!source || typeof OfflineAudioContext === 'undefined') return null
+  const data = source instanceof ArrayBuffer ? source : await source.arrayBuffer()
+  const decoder = new OfflineAudioContext(1, 1, sampleRate)
+  return decoder.decodeAudioData(data)
+}
+
+/**
+ * Duration of an audio file read from its metadata by a media element, without decoding it
+ * @param {File|Blob} file
+ * @returns {Promise<number|null>} Seconds, or null when the browser cannot tell
+ */
+export function readAudioDuration(file) {
+  if (!file || typeof Audio === 'undefined') return Promise.resolve(null)
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(file)
+    const audio = new Audio()
+    const finish = (value) => {
+      audio.removeAttribute('src')
+      URL.revokeObjectURL(url)
+      resolve(value)
+    }
+    audio.preload = 'metadata'
+    audio.onloadedmetadata = () => finish(Number.isFinite(audio.duration) ? audio.duration : null)
+    audio.onerror = () => finish(null)
+    audio.src = url
+  })
+}
@@ -0,0 +1,159 @@
+import { EQ_FREQUENCIES } from './equalizer'
+
+/**
+ * Shared Web Audio graph for the global player.
+ * Each <audio> element is routed through a trim gain (per-track loudness normalization) and a
+ * fade gain (crossfades) into a master bus, which feeds the equalizer and then the speakers:
+ *
+ *   element -> trim -> fade -> masterBus -> EQ bands -> destination
+ *
+ * The graph is created lazily on first use, because an AudioContext can only start from a
+ * user gesture and routing an element through it is irreversible.
+ */
+
+let context = null
+let masterBus = null
+let eqFilters = []
+let eqGains = EQ_FREQUENCIES.map(() => 0)
+const elementNodes = new WeakMap()
+
+const dbToGain = (db) => Math.pow(10, (Number(db) || 0) / 20)
+
+// Low shelf for the lowest band, high shelf for the highest, peaking filters in between
+const createEqualizer = (ctx) =>
+  EQ_FREQUENCIES.map((frequency, i) => {
+    const filter = ctx.createBiquadFilter()
+    filter.type = i === 0 ? 'lowshelf' : i === EQ_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking'
+    filter.frequency.value = frequency
+    filter.Q.value = 1.1
+    filter.gain.value = eqGains[i] || 0
+    return filter
+  })
+
+/**
+ * Whether this browser can build the graph at all
+ * @returns {boolean}
+ */
+export const isWebAudioSupported = () =>
+  typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext)
+
+/**
+ * Get (or create) the shared AudioContext
+ * @returns {AudioContext|null}
+ */
+export const getAudioContext = () => {
+  if (context) return context
+  if (!isWebAudioSupported()) return null
+  const Ctor = window.AudioContext || window.webkitAudioContext
+  context = new Ctor()
+  masterBus = context.createGain()
+  eqFilters = createEqualizer(context)
+  eqFilters.reduce((node, filter) => {
+    node.connect(filter)
+    return filter
+  }, masterBus).connect(context.destination)
+  return context
+}
+
+/**
+ * Resume a suspended context; call from a user gesture (play/next clicks)
+ * @returns {Promise<void>}
+ */
+export const resumeAudioContext = async () => {
+  if (context?.state === 'suspended') {
+    try {
+      await context.resume()
+    } catch {
+      // browsers reject resume() outside a gesture; the next gesture retries
+    }
+  }
+}
+
+/**
+ * Route an element through the graph (idempotent)
+ * @param {HTMLMediaElement} element
+ * @returns {Object|null} { source, trim, gain } or null when Web Audio is unavailable
+ */
+export const attachElement = (element) => {
+  if (!element) return null
+  const existing = elementNodes.get(element)
+  if (existing) return existing
+  const ctx = getAudioContext()
+  if (!ctx) return null
+  try {
+    const source = ctx.createMediaElementSource(element)
+    const trim = ctx.createGain()
+    const gain = ctx.createGain()
+    source.connect(trim)
+    trim.connect(gain)
+    gain.connect(masterBus)
+    const nodes = { source, trim, gain }
+    elementNodes.set(element, nodes)
+    return nodes
+  } catch (err) {
+    console.warn('[audioGraph] Could not attach element:', err)
+    return null
+  }
+}
+
+/**
+ * Whether an element is already routed through the graph
+ * @param {HTMLMediaElement} element
+ * @returns {boolean}
+ */
+export const isAttached = (element) => Boolean(element && elementNodes.has(element))
+
+/**
+ * Set an element's gain immediately, cancelling any ramp in progress
+ * @param {HTMLMediaElement} element
+ * @param {number} value - 0..1
+ */
+export const setElementGain = (element, value) => {
+  const nodes = elementNodes.get(element)
+  if (!nodes || !context) return
+  const param = nodes.gain.gain
+  param.cancelScheduledValues(context.currentTime)
+  param.setValueAtTime(value, context.currentTime)
+}
+
+/**
+ * Ramp an element's gain linearly from its current value
+ * @param {HTMLMediaElement} element
+ * @param {number} value - Target gain 0..1
+ * @param {number} seconds - Ramp duration
+ * @returns {boolean} False when the element is not attached (caller should hard-cut instead)
+ */
+export const rampElementGain = (element, value, seconds) => {
+  const nodes = elementNodes.get(element)
+  if (!nodes || !context) return false
+  const param = nodes.gain.gain
+  const now = context.currentTime
+  param.cancelScheduledValues(now)
+  param.setValueAtTime(param.value, now)
+  param.linearRampToValueAtTime(value, now + Math.max(seconds, 0.01))
+  return true
+}
+
+/**
+ * Set an element's loudness trim (normalization gain for the track it is playing)
+ * @param {HTMLMediaElement} element
+ * @param {number} db - Gain in dB; 0 leaves the track unchanged
+ */
+export const setElementTrim = (element, db) => {
+  const nodes = elementNodes.get(element)
+  if (!nodes || !context) return
+  nodes.trim.gain.setValueAtTime(dbToGain(db), context.currentTime)
+}
+
+/**
+ * Set the equalizer band gains. Stored until the graph exists, then applied on creation.
+ * @param {Array<number>} gainsDb - One value per EQ_FREQUENCIES band
+ */
+export const setEqualizerGains = (gainsDb) => {
+  eqGains = EQ_FREQUENCIES.map((_, i) => Number(gainsDb?.[i]) || 0)
+  if (!context) return
+  eqFilters.forEach((filter, i) => {
+    // Short ramp so dragging a slider doesn't click
+    filter.gain.setTargetAtTime(eqGains[i], context.currentTime, 0.02)
+  })
+}
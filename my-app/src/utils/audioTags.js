@@ -0,0 +1,332 @@
+/**
+ * Embedded tags of an audio file, read in the browser before any transcoding drops them.
+ * - ID3v2.2–2.4 (MP3, and AAC/FLAC files that carry one), FLAC metadata blocks, Vorbis/Opus
+ *   comments in OGG and iTunes-style MP4 atoms (AAC/M4A).
+ * - Only the parts of the file that hold tags are read, never the whole audio.
+ */
+
+const OGG_READ_BYTES = 4 * 1024 * 1024 // comment packets (with artwork) sit at the very start
+const MP4_MAX_MOOV_BYTES = 32 * 1024 * 1024
+const EMPTY_TAGS = { title: '', artist: '', album: '', trackNumber: null, genre: '', picture: null }
+
+const readBytes = async (file, start, length) =>
+  new Uint8Array(await file.slice(start, start + length).arrayBuffer())
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length))
+const be32 = (b, i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0
+const be24 = (b, i) => (b[i] << 16) | (b[i + 1] << 8) | b[i + 2]
+const le32 = (b, i) => (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24)) >>> 0
+const syncsafe = (b, i) => (b[i] << 21) | (b[i + 1] << 14) | (b[i + 2] << 7) | b[i + 3]
+
+const decode = (bytes, label = 'utf-8') => new TextDecoder(label).decode(bytes).replace(/\0+$/, '')
+
+// ID3 text encodings: 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+const decodeId3Text = (bytes, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return decode(bytes.subarray(2), 'utf-16be')
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return decode(bytes.subarray(2), 'utf-16le')
+    return decode(bytes, encoding === 2 ? 'utf-16be' : 'utf-16le')
+  }
+  return decode(bytes, encoding === 0 ? 'latin1' : 'utf-8')
+}
+
+// End of a null-terminated string (two zero bytes on an even offset for UTF-16)
+const terminatorEnd = (bytes, start, encoding) => {
+  const wide = encoding === 1 || encoding === 2
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i
+  }
+  return bytes.length
+}
+
+// Undo ID3 unsynchronisation: a 0x00 was inserted after every 0xFF
+const resync = (bytes) => {
+  const out = new Uint8Array(bytes.length)
+  let length = 0
+  for (let i = 0; i < bytes.length; i++) {
+    out[length++] = bytes[i]
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++
+  }
+  return out.subarray(0, length)
+}
+
+const toBlob = (data, mime) => (data?.length ? new Blob([data], { type: mime || 'image/jpeg' }) : null)
+
+const ID3_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TRCK: 'trackNumber', TRK: 'trackNumber',
+  TCON: 'genre', TCO: 'genre',
+}
+
+const parseId3 = async (file) => {
+  const header = await readBytes(file, 0, 10)
+  if (ascii(header, 0, 3) !== 'ID3') return null
+  const version = header[3]
+  const flags = header[5]
+  const size = syncsafe(header, 6)
+  const unsynchronised = Boolean(flags & 0x80)
+  // Before v2.4 the whole tag is unsynchronised; v2.4 frame sizes count the stored bytes, so
+  // each frame is resynced on its own below
+  const data = unsynchronised && version < 4 ? resync(await readBytes(file, 10, size)) : await readBytes(file, 10, size)
+  const tags = {}
+  let picture = null
+  let pictureIsFront = false
+
+  let pos = 0
+  if (flags & 0x40 && version >= 3) pos = version === 4 ? syncsafe(data, 0) : be32(data, 0) + 4
+  const idLength = version === 2 ? 3 : 4
+  const headerLength = version === 2 ? 6 : 10
+  while (pos + headerLength <= data.length) {
+    const id = ascii(data, pos, idLength)
+    if (!/^[A-Z0-9]+$/.test(id)) break // padding
+    const frameSize = version === 2 ? be24(data, pos + 3) : version === 4 ? syncsafe(data, pos + 4) : be32(data, pos + 4)
+    let body = data.subarray(pos + headerLength, pos + headerLength + frameSize)
+    if (version === 4) {
+      // Format flags: 0x02 unsynchronised, 0x01 a 4-byte data length indicator precedes the data
+      const formatFlags = data[pos + 9]
+      if (formatFlags & 0x01) body = body.subarray(4)
+      if (unsynchronised || formatFlags & 0x02) body = resync(body)
+    }
+    pos += headerLength + frameSize
+    if (!body.length) continue
+
+    const field = ID3_FRAMES[id]
+    if (field && !tags[field]) {
+      tags[field] = decodeId3Text(body.subarray(1), body[0]).split('\0')[0]
+    } else if ((id === 'APIC' || id === 'PIC') && !pictureIsFront) {
+      // APIC: encoding, mime\0, type, description\0, data (PIC has a 3-letter format instead of mime)
+      const encoding = body[0]
+      let mime
+      let i
+      if (id === 'APIC') {
+        const mimeEnd = terminatorEnd(body, 1, 0)
+        mime = decode(body.subarray(1, mimeEnd), 'latin1')
+        i = mimeEnd + 1
+      } else {
+        mime = `image/${decode(body.subarray(1, 4), 'latin1').toLowerCase().replace('jpg', 'jpeg')}`
+        i = 4
+      }
+      const type = body[i]
+      const descriptionEnd = terminatorEnd(body, i + 1, encoding)
+      const imageStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1)
+      picture = toBlob(body.subarray(imageStart), mime.includes('/') ? mime : `image/${mime}`)
+      pictureIsFront = type === 3
+    }
+  }
+  return { ...tags, picture }
+}
+
+// Vorbis comment block: vendor string, then KEY=value strings (little-endian lengths)
+const parseVorbisComments = (bytes) => {
+  const tags = {}
+  let pos = 4 + le32(bytes, 0)
+  const count = le32(bytes, pos)
+  pos += 4
+  for (let n = 0; n < count && pos + 4 <= bytes.length; n++) {
+    const length = le32(bytes, pos)
+    const entry = decode(bytes.subarray(pos + 4, pos + 4 + length))
+    pos += 4 + length
+    const eq = entry.indexOf('=')
+    if (eq < 0) continue
+    const key = entry.slice(0, eq).toUpperCase()
+    const value = entry.slice(eq + 1)
+    if (key === 'TITLE' && !tags.title) tags.title = value
+    else if ((key === 'ARTIST' || key === 'ALBUMARTIST') && !tags.artist) tags.artist = value
+    else if (key === 'ALBUM' && !tags.album) tags.album = value
+    else if (key === 'TRACKNUMBER' && !tags.trackNumber) tags.trackNumber = value
+    else if (key === 'GENRE' && !tags.genre) tags.genre = value
+    else if (key === 'METADATA_BLOCK_PICTURE' && !tags.picture) {
+      try {
+        tags.picture = parseFlacPicture(Uint8Array.from(atob(value), (c) => c.charCodeAt(0)))
+      } catch {
+        // ignore broken artwork
+      }
+    }
+  }
+  return tags
+}
+
+// FLAC PICTURE block (also base64-wrapped in Vorbis comments): big-endian lengths
+const parseFlacPicture = (bytes) => {
+  let pos = 4 // picture type
+  const mimeLength = be32(bytes, pos)
+  const mime = decode(bytes.subarray(pos + 4, pos + 4 + mimeLength), 'latin1')
+  pos += 4 + mimeLength
+  pos += 4 + be32(bytes, pos) // description
+  pos += 16 // width, height, depth, colors
+  const dataLength = be32(bytes, pos)
+  return toBlob(bytes.subarray(pos + 4, pos + 4 + dataLength), mime)
+}
+
+const parseFlac = async (file, offset) => {
+  const tags = {}
+  for (;;) {
+    const header = await readBytes(file, offset, 4)
+    if (header.length < 4) break
+    const isLast = header[0] & 0x80
+    const type = header[0] & 0x7f
+    const length = be24(header, 1)
+    if (type === 4 || (type === 6 && !tags.picture)) {
+      const block = await readBytes(file, offset + 4, length)
+      if (type === 4) {
+        const comments = parseVorbisComments(block)
+        Object.assign(tags, comments, { picture: tags.picture || comments.picture || null })
+      } else {
+        tags.picture = parseFlacPicture(block)
+      }
+    }
+    offset += 4 + length
+    if (isLast) break
+  }
+  return tags
+}
+
+// Second logical packet of an OGG stream: the Vorbis (\x03vorbis) or Opus (OpusTags) comments
+const parseOgg = async (file) => {
+  const bytes = await readBytes(file, 0, OGG_READ_BYTES)
+  const packets = []
+  let current = []
+  let pos = 0
+  while (packets.length < 2 && pos + 27 <= bytes.length && ascii(bytes, pos, 4) === 'OggS') {
+    const segments = bytes[pos + 26]
+    let dataPos = pos + 27 + segments
+    for (let s = 0; s < segments; s++) {
+      const length = bytes[pos + 27 + s]
+      current.push(bytes.subarray(dataPos, dataPos + length))
+      dataPos += length
+      if (length < 255) {
+        const size = current.reduce((sum, part) => sum + part.length, 0)
+        const packet = new Uint8Array(size)
+        let at = 0
+        current.forEach((part) => {
+          packet.set(part, at)
+          at += part.length
+        })
+        packets.push(packet)
+        current = []
+      }
+    }
+    pos = dataPos
+  }
+  const comments = packets[1]
+  if (!comments) return {}
+  if (ascii(comments, 0, 7) === '\x03vorbis') return parseVorbisComments(comments.subarray(7))
+  if (ascii(comments, 0, 8) === 'OpusTags') return parseVorbisComments(comments.subarray(8))
+  return {}
+}
+
+const MP4_ITEMS = { '©nam': 'title', '©ART': 'artist', aART: 'artist', '©alb': 'album', '©gen': 'genre' }
+
+// Children of an MP4 box: [type, start, end] with 64-bit sizes handled
+const mp4Boxes = (bytes, start, end) => {
+  const boxes = []
+  let pos = start
+  while (pos + 8 <= end) {
+    let size = be32(bytes, pos)
+    const type = decode(bytes.subarray(pos + 4, pos + 8), 'latin1')
+    let headerSize = 8
+    if (size === 1) {
+      size = be32(bytes, pos + 8) * 2 ** 32 + be32(bytes, pos + 12)
+      headerSize = 16
+    } else if (size === 0) {
+      size = end - pos
+    }
+    if (size < headerSize) break
+    boxes.push([type, pos + headerSize, Math.min(pos + size, end)])
+    pos += size
+  }
+  return boxes
+}
+
+const parseMp4 = async (file) => {
+  // Find moov among the top-level boxes without reading the media data
+  let offset = 0
+  let moov = null
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, 16)
+    let size = be32(header, 0)
+    const type = ascii(header, 4, 4)
+    if (size === 1) size = be32(header, 8) * 2 ** 32 + be32(header, 12)
+    else if (size === 0) size = file.size - offset
+    if (size < 8) break
+    if (type === 'moov') {
+      if (size > MP4_MAX_MOOV_BYTES) return {}
+      moov = await readBytes(file, offset, size)
+      break
+    }
+    offset += size
+  }
+  if (!moov) return {}
+
+  const find = (start, end, path) => {
+    const [head, ...rest] = path
+    const box = mp4Boxes(moov, start, end).find(([type]) => type === head)
+    if (!box) return null
+    // meta is a full box: 4 bytes of version and flags before its children
+    const childStart = head === 'meta' ? box[1] + 4 : box[1]
+    return rest.length ? find(childStart, box[2], rest) : [childStart, box[2]]
+  }
+  const [moovStart, moovEnd] = mp4Boxes(moov, 0, moov.length)[0].slice(1)
+  const ilst = find(moovStart, moovEnd, ['udta', 'meta', 'ilst'])
+  if (!ilst) return {}
+
+  const tags = {}
+  mp4Boxes(moov, ilst[0], ilst[1]).forEach(([type, start, end]) => {
+    const data = mp4Boxes(moov, start, end).find(([t]) => t === 'data')
+    if (!data) return
+    const kind = be32(moov, data[1]) & 0xffffff // 1 UTF-8, 13 JPEG, 14 PNG
+    const payload = moov.subarray(data[1] + 8, data[2])
+    if (MP4_ITEMS[type] && !tags[MP4_ITEMS[type]]) tags[MP4_ITEMS[type]] = decode(payload)
+    else if (type === 'trkn' && payload.length >= 4) tags.trackNumber = String((payload[2] << 8) | payload[3])
+    else if (type === 'covr' && !tags.picture) tags.picture = toBlob(payload, kind === 14 ? 'image/png' : 'image/jpeg')
+  })
+  return tags
+}
+
+const stripEmpty = (tags) => Object.fromEntries(Object.entries(tags).filter(([, value]) => value))
+
+const cleanGenre = (value) => {
+  // ID3 genres may be "(17)", "(17)Rock" or "17"; only names are useful here
+  const name = String(value || '').replace(/^\(\d+\)/, '').trim()
+  return /^\d+$/.test(name) ? '' : name
+}
+
+/**
+ * Read the title, artist, album, track number, genre and cover art embedded in an audio file
+ * @param {File} file
+ * @returns {Promise<Object>} { title, artist, album, trackNumber, genre, picture } — empty
+ *   strings, null trackNumber and null picture (a Blob otherwise) when the file has no such tag
+ */
+export async function readAudioTags(file) {
+  if (!file) return { ...EMPTY_TAGS }
+  try {
+    const magic = await readBytes(file, 0, 12)
+    let tags = {}
+    if (ascii(magic, 0, 3) === 'ID3') {
+      tags = (await parseId3(file)) || {}
+      // FLAC files sometimes carry an ID3 tag in front of their own blocks
+      const id3End = 10 + syncsafe(magic, 6)
+      const after = await readBytes(file, id3End, 4)
+      if (ascii(after, 0, 4) === 'fLaC') tags = { ...(await parseFlac(file, id3End + 4)), ...stripEmpty(tags) }
+    } else if (ascii(magic, 0, 4) === 'fLaC') {
+      tags = await parseFlac(file, 4)
+    } else if (ascii(magic, 0, 4) === 'OggS') {
+      tags = await parseOgg(file)
+    } else if (ascii(magic, 4, 4) === 'ftyp') {
+      tags = await parseMp4(file)
+    }
+    return {
+      title: (tags.title || '').trim(),
+      artist: (tags.artist || '').trim(),
+      album: (tags.album || '').trim(),
+      trackNumber: parseInt(tags.trackNumber, 10) || null, // "3/12" -> 3
+      genre: cleanGenre(tags.genre),
+      picture: tags.picture || null,
+    }
+  } catch (err) {
+    console.warn('[audioTags] Could not read tags:', err)
+    return { ...EMPTY_TAGS }
+  }
+}
@@ -0,0 +1,85 @@
+import { decodeAudioFile } from './audioDecode'
+
+/**
+ * MP3 transcoding in a Web Worker (workers/mp3Encoder.worker.js).
+ * - WAV is read and encoded entirely in the worker, block by block, so any length works.
+ * - Other formats are decoded here first (decodeAudioData runs off the main thread in browsers)
+ *   and the samples are handed to the worker without copying.
+ */
+
+export const MP3_BITRATES = [128, 192, 256, 320]
+
+const DECODE_SAMPLE_RATE = 44100 // the MP3 encoder takes at most 48kHz
+
+const abortError = () => Object.assign(new Error('Transcoding cancelled'), { name: 'AbortError' })
+
+/**
+ * Send one job to the worker and wait for its answer
+ * @returns {Promise<Blob|null>} The MP3, or null when the worker cannot read the file itself
+ */
+const runWorker = (worker, message, transfer, onProgress) =>
+  new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') onProgress?.(data.value)
+      else if (data.type === 'done') resolve(data.blob)
+      else if (data.type === 'unsupported') resolve(null)
+      else reject(new Error(data.message))
+    }
+    worker.onerror = (event) => reject(new Error(event.message || 'MP3 encoder failed to start'))
+    worker.postMessage(message, transfer)
+  })
+
+/**
+ * Transcode an audio file to MP3 without blocking the page
+ * @param {File} file - WAV, FLAC or anything else the browser can decode
+ * @param {Object} options
+ * @param {number} options.bitrate - kbps, one of MP3_BITRATES
+ * @param {Function} options.onProgress - (fraction 0–1)
+ * @param {AbortSignal} options.signal - Aborting stops the worker and rejects with an AbortError
+ * @returns {Promise<File>} The .mp3 file
+ */
+export async function transcodeToMp3(file, { bitrate = 192, onProgress, signal } = {}) {
+  if (typeof Worker === 'undefined') throw new Error('This browser cannot transcode audio.')
+  if (signal?.aborted) throw abortError()
+
+  const worker = new Worker(new URL('../workers/mp3Encoder.worker.js', import.meta.url), { type: 'module' })
+  let rejectAbort
+  const aborted = new Promise((_, reject) => { rejectAbort = reject })
+  const onAbort = () => {
+    worker.terminate()
+    rejectAbort(abortError())
+  }
+  signal?.addEventListener('abort', onAbort)
+
+  try {
+    const job = async () => {
+      let blob = await runWorker(worker, { bitrate, file }, [], onProgress)
+      if (!blob) {
+        const decoded = await decodeAudioFile(file, DECODE_SAMPLE_RATE)
+        if (!decoded) throw new Error('This browser cannot decode audio for transcoding.')
+        if (signal?.aborted) throw abortError()
+        const channels = Array.from({ length: Math.min(decoded.numberOfChannels, 2) }, (_, i) => decoded.getChannelData(i))
+        blob = await runWorker(
+          worker,
+          { bitrate, channels, sampleRate: decoded.sampleRate },
+          channels.map((data) => data.buffer),
+          onProgress,
+        )
+      }
+      return blob
+    }
+    const blob = await Promise.race([job(), aborted])
+    // Keep the source's lastModified: resumable uploads are keyed on name, size and lastModified,
+    // so converting the same file again after a reload resumes the saved upload
+    return new File([blob], `${file.name.replace(/\.[^.]+$/, '')}.mp3`, {
+      type: 'audio/mpeg',
+      lastModified: file.lastModified,
+    })
+  } catch (error) {
+    if (error.name !== 'AbortError') console.error('Transcode error:', error)
+    throw error
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+    worker.terminate()
+  }
+}
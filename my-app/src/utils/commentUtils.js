@@ -1,13 +1,73 @@
 import { supabase } from '../supabaseclient'
 import { validateId, validateCommentText } from './securityUtils'
+import { resolveMentions } from './mentionUtils'
+import { assertNotSuspended } from './moderationUtils'
+import { fetchReactionSummaries } from './reactionUtils'
+
+const COMMENT_COLUMNS = `
+  id,
+  track_id,
+  user_id,
+  parent_id,
+  body,
+  mentions,
+  timestamp_sec,
+  created_at,
+  updated_at,
+  deleted_at,
+  hidden_at,
+  profiles!track_comments_user_id_fkey(id, username, avatar_url)
+`
+
+export const COMMENT_PAGE_SIZE = 20
+
+// userId -> Promise of { id, username, avatar_url }, for rows that arrive without the join
+const authorCache = new Map()
+
+// Components showing comments elsewhere (e.g. seek bar markers) listen for local changes here
+const changeListeners = new Set()
+
+/**
+ * Subscribe to comments posted, edited or deleted from this tab
+ * @param {Function} listener - Called with { type: 'insert'|'update'|'delete', trackId, comment }
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToCommentChanges(listener) {
+  changeListeners.add(listener)
+  return () => changeListeners.delete(listener)
+}
+
+const notifyCommentChange = (change) => {
+  changeListeners.forEach((listener) => {
+    try {
+      listener(change)
+    } catch (err) {
+      console.warn('[commentUtils] Comment change listener failed:', err)
+    }
+  })
+}
+
+/**
+ * Validate a playback timestamp for a comment
+ * @param {number|null|undefined} value - Seconds into the track
+ * @returns {number|null} Seconds rounded to 0.1, or null when absent or invalid
+ */
+export function normalizeCommentTimestamp(value) {
+  if (value == null || value === '') return null
+  const n = Number(value)
+  if (!Number.isFinite(n) || n < 0) return null
+  return Math.round(n * 10) / 10
+}
 
 /**
  * Post a comment on a track
  * @param {number} trackId - The track ID
  * @param {string} body - The comment text
+ * @param {Object} options - { timestampSec } to pin the comment to a moment in the track,
+ *   { parentId } to reply (replies to a reply join the same thread: one level only)
  * @returns {Promise<Object>} The created comment
  */
-export async function postComment(trackId, body) {
+export async function postComment(trackId, body, { timestampSec = null, parentId = null } = {}) {
   const tid = typeof trackId === 'string' ? Number(trackId) : trackId
   if (!validateId(tid)) throw new Error('Invalid track ID')
 
@@ -20,23 +80,37 @@ export async function postComment(trackId, body) {
   if (!user) {
     throw new Error('Not authenticated')
   }
+  await assertNotSuspended(user.id)
+
+  let threadId = null
+  if (parentId != null) {
+    const pid = typeof parentId === 'string' ? Number(parentId) : parentId
+    if (!validateId(pid)) throw new Error('Invalid comment ID')
+    const { data: parent, error: parentError } = await supabase
+      .from('track_comments')
+      .select('id, track_id, parent_id, deleted_at, hidden_at')
+      .eq('id', Number(pid))
+      .single()
+    if (parentError || !parent || parent.track_id !== Number(tid)) {
+      throw new Error('Comment not found')
+    }
+    if (parent.deleted_at || parent.hidden_at) throw new Error('Cannot reply to a deleted comment')
+    threadId = parent.parent_id ?? parent.id
+  }
+
+  const mentions = await resolveMentions(validation.text)
 
   const { data, error } = await supabase
     .from('track_comments')
     .insert({
       track_id: Number(tid),
       user_id: user.id,
-      body: validation.text
+      parent_id: threadId,
+      body: validation.text,
+      mentions,
+      timestamp_sec: normalizeCommentTimestamp(timestampSec)
     })
-    .select(`
-      id,
-      track_id,
-      user_id,
-      body,
-      created_at,
-      updated_at,
-      profiles!track_comments_user_id_fkey(id, username, avatar_url)
-    `)
+    .select(COMMENT_COLUMNS)
     .single()
 
   if (error) {
@@ -46,24 +120,171 @@ export async function postComment(trackId, body) {
 
   // Fallback: ensure profile is present for immediate UI rendering
   if (data && !data.profiles) {
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('id, username, avatar_url')
-      .eq('id', user.id)
-      .single()
+    const profile = await fetchCommentAuthor(user.id)
     if (profile) data.profiles = profile
   }
 
+  notifyCommentChange({ type: 'insert', trackId: data.track_id, comment: data })
   return data
 }
 
 /**
- * Fetch comments for a track
+ * Hide the text of a soft-deleted (or moderator-hidden) comment that stays visible because of its replies
+ * @param {Object} comment
+ * @returns {Object}
+ */
+export const maskDeletedComment = (comment) =>
+  comment.deleted_at || comment.hidden_at
+    ? { ...comment, deleted_at: comment.deleted_at || comment.hidden_at, body: '', mentions: [], timestamp_sec: null }
+    : comment
+
+/**
+ * Profile shown with a comment (cached per session)
+ * @param {string} userId - Author's user ID
+ * @returns {Promise<Object|null>} { id, username, avatar_url }
+ */
+export function fetchCommentAuthor(userId) {
+  if (!userId) return Promise.resolve(null)
+  if (!authorCache.has(userId)) {
+    const request = supabase
+      .from('profiles')
+      .select('id, username, avatar_url')
+      .eq('id', userId)
+      .maybeSingle()
+      .then(({ data }) => data || null)
+      .catch((err) => {
+        console.warn('[commentUtils] Could not load comment author:', err)
+        authorCache.delete(userId)
+        return null
+      })
+    authorCache.set(userId, request)
+  }
+  return authorCache.get(userId)
+}
+
+/**
+ * Fetch one page of comment threads for a track, newest first
+ * - Keyset pagination on the comment id (ids increase with insertion), so comments arriving
+ *   while the listener reads do not shift the pages.
+ * - Each top-level comment carries its replies (oldest first).
+ * - Deleted or hidden top-level comments are kept (masked) while they still have replies;
+ *   hidden replies are left out.
+ * - Reaction counts for the whole page (starters and replies) are loaded in one go and stored
+ *   as `reactions` on each comment; the page still loads if they cannot be fetched.
  * @param {number} trackId - The track ID
- * @param {Object} options - Pagination options
- * @returns {Promise<Array>} Array of comments with user info
+ * @param {Object} options - { before: cursor from the previous page, limit, userId: viewer, to mark their reactions }
+ * @returns {Promise<Object>} { comments, nextCursor } (nextCursor is null on the last page)
  */
-export async function fetchComments(trackId, { from = 0, to = 49 } = {}) {
+export async function fetchComments(trackId, { before = null, limit = COMMENT_PAGE_SIZE, userId = null } = {}) {
+  const tid = typeof trackId === 'string' ? Number(trackId) : trackId
+  if (!validateId(tid)) throw new Error('Invalid track ID')
+
+  let query = supabase
+    .from('track_comments')
+    .select(COMMENT_COLUMNS)
+    .eq('track_id', Number(tid))
+    .is('parent_id', null)
+    .order('id', { ascending: false })
+    .limit(limit)
+  if (before != null) query = query.lt('id', before)
+
+  const { data, error } = await query
+
+  if (error) {
+    console.error('Fetch comments error:', error)
+    throw error
+  }
+
+  const parents = data || []
+  // Cursor from the raw page: dropped (deleted) starters still count as read
+  const nextCursor = parents.length === limit ? parents[parents.length - 1].id : null
+  if (!parents.length) return { comments: [], nextCursor }
+
+  const { data: replies, error: repliesError } = await supabase
+    .from('track_comments')
+    .select(COMMENT_COLUMNS)
+    .in('parent_id', parents.map((c) => c.id))
+    .is('deleted_at', null)
+    .is('hidden_at', null)
+    .order('created_at', { ascending: true })
+
+  if (repliesError) {
+    console.error('Fetch replies error:', repliesError)
+    throw repliesError
+  }
+
+  const byParent = new Map()
+  ;(replies || []).forEach((reply) => {
+    const list = byParent.get(reply.parent_id) || []
+    list.push(reply)
+    byParent.set(reply.parent_id, list)
+  })
+
+  let reactions = new Map()
+  try {
+    reactions = await fetchReactionSummaries([...parents, ...(replies || [])].map((c) => c.id), userId)
+  } catch (err) {
+    console.warn('[commentUtils] Could not load comment reactions:', err)
+  }
+  const withReactions = (comment) => (reactions.has(comment.id) ? { ...comment, reactions: reactions.get(comment.id) } : comment)
+
+  const comments = parents
+    .map((comment) => ({
+      ...withReactions(maskDeletedComment(comment)),
+      replies: (byParent.get(comment.id) || []).map(withReactions),
+    }))
+    .filter((comment) => !comment.deleted_at || comment.replies.length > 0)
+  return { comments, nextCursor }
+}
+
+/**
+ * Live comment changes for a track via Supabase Realtime (includes this tab's own writes)
+ * - Rows arrive without the profile join; the author is looked up (cached) before onChange runs.
+ * - Events are delivered in order; a soft delete (or a moderator hiding the comment) arrives as an
+ *   update with deleted_at (hidden_at) set.
+ * @param {number} trackId - The track ID
+ * @param {Function} onChange - Called with { type: 'insert'|'update'|'delete', comment }
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToTrackComments(trackId, onChange) {
+  const tid = typeof trackId === 'string' ? Number(trackId) : trackId
+  if (!validateId(tid)) return () => {}
+
+  let queue = Promise.resolve()
+  let active = true
+  const channel = supabase
+    .channel(`track_comments:${tid}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'track_comments', filter: `track_id=eq.${tid}` },
+      (payload) => {
+        const type = payload.eventType?.toLowerCase()
+        const row = type === 'delete' ? payload.old : payload.new
+        if (!row?.id) return
+        queue = queue.then(async () => {
+          const comment = type === 'delete' ? row : { ...row, profiles: await fetchCommentAuthor(row.user_id) }
+          if (active) onChange({ type, comment })
+        })
+      },
+    )
+    .subscribe((status, err) => {
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.warn('[commentUtils] Realtime comments unavailable:', status, err)
+      }
+    })
+
+  return () => {
+    active = false
+    supabase.removeChannel(channel)
+  }
+}
+
+/**
+ * Fetch the comments pinned to a moment in a track, for seek bar markers
+ * @param {number} trackId - The track ID
+ * @returns {Promise<Array>} Comments ordered by timestamp
+ */
+export async function fetchTimedComments(trackId) {
   const tid = typeof trackId === 'string' ? Number(trackId) : trackId
   if (!validateId(tid)) throw new Error('Invalid track ID')
 
@@ -74,17 +295,18 @@ export async function fetchComments(trackId, { from = 0, to = 49 } = {}) {
       track_id,
       user_id,
       body,
-      created_at,
-      updated_at,
+      timestamp_sec,
       profiles!track_comments_user_id_fkey(id, username, avatar_url)
     `)
     .eq('track_id', Number(tid))
     .is('deleted_at', null)
-    .order('created_at', { ascending: false })
-    .range(from, to)
+    .is('hidden_at', null)
+    .not('timestamp_sec', 'is', null)
+    .order('timestamp_sec', { ascending: true })
+    .limit(500)
 
   if (error) {
-    console.error('Fetch comments error:', error)
+    console.error('Fetch timed comments error:', error)
     throw error
   }
 
@@ -92,7 +314,8 @@ export async function fetchComments(trackId, { from = 0, to = 49 } = {}) {
 }
 
 /**
- * Delete a comment (hard delete) - with authorization check
+ * Delete a comment (soft delete: sets deleted_at) - with authorization check
+ * A deleted top-level comment stays in its thread as a placeholder while it has replies.
  * @param {number} commentId - The comment ID
  * @returns {Promise<Object>} Success response
  */
@@ -109,7 +332,7 @@ export async function deleteComment(commentId) {
   // Fetch comment to verify ownership
   const { data: comment, error: fetchError } = await supabase
     .from('track_comments')
-    .select('id, user_id')
+    .select('id, user_id, track_id, parent_id')
     .eq('id', Number(cid))
     .single()
 
@@ -124,7 +347,7 @@ export async function deleteComment(commentId) {
 
   const { error } = await supabase
     .from('track_comments')
-    .delete()
+    .update({ deleted_at: new Date().toISOString() })
     .eq('id', Number(cid))
     .eq('user_id', user.id) // Double-check via RLS
 
@@ -133,6 +356,7 @@ export async function deleteComment(commentId) {
     throw error
   }
 
+  notifyCommentChange({ type: 'delete', trackId: comment.track_id, comment })
   return { success: true }
 }
 
@@ -173,15 +397,18 @@ export async function updateComment(commentId, newBody) {
     throw new Error('Unauthorized: You can only edit your own comments')
   }
 
+  const mentions = await resolveMentions(validation.text)
+
   const { data, error } = await supabase
     .from('track_comments')
     .update({
       body: validation.text,
+      mentions,
       updated_at: new Date().toISOString()
     })
     .eq('id', Number(cid))
     .eq('user_id', user.id) // Double-check via RLS
-    .select()
+    .select(COMMENT_COLUMNS)
     .single()
 
   if (error) {
@@ -189,5 +416,6 @@ export async function updateComment(commentId, newBody) {
     throw error
   }
 
+  notifyCommentChange({ type: 'update', trackId: data.track_id, comment: data })
   return data
 }
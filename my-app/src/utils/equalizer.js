@@ -0,0 +1,59 @@
+/**
+ * Equalizer bands and presets for the player's Web Audio chain (see audioGraph.js).
+ * Gains are in dB, one per band, in EQ_FREQUENCIES order.
+ */
+
+export const EQ_FREQUENCIES = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]
+export const EQ_MIN_DB = -12
+export const EQ_MAX_DB = 12
+
+export const FLAT_GAINS = EQ_FREQUENCIES.map(() => 0)
+
+export const EQ_PRESETS = {
+  flat: { label: 'Flat', gains: FLAT_GAINS },
+  bass: { label: 'Bass boost', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  treble: { label: 'Treble boost', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  vocal: { label: 'Vocal', gains: [-2, -2, -1, 0, 2, 4, 4, 2, 0, -1] },
+  rock: { label: 'Rock', gains: [4, 3, 2, 0, -1, -1, 1, 3, 4, 4] },
+  electronic: { label: 'Electronic', gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+  acoustic: { label: 'Acoustic', gains: [3, 2, 1, 1, 2, 2, 3, 3, 2, 1] },
+  late: { label: 'Late night', gains: [-3, -2, -1, 0, 1, 2, 1, 0, -2, -3] },
+}
+
+export const CUSTOM_PRESET = 'custom'
+
+/**
+ * Clamp a band gain to the supported range
+ * @param {any} value
+ * @returns {number}
+ */
+export const clampEqGain = (value) => {
+  const n = Number(value)
+  if (!Number.isFinite(n)) return 0
+  return Math.round(Math.min(Math.max(n, EQ_MIN_DB), EQ_MAX_DB) * 10) / 10
+}
+
+/**
+ * Normalize a stored gains array (wrong length or junk falls back to flat)
+ * @param {any} gains
+ * @returns {Array<number>}
+ */
+export const normalizeEqGains = (gains) =>
+  Array.isArray(gains) && gains.length === EQ_FREQUENCIES.length
+    ? gains.map(clampEqGain)
+    : [...FLAT_GAINS]
+
+/**
+ * Whether every band is at 0 dB (the EQ can then be bypassed)
+ * @param {Array<number>} gains
+ * @returns {boolean}
+ */
+export const isFlat = (gains) => !gains || gains.every((g) => g === 0)
+
+/**
+ * Short band label for sliders (e.g. "125", "2k")
+ * @param {number} frequency
+ * @returns {string}
+ */
+export const formatFrequency = (frequency) =>
+  frequency >= 1000 ? `${frequency / 1000}k` : String(frequency)
@@ -0,0 +1,188 @@
+import { supabase } from '../supabaseclient'
+
+export const FEED_PAGE_SIZE = 20
+
+// Sort option -> column of the `track_feed` view (plays and like_count are never null there)
+const SORT_COLUMNS = { recent: 'created_at', plays: 'plays', likes: 'like_count' }
+
+/**
+ * Keyset filter for the rows after a cursor: (sort value, id) strictly past the last row
+ * @param {string} column - Sort column
+ * @param {boolean} ascending
+ * @param {Object} cursor - { value, id } of the last loaded row
+ * @returns {string} PostgREST `or` filter
+ */
+const afterCursor = (column, ascending, { value, id }) => {
+  const op = ascending ? 'gt' : 'lt'
+  // Quoted: timestamps contain characters the filter syntax reserves
+  const v = `"${String(value).replace(/"/g, '\\"')}"`
+  return `${column}.${op}.${v},and(${column}.eq.${v},id.${op}.${id})`
+}
+
+/**
+ * One page of the Home feed: public, visible tracks sorted and filtered in the database
+ * @param {Object} options
+ * @param {string} options.sort - 'recent' | 'plays' | 'likes'
+ * @param {string} options.order - 'desc' | 'asc'
+ * @param {Array<number>} options.genreIds - Only these genres (empty for all)
+ * @param {Object|null} options.cursor - nextCursor of the previous page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { tracks, nextCursor } (tracks carry like_count; nextCursor is null on the last page)
+ */
+export async function fetchFeedPage({ sort = 'recent', order = 'desc', genreIds = [], cursor = null, limit = FEED_PAGE_SIZE } = {}) {
+  const column = SORT_COLUMNS[sort] || SORT_COLUMNS.recent
+  const ascending = order === 'asc'
+
+  let query = supabase
+    .from('track_feed')
+    .select(`
+      *,
+      profiles!tracks_user_id_fkey(username, avatar_url),
+      genres(name)
+    `)
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(limit)
+  if (genreIds.length > 0) query = query.in('genre_id', genreIds)
+  if (cursor) query = query.or(afterCursor(column, ascending, cursor))
+
+  const { data, error } = await query
+  if (error) {
+    console.error('Fetch feed error:', error)
+    throw error
+  }
+
+  const tracks = data || []
+  const last = tracks[tracks.length - 1]
+  return {
+    tracks,
+    nextCursor: tracks.length === limit ? { value: last[column], id: last.id } : null,
+  }
+}
+
+const FOLLOWING_SOURCES = {
+  track: {
+    table: 'track_feed',
+    columns: `
+      *,
+      profiles!tracks_user_id_fkey(username, avatar_url),
+      genres(name)
+    `,
+    ownerColumn: 'user_id',
+  },
+  playlist: {
+    table: 'playlists',
+    columns: 'id, title, description, owner, is_public, created_at, updated_at',
+    ownerColumn: 'owner',
+  },
+}
+
+/**
+ * Ids of the creators a user follows
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+export async function fetchFollowedIds(userId) {
+  const { data, error } = await supabase
+    .from('followers')
+    .select('followed_id')
+    .eq('follower_id', userId)
+  if (error) {
+    console.error('Fetch followed users error:', error)
+    throw error
+  }
+  return [...new Set((data || []).map((row) => row.followed_id))]
+}
+
+// Public rows of one kind owned by the given creators (track_feed only has public, visible tracks)
+const followingQuery = (kind, creatorIds, columns = FOLLOWING_SOURCES[kind].columns, options) => {
+  const source = FOLLOWING_SOURCES[kind]
+  const query = supabase.from(source.table).select(columns, options).in(source.ownerColumn, creatorIds)
+  return kind === 'playlist' ? query.eq('is_public', true) : query
+}
+
+/**
+ * One page of the Following feed: public tracks and playlists by followed creators, newest first
+ * Tracks and playlists are paged separately and merged by created_at, so the cursor keeps one
+ * position per kind (null before the first page, false once that kind has no more rows).
+ * @param {Object} options
+ * @param {Array<string>} options.creatorIds - Followed users (fetchFollowedIds)
+ * @param {Object|null} options.cursor - nextCursor of the previous page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { items: [{ key, type: 'track'|'playlist', created_at, track|playlist }], nextCursor }
+ */
+export async function fetchFollowingPage({ creatorIds, cursor = null, limit = FEED_PAGE_SIZE }) {
+  const positions = cursor || { track: null, playlist: null }
+  if (!creatorIds?.length) return { items: [], nextCursor: null }
+
+  const loadKind = async (kind) => {
+    if (positions[kind] === false) return []
+    let query = followingQuery(kind, creatorIds)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit)
+    if (positions[kind]) query = query.or(afterCursor('created_at', false, positions[kind]))
+    const { data, error } = await query
+    if (error) {
+      console.error(`Fetch following ${kind}s error:`, error)
+      throw error
+    }
+    return data || []
+  }
+  const [tracks, playlists] = await Promise.all([loadKind('track'), loadKind('playlist')])
+
+  // Playlist owner names in one query; the cards fall back to "Playlist" without them
+  const owners = [...new Set(playlists.map((p) => p.owner))]
+  let byOwner = new Map()
+  if (owners.length) {
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, username, avatar_url')
+      .in('id', owners)
+    if (profilesError) console.warn('[feedUtils] Could not load playlist owners:', profilesError)
+    byOwner = new Map((profiles || []).map((p) => [p.id, p]))
+  }
+
+  const items = [
+    ...tracks.map((track) => ({ key: `track:${track.id}`, type: 'track', created_at: track.created_at, track })),
+    ...playlists.map((playlist) => ({
+      key: `playlist:${playlist.id}`,
+      type: 'playlist',
+      created_at: playlist.created_at,
+      playlist: { ...playlist, ownerProfile: byOwner.get(playlist.owner) || null },
+    })),
+  ]
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0))
+    .slice(0, limit)
+
+  // Each kind continues after its last row on this page; rows cut off by the merge come again
+  const advance = (kind, rows) => {
+    if (positions[kind] === false) return false
+    const shown = items.filter((item) => item.type === kind)
+    if (shown.length === rows.length && rows.length < limit) return false
+    const last = shown[shown.length - 1]?.[kind]
+    return last ? { value: last.created_at, id: last.id } : positions[kind]
+  }
+  const nextCursor = { track: advance('track', tracks), playlist: advance('playlist', playlists) }
+  return {
+    items,
+    nextCursor: nextCursor.track === false && nextCursor.playlist === false ? null : nextCursor,
+  }
+}
+
+/**
+ * Number of Following feed items created after a moment (for the unread badge)
+ * @param {Array<string>} creatorIds
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<number>}
+ */
+export async function countFollowingSince(creatorIds, since) {
+  if (!creatorIds?.length) return 0
+  const counts = await Promise.all(['track', 'playlist'].map(async (kind) => {
+    const { count, error } = await followingQuery(kind, creatorIds, 'id', { count: 'exact', head: true })
+      .gt('created_at', since)
+    if (error) throw error
+    return count ?? 0
+  }))
+  return counts[0] + counts[1]
+}
@@ -0,0 +1,26 @@
+/**
+ * Like changes shared across the page session.
+ * Each list (and the player's keyboard shortcut) has its own useLikesV2 instance; a like made in
+ * one is announced here so the hearts and like counts of the others follow without a reload.
+ */
+
+const listeners = new Set()
+
+/**
+ * Listen for likes and unlikes made anywhere in the app
+ * @param {Function} listener - (trackId, liked) once per change, also for reverted optimistic updates
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLikeChanges(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Announce that the current user liked or unliked a track
+ * @param {number} trackId
+ * @param {boolean} liked
+ */
+export function announceLikeChange(trackId, liked) {
+  listeners.forEach((listener) => listener(trackId, liked))
+}
@@ -0,0 +1,116 @@
+/**
+ * Loudness analysis for uploads (ITU-R BS.1770 integrated loudness, simplified).
+ * The result is stored on the track so the player can normalize playback levels
+ * without analysing audio at play time.
+ */
+
+export const TARGET_LUFS = -14
+const MAX_BOOST_DB = 12
+const MAX_CUT_DB = -24
+const PEAK_CEILING_DB = -1 // never boost a track's peak above this
+const ABSOLUTE_GATE_LUFS = -70
+const RELATIVE_GATE_DB = -10
+const BLOCK_SEC = 0.4
+const STEP_SEC = 0.1 // 75% block overlap
+
+/**
+ * Apply the K-weighting pre-filter (high shelf + high pass) with an offline render
+ * @param {AudioBuffer} buffer
+ * @returns {Promise<AudioBuffer>}
+ */
+const kWeight = async (buffer) => {
+  const ctx = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate)
+  const source = ctx.createBufferSource()
+  source.buffer = buffer
+  const shelf = ctx.createBiquadFilter()
+  shelf.type = 'highshelf'
+  shelf.frequency.value = 1681.97
+  shelf.gain.value = 4
+  const highpass = ctx.createBiquadFilter()
+  highpass.type = 'highpass'
+  highpass.frequency.value = 38.13
+  highpass.Q.value = 0.5
+  source.connect(shelf)
+  shelf.connect(highpass)
+  highpass.connect(ctx.destination)
+  source.start()
+  return ctx.startRendering()
+}
+
+/**
+ * Integrated loudness of a decoded buffer
+ * @param {AudioBuffer} buffer
+ * @returns {Promise<number|null>} LUFS, or null for silence
+ */
+const integratedLoudness = async (buffer) => {
+  const weighted = await kWeight(buffer)
+  const step = Math.round(STEP_SEC * weighted.sampleRate)
+  const stepsPerBlock = Math.round(BLOCK_SEC / STEP_SEC)
+  const stepCount = Math.floor(weighted.length / step)
+  if (stepCount < stepsPerBlock) return null
+
+  // Sum of squares per 100ms step, summed over channels (front channels weigh 1.0)
+  const stepPower = new Float64Array(stepCount)
+  for (let c = 0; c < Math.min(weighted.numberOfChannels, 2); c += 1) {
+    const data = weighted.getChannelData(c)
+    for (let i = 0; i < stepCount; i += 1) {
+      let sum = 0
+      const end = (i + 1) * step
+      for (let j = i * step; j < end; j += 1) sum += data[j] * data[j]
+      stepPower[i] += sum
+    }
+  }
+
+  const blockSamples = step * stepsPerBlock
+  const blocks = []
+  for (let i = 0; i + stepsPerBlock <= stepCount; i += 1) {
+    let sum = 0
+    for (let k = 0; k < stepsPerBlock; k += 1) sum += stepPower[i + k]
+    blocks.push(sum / blockSamples)
+  }
+
+  const toLufs = (power) => -0.691 + 10 * Math.log10(power)
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length
+  const aboveAbsolute = blocks.filter((p) => p > 0 && toLufs(p) > ABSOLUTE_GATE_LUFS)
+  if (!aboveAbsolute.length) return null
+  const relativeGate = toLufs(mean(aboveAbsolute)) + RELATIVE_GATE_DB
+  const gated = aboveAbsolute.filter((p) => toLufs(p) > relativeGate)
+  return toLufs(mean(gated.length ? gated : aboveAbsolute))
+}
+
+const samplePeak = (buffer) => {
+  let peak = 0
+  for (let c = 0; c < buffer.numberOfChannels; c += 1) {
+    const data = buffer.getChannelData(c)
+    for (let i = 0; i < data.length; i += 1) {
+      const v = Math.abs(data[i])
+      if (v > peak) peak = v
+    }
+  }
+  return peak
+}
+
+/**
+ * Measure a track's loudness and the gain that brings it to TARGET_LUFS
+ * (limited so the boosted peak stays below PEAK_CEILING_DB)
+ * @param {AudioBuffer} buffer - Decoded audio (see decodeAudioFile); 48 kHz matches the filter design
+ * @returns {Promise<Object|null>} { loudnessLufs, peakDb, gainDb }, or null when the track is silent
+ */
+export async function analyzeLoudness(buffer) {
+  if (!buffer || typeof OfflineAudioContext === 'undefined') return null
+  const loudnessLufs = await integratedLoudness(buffer)
+  if (loudnessLufs == null) return null
+
+  const peak = samplePeak(buffer)
+  const peakDb = peak > 0 ? 20 * Math.log10(peak) : -Infinity
+  let gainDb = TARGET_LUFS - loudnessLufs
+  if (gainDb > 0 && Number.isFinite(peakDb)) gainDb = Math.max(0, Math.min(gainDb, PEAK_CEILING_DB - peakDb))
+  gainDb = Math.min(Math.max(gainDb, MAX_CUT_DB), MAX_BOOST_DB)
+
+  const round = (n) => Math.round(n * 100) / 100
+  return {
+    loudnessLufs: round(loudnessLufs),
+    peakDb: Number.isFinite(peakDb) ? round(peakDb) : null,
+    gainDb: round(gainDb),
+  }
+}
@@ -0,0 +1,103 @@
+import { supabase } from '../supabaseclient'
+
+// "@name" at the start of the text or after whitespace/punctuation; usernames with spaces cannot be mentioned
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]{1,40})/g
+const MAX_MENTIONS = 10
+
+/**
+ * Usernames mentioned in a comment
+ * @param {string} text - Comment body
+ * @returns {string[]} Unique usernames without the "@" (first MAX_MENTIONS)
+ */
+export function extractMentions(text) {
+  if (!text) return []
+  const names = new Map()
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // Trailing dots are sentence punctuation, not part of the name
+    const name = match[2].replace(/\.+$/, '')
+    if (name && !names.has(name.toLowerCase())) names.set(name.toLowerCase(), name)
+  }
+  return [...names.values()].slice(0, MAX_MENTIONS)
+}
+
+/**
+ * Resolve mentioned usernames to profiles, ignoring case ("@alice" finds "Alice"); unknown names are dropped
+ * @param {string} text - Comment body
+ * @returns {Promise<Array>} [{ id, username }] with the username as stored
+ */
+export async function resolveMentions(text) {
+  const names = extractMentions(text).map((name) => name.toLowerCase())
+  if (!names.length) return []
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, username')
+    .or(names.map((name) => `username.ilike."${name}"`).join(','))
+  if (error) {
+    console.warn('[mentionUtils] Could not resolve mentions:', error)
+    return []
+  }
+  // "_" is a wildcard for ilike, so keep only exact (case-insensitive) matches, one per name
+  const byName = new Map()
+  for (const { id, username } of data || []) {
+    const key = username?.toLowerCase()
+    if (names.includes(key) && !byName.has(key)) byName.set(key, { id, username })
+  }
+  return [...byName.values()]
+}
+
+/**
+ * Profiles whose username starts with a prefix, for @-autocomplete
+ * @param {string} prefix - Text typed after "@"
+ * @param {number} limit - Max suggestions
+ * @returns {Promise<Array>} [{ id, username, avatar_url }]
+ */
+export async function searchMentionCandidates(prefix, limit = 6) {
+  const term = (prefix || '').replace(/[%_\\]/g, (c) => `\\${c}`)
+  if (!term) return []
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, username, avatar_url')
+    .ilike('username', `${term}%`)
+    .order('username', { ascending: true })
+    .limit(limit)
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * The "@partial" being typed at the caret, if any
+ * @param {string} text - Textarea value
+ * @param {number} caret - selectionStart
+ * @returns {Object|null} { query, start } where start is the index of "@"
+ */
+export function getMentionQuery(text, caret) {
+  const before = (text || '').slice(0, caret)
+  const match = before.match(/(^|[^\w@])@([\w.-]{0,40})$/)
+  if (!match) return null
+  return { query: match[2], start: caret - match[2].length - 1 }
+}
+
+/**
+ * Split a comment body into text and resolved mention parts for rendering
+ * @param {string} text - Comment body
+ * @param {Array} mentions - Stored [{ id, username }]
+ * @returns {Array} [{ text }] or [{ text, userId }] for mentions
+ */
+export function splitMentions(text, mentions) {
+  if (!text) return []
+  const byName = new Map((Array.isArray(mentions) ? mentions : []).map((m) => [m.username?.toLowerCase(), m.id]))
+  if (!byName.size) return [{ text }]
+  const parts = []
+  let last = 0
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(/\.+$/, '')
+    const userId = byName.get(name.toLowerCase())
+    if (!userId) continue
+    const at = match.index + match[1].length
+    if (at > last) parts.push({ text: text.slice(last, at) })
+    parts.push({ text: `@${name}`, userId })
+    last = at + name.length + 1
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) })
+  return parts
+}
@@ -0,0 +1,303 @@
+import { supabase } from '../supabaseclient'
+import { validateId, checkRateLimit } from './securityUtils'
+
+/**
+ * Reporting and moderation.
+ * - Listeners file `content_reports` against comments and tracks.
+ * - Admins (profiles.is_admin) review them on /moderation; every decision is written to
+ *   `moderation_actions`, the audit log. Row-level security must restrict both the admin
+ *   writes and the audit table to admins; the checks here only shape the UI.
+ */
+
+export const REPORT_REASONS = [
+  { id: 'spam', label: 'Spam or advertising' },
+  { id: 'harassment', label: 'Harassment or bullying' },
+  { id: 'hate', label: 'Hate speech' },
+  { id: 'sexual', label: 'Sexual content' },
+  { id: 'copyright', label: 'Copyright infringement' },
+  { id: 'other', label: 'Something else' },
+]
+
+export const SUSPENSION_DAYS = [1, 7, 30]
+const REPORT_RATE_LIMIT_MS = 10000
+const MAX_DETAILS_LENGTH = 1000
+
+const TARGET_COLUMN = { comment: 'comment_id', track: 'track_id' }
+
+const requireUser = async () => {
+  const user = (await supabase.auth.getUser())?.data?.user
+  if (!user) throw new Error('Not authenticated')
+  return user
+}
+
+/**
+ * Label for a reason id
+ * @param {string} reason
+ * @returns {string}
+ */
+export const reasonLabel = (reason) => REPORT_REASONS.find((r) => r.id === reason)?.label || reason
+
+/**
+ * Moderation-relevant profile fields for a user
+ * @param {string} userId
+ * @returns {Promise<Object>} { isAdmin, suspendedUntil } (suspendedUntil is null unless currently suspended)
+ */
+export async function fetchModerationStatus(userId) {
+  if (!userId) return { isAdmin: false, suspendedUntil: null }
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('is_admin, suspended_until')
+    .eq('id', userId)
+    .maybeSingle()
+  if (error) throw error
+  const until = data?.suspended_until ? new Date(data.suspended_until) : null
+  return {
+    isAdmin: Boolean(data?.is_admin),
+    suspendedUntil: until && until.getTime() > Date.now() ? until : null,
+  }
+}
+
+/**
+ * Throw when the current user is suspended (posting, uploading)
+ * @param {string} userId
+ */
+export async function assertNotSuspended(userId) {
+  const { suspendedUntil } = await fetchModerationStatus(userId)
+  if (suspendedUntil) {
+    throw new Error(`Your account is suspended until ${suspendedUntil.toLocaleString()}.`)
+  }
+}
+
+/**
+ * Report a comment or a track
+ * @param {Object} report - { targetType: 'comment'|'track', targetId, reason, details }
+ * @returns {Promise<Object>} The stored report
+ */
+export async function reportContent({ targetType, targetId, reason, details = '' }) {
+  const column = TARGET_COLUMN[targetType]
+  if (!column) throw new Error('Invalid report target')
+  if (!validateId(targetId)) throw new Error('Invalid report target')
+  if (!REPORT_REASONS.some((r) => r.id === reason)) throw new Error('Please choose a reason')
+
+  const user = await requireUser()
+  const { canProceed, remainingMs } = checkRateLimit(`report_${user.id}`, REPORT_RATE_LIMIT_MS)
+  if (!canProceed) {
+    throw new Error(`Please wait ${Math.ceil(remainingMs / 1000)} seconds before sending another report`)
+  }
+
+  const { data, error } = await supabase
+    .from('content_reports')
+    .insert({
+      reporter_id: user.id,
+      target_type: targetType,
+      [column]: Number(targetId),
+      reason,
+      details: details.trim().slice(0, MAX_DETAILS_LENGTH) || null,
+    })
+    .select('id, status')
+    .single()
+
+  if (error) {
+    // Unique (reporter, target): a second report of the same thing is not an error for the user
+    if (error.code === '23505') return { duplicate: true }
+    console.error('Report content error:', error)
+    throw error
+  }
+  return data
+}
+
+/**
+ * Reports for the moderation queue, newest first, with the reported content and its author
+ * @param {Object} options - { status: 'open'|'resolved'|'dismissed', limit }
+ * @returns {Promise<Array>}
+ */
+export async function fetchReports({ status = 'open', limit = 100 } = {}) {
+  const { data, error } = await supabase
+    .from('content_reports')
+    .select(`
+      id,
+      target_type,
+      reason,
+      details,
+      status,
+      created_at,
+      resolved_at,
+      reporter:profiles!content_reports_reporter_id_fkey(id, username),
+      comment:track_comments(id, body, user_id, track_id, hidden_at, deleted_at, author:profiles!track_comments_user_id_fkey(id, username, suspended_until)),
+      track:tracks(id, title, artist, user_id, hidden_at, deleted_at, author:profiles!tracks_user_id_fkey(id, username, suspended_until))
+    `)
+    .eq('status', status)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+  if (error) {
+    console.error('Fetch reports error:', error)
+    throw error
+  }
+  return data || []
+}
+
+/**
+ * Recent entries of the audit log
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export async function fetchModerationLog(limit = 100) {
+  const { data, error } = await supabase
+    .from('moderation_actions')
+    .select(`
+      id,
+      action,
+      target_type,
+      comment_id,
+      track_id,
+      report_id,
+      note,
+      created_at,
+      moderator:profiles!moderation_actions_moderator_id_fkey(id, username),
+      target_user:profiles!moderation_actions_target_user_id_fkey(id, username)
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+  if (error) {
+    console.error('Fetch moderation log error:', error)
+    throw error
+  }
+  return data || []
+}
+
+/**
+ * Write an audit entry and, when given, close the report it came from
+ * @param {Object} entry - { action, report, targetType, targetId, targetUserId, note, reportStatus }
+ */
+const recordAction = async ({ action, report = null, targetType = null, targetId = null, targetUserId = null, note = '', reportStatus = 'resolved' }) => {
+  const moderator = await requireUser()
+  const { error } = await supabase
+    .from('moderation_actions')
+    .insert({
+      moderator_id: moderator.id,
+      action,
+      target_type: targetType,
+      comment_id: targetType === 'comment' ? targetId : null,
+      track_id: targetType === 'track' ? targetId : null,
+      target_user_id: targetUserId,
+      report_id: report?.id ?? null,
+      note: note.trim() || null,
+    })
+  if (error) {
+    console.error('Record moderation action error:', error)
+    throw error
+  }
+  if (!report || !reportStatus) return
+  const { error: reportError } = await supabase
+    .from('content_reports')
+    .update({ status: reportStatus, resolved_at: new Date().toISOString(), resolved_by: moderator.id })
+    .eq('id', report.id)
+  if (reportError) {
+    console.error('Resolve report error:', reportError)
+    throw reportError
+  }
+}
+
+// The reported comment or track and its author, from a fetchReports row
+const reportTarget = (report) => {
+  const content = report.target_type === 'comment' ? report.comment : report.track
+  return { targetType: report.target_type, targetId: content?.id ?? null, targetUserId: content?.user_id ?? null }
+}
+
+/**
+ * Hide (or unhide) reported content: hidden comments and tracks are filtered out of listings
+ * @param {Object} report - Row from fetchReports
+ * @param {Object} options - { hidden, note }
+ */
+export async function setContentHidden(report, { hidden = true, note = '' } = {}) {
+  const { targetType, targetId, targetUserId } = reportTarget(report)
+  if (!targetId) throw new Error('The reported content no longer exists')
+  const table = targetType === 'comment' ? 'track_comments' : 'tracks'
+  const { error } = await supabase
+    .from(table)
+    .update({ hidden_at: hidden ? new Date().toISOString() : null })
+    .eq('id', targetId)
+  if (error) {
+    console.error('Hide content error:', error)
+    throw error
+  }
+  await recordAction({
+    action: hidden ? 'hide' : 'unhide',
+    report,
+    targetType,
+    targetId,
+    targetUserId,
+    note,
+    reportStatus: hidden ? 'resolved' : null,
+  })
+}
+
+/**
+ * Warn the author of reported content (the warning is the audit entry, shown to the user)
+ * @param {Object} report - Row from fetchReports
+ * @param {string} note - Message for the user
+ */
+export async function warnAuthor(report, note) {
+  const { targetType, targetId, targetUserId } = reportTarget(report)
+  if (!targetUserId) throw new Error('The reported content no longer exists')
+  if (!note?.trim()) throw new Error('Please write the warning message')
+  await recordAction({ action: 'warn', report, targetType, targetId, targetUserId, note })
+}
+
+/**
+ * Suspend the author of reported content: no comments or uploads until the date passes
+ * @param {Object} report - Row from fetchReports
+ * @param {Object} options - { days, note }
+ */
+export async function suspendAuthor(report, { days, note = '' }) {
+  const { targetType, targetId, targetUserId } = reportTarget(report)
+  if (!targetUserId) throw new Error('The reported content no longer exists')
+  if (!SUSPENSION_DAYS.includes(Number(days))) throw new Error('Invalid suspension length')
+  const until = new Date(Date.now() + Number(days) * 86_400_000).toISOString()
+  const { error } = await supabase
+    .from('profiles')
+    .update({ suspended_until: until })
+    .eq('id', targetUserId)
+  if (error) {
+    console.error('Suspend user error:', error)
+    throw error
+  }
+  await recordAction({
+    action: 'suspend',
+    report,
+    targetType,
+    targetId,
+    targetUserId,
+    note: `${days}d${note.trim() ? ` – ${note.trim()}` : ''}`,
+  })
+}
+
+/**
+ * Close a report without acting on the content
+ * @param {Object} report - Row from fetchReports
+ * @param {string} note
+ */
+export async function dismissReport(report, note = '') {
+  const { targetType, targetId, targetUserId } = reportTarget(report)
+  await recordAction({ action: 'dismiss', report, targetType, targetId, targetUserId, note, reportStatus: 'dismissed' })
+}
+
+/**
+ * Warnings a user received recently (their own audit entries, readable through RLS)
+ * @param {string} userId
+ * @param {number} days - How far back
+ * @returns {Promise<Array>} [{ id, note, created_at }]
+ */
+export async function fetchOwnWarnings(userId, days = 30) {
+  if (!userId) return []
+  const since = new Date(Date.now() - days * 86_400_000).toISOString()
+  const { data, error } = await supabase
+    .from('moderation_actions')
+    .select('id, note, created_at')
+    .eq('target_user_id', userId)
+    .eq('action', 'warn')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+  if (error) throw error
+  return data || []
+}
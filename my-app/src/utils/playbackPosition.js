@@ -0,0 +1,178 @@
+import { supabase } from '../supabaseclient'
+
+/**
+ * Resume points for long tracks (mixes, podcasts, live sets).
+ * - Stored per user and track in `playback_positions`, so another device can pick them up.
+ * - The latest position is also kept in localStorage for a fast boot and for signed-out listeners.
+ */
+
+export const MIN_RESUME_DURATION_SEC = 10 * 60 // shorter tracks simply restart
+const MIN_RESUME_POSITION_SEC = 30 // closer to the start than this is not worth a prompt
+const END_MARGIN_SEC = 30 // within this of the end the track counts as finished
+export const POSITION_SAVE_INTERVAL_MS = 15 * 1000
+
+/**
+ * Whether a position is worth remembering
+ * @param {number} position - Seconds into the track
+ * @param {number} duration - Track length in seconds
+ * @returns {boolean}
+ */
+export const shouldRememberPosition = (position, duration) =>
+  Number.isFinite(position) &&
+  Number.isFinite(duration) &&
+  duration >= MIN_RESUME_DURATION_SEC &&
+  position >= MIN_RESUME_POSITION_SEC &&
+  position < duration - END_MARGIN_SEC
+
+/**
+ * Whether a position is close enough to the end to drop the resume point
+ * @param {number} position
+ * @param {number} duration
+ * @returns {boolean}
+ */
+export const isNearEnd = (position, duration) =>
+  Number.isFinite(duration) && duration > 0 && position >= duration - END_MARGIN_SEC
+
+/**
+ * Format seconds as m:ss or h:mm:ss (e.g. "23:14")
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatPlaybackTime = (seconds) => {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0))
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = String(total % 60).padStart(2, '0')
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
+
+const storageKey = (userId) => `player_position:${userId || 'anonymous'}`
+
+/**
+ * Read the locally stored resume point
+ * @param {string|null} userId
+ * @returns {Object|null} { trackId, position, duration, updatedAt }
+ */
+export const readLocalPosition = (userId) => {
+  try {
+    const raw = localStorage.getItem(storageKey(userId))
+    if (!raw) return null
+    const parsed = JSON.parse(raw)
+    return parsed?.trackId ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+const writeLocalPosition = (userId, value) => {
+  try {
+    if (value) localStorage.setItem(storageKey(userId), JSON.stringify(value))
+    else localStorage.removeItem(storageKey(userId))
+  } catch {
+    // ignore storage failures
+  }
+}
+
+const fromRow = (row) => ({
+  trackId: row.track_id,
+  position: Number(row.position_sec) || 0,
+  duration: Number(row.duration_sec) || 0,
+  updatedAt: Date.parse(row.updated_at) || 0,
+})
+
+/**
+ * Get the resume point for a track (the newer of the local and server copies)
+ * @param {string|null} userId
+ * @param {string} trackId
+ * @returns {Promise<Object|null>} { trackId, position, duration, updatedAt }
+ */
+export async function fetchPlaybackPosition(userId, trackId) {
+  if (!trackId) return null
+  const local = readLocalPosition(userId)
+  let best = local?.trackId === trackId ? local : null
+
+  if (userId) {
+    const { data, error } = await supabase
+      .from('playback_positions')
+      .select('track_id, position_sec, duration_sec, updated_at')
+      .eq('user_id', userId)
+      .eq('track_id', trackId)
+      .maybeSingle()
+    if (error) throw error
+    if (data) {
+      const remote = fromRow(data)
+      if (!best || remote.updatedAt > best.updatedAt) best = remote
+    }
+  }
+
+  return best && shouldRememberPosition(best.position, best.duration) ? best : null
+}
+
+/**
+ * Get the most recently saved resume point together with its track (used on boot
+ * when this device has no stored queue)
+ * @param {string} userId
+ * @returns {Promise<Object|null>} { track, position, duration }
+ */
+export async function fetchLastPlayback(userId) {
+  if (!userId) return null
+  const { data, error } = await supabase
+    .from('playback_positions')
+    .select(`
+      track_id, position_sec, duration_sec, updated_at,
+      track:tracks(*, profiles!tracks_user_id_fkey(username, avatar_url))
+    `)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+  if (error) throw error
+  // The track may have been deleted, made private or hidden since, or not be processed yet
+  // (the same tracks the feeds and playlists leave out)
+  const track = data?.track
+  if (!track || track.deleted_at || track.hidden_at || track.processing_status !== 'ready' || !track.audio_path) return null
+  const saved = fromRow(data)
+  if (!shouldRememberPosition(saved.position, saved.duration)) return null
+  return { track, position: saved.position, duration: saved.duration }
+}
+
+/**
+ * Save a resume point locally and, for signed-in users, to the server
+ * @param {string|null} userId
+ * @param {Object} value - { trackId, position, duration }
+ * @returns {Promise<void>}
+ */
+export async function savePlaybackPosition(userId, { trackId, position, duration }) {
+  if (!trackId || !shouldRememberPosition(position, duration)) return
+  const updatedAt = Date.now()
+  writeLocalPosition(userId, { trackId, position, duration, updatedAt })
+  if (!userId) return
+  const { error } = await supabase
+    .from('playback_positions')
+    .upsert({
+      user_id: userId,
+      track_id: trackId,
+      position_sec: Math.floor(position),
+      duration_sec: Math.floor(duration),
+      updated_at: new Date(updatedAt).toISOString(),
+    }, { onConflict: 'user_id,track_id' })
+  if (error) throw error
+}
+
+/**
+ * Forget a track's resume point (finished, or the listener chose to start over)
+ * @param {string|null} userId
+ * @param {string} trackId
+ * @returns {Promise<void>}
+ */
+export async function clearPlaybackPosition(userId, trackId) {
+  if (!trackId) return
+  if (readLocalPosition(userId)?.trackId === trackId) writeLocalPosition(userId, null)
+  if (!userId) return
+  const { error } = await supabase
+    .from('playback_positions')
+    .delete()
+    .eq('user_id', userId)
+    .eq('track_id', trackId)
+  if (error) throw error
+}
@@ -0,0 +1,85 @@
+import { EQ_PRESETS, CUSTOM_PRESET, normalizeEqGains } from './equalizer'
+
+/**
+ * Listener preferences for the global player (volume, mute, playback speed, equalizer and
+ * loudness normalization), persisted per user in localStorage.
+ */
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]
+export const MIN_PLAYBACK_RATE = 0.5
+export const MAX_PLAYBACK_RATE = 2
+
+export const defaultPlayerPrefs = {
+  volume: 1,
+  muted: false,
+  playbackRate: 1,
+  eqPreset: 'flat',
+  eqGains: EQ_PRESETS.flat.gains,
+  normalize: false,
+}
+
+const storageKey = (userId) => `player_prefs:${userId || 'anonymous'}`
+
+/**
+ * Clamp a volume to 0..1 (two decimals, so slider and keyboard steps stay round)
+ * @param {any} value
+ * @returns {number}
+ */
+export const clampVolume = (value) => {
+  const n = Number(value)
+  if (!Number.isFinite(n)) return defaultPlayerPrefs.volume
+  return Math.round(Math.min(Math.max(n, 0), 1) * 100) / 100
+}
+
+/**
+ * Clamp a playback rate to the supported range
+ * @param {any} value
+ * @returns {number}
+ */
+export const clampPlaybackRate = (value) => {
+  const n = Number(value)
+  if (!Number.isFinite(n)) return defaultPlayerPrefs.playbackRate
+  return Math.min(Math.max(n, MIN_PLAYBACK_RATE), MAX_PLAYBACK_RATE)
+}
+
+/**
+ * Read stored preferences
+ * @param {string|null} userId
+ * @returns {Object} { volume, muted, playbackRate, eqPreset, eqGains, normalize }
+ */
+export const readPlayerPrefs = (userId) => {
+  try {
+    const raw = localStorage.getItem(storageKey(userId))
+    if (!raw) return { ...defaultPlayerPrefs }
+    const parsed = JSON.parse(raw)
+    const eqPreset = parsed?.eqPreset === CUSTOM_PRESET || EQ_PRESETS[parsed?.eqPreset]
+      ? parsed.eqPreset
+      : defaultPlayerPrefs.eqPreset
+    return {
+      volume: clampVolume(parsed?.volume ?? defaultPlayerPrefs.volume),
+      muted: Boolean(parsed?.muted),
+      playbackRate: clampPlaybackRate(parsed?.playbackRate ?? defaultPlayerPrefs.playbackRate),
+      eqPreset,
+      eqGains: eqPreset === CUSTOM_PRESET ? normalizeEqGains(parsed?.eqGains) : EQ_PRESETS[eqPreset].gains,
+      normalize: typeof parsed?.normalize === 'boolean' ? parsed.normalize : defaultPlayerPrefs.normalize,
+    }
+  } catch {
+    return { ...defaultPlayerPrefs }
+  }
+}
+
+/**
+ * Persist preferences
+ * @param {string|null} userId
+ * @param {Object} prefs - { volume, muted, playbackRate, eqPreset, eqGains, normalize }
+ */
+export const writePlayerPrefs = (userId, { volume, muted, playbackRate, eqPreset, eqGains, normalize }) => {
+  try {
+    localStorage.setItem(
+      storageKey(userId),
+      JSON.stringify({ volume, muted, playbackRate, eqPreset, eqGains, normalize }),
+    )
+  } catch {
+    // ignore storage failures
+  }
+}
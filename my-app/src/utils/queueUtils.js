@@ -0,0 +1,230 @@
+/**
+ * Helpers for the global play queue (see hooks/usePlayQueue.js)
+ */
+
+const QUEUE_STORAGE_PREFIX = 'player_queue'
+const MAX_QUEUE_LENGTH = 500
+
+// 'off' stops at the end of the queue, 'all' wraps around, 'one' replays the current track
+export const REPEAT_MODES = ['off', 'all', 'one']
+
+let entryCounter = 0
+
+/**
+ * Reduce a track row to the fields the player needs, so persisted queues stay small
+ * @param {Object} track - Track row (may include joined profiles/genres)
+ * @returns {Object|null} Playable track snapshot or null if the row has no id
+ */
+export const toQueueTrack = (track) => {
+  if (!track?.id) return null
+  return {
+    id: track.id,
+    title: track.title || '',
+    artist: track.artist || '',
+    album: track.album || '',
+    audio_path: track.audio_path || null,
+    image_path: track.image_path || null,
+    user_id: track.user_id || null,
+    replay_gain_db: track.replay_gain_db ?? null,
+    profiles: track.profiles
+      ? { username: track.profiles.username || null, avatar_url: track.profiles.avatar_url || null }
+      : null,
+  }
+}
+
+/**
+ * Wrap a track in a queue entry with its own id, so the same track can be queued twice
+ * @param {Object} track - Track row
+ * @returns {Object|null} { qid, track }
+ */
+export const createQueueEntry = (track) => {
+  const snapshot = toQueueTrack(track)
+  if (!snapshot) return null
+  entryCounter += 1
+  return { qid: `${snapshot.id}-${Date.now().toString(36)}-${entryCounter}`, track: snapshot }
+}
+
+/**
+ * Clamp an index into the bounds of a list
+ * @param {number} index
+ * @param {number} length
+ * @returns {number}
+ */
+export const clampIndex = (index, length) => {
+  if (!length) return 0
+  const n = Number.isInteger(index) ? index : 0
+  return Math.min(Math.max(n, 0), length - 1)
+}
+
+/**
+ * Move an item inside an array without mutating it
+ * @param {Array} list
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array}
+ */
+export const moveItem = (list, from, to) => {
+  if (from === to || from < 0 || from >= list.length) return list
+  const next = [...list]
+  const [item] = next.splice(from, 1)
+  next.splice(clampIndex(to, next.length + 1), 0, item)
+  return next
+}
+
+/**
+ * Fisher–Yates shuffle without mutating the input
+ * @param {Array} list
+ * @returns {Array}
+ */
+export const shuffleList = (list) => {
+  const next = [...list]
+  for (let i = next.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[next[i], next[j]] = [next[j], next[i]]
+  }
+  return next
+}
+
+/**
+ * Build a shuffled play order (queue ids) that starts with the current entry
+ * @param {Array} entries - Queue entries
+ * @param {string|null} currentQid - Entry that is playing now
+ * @returns {Array<string>}
+ */
+export const buildShuffleOrder = (entries, currentQid) => {
+  const rest = entries.map((e) => e.qid).filter((qid) => qid !== currentQid)
+  return currentQid ? [currentQid, ...shuffleList(rest)] : shuffleList(rest)
+}
+
+/**
+ * Insert queue ids at random positions after a given position of the order,
+ * so newly queued tracks mix into the not-yet-played part only
+ * @param {Array<string>} order
+ * @param {Array<string>} qids
+ * @param {number} after - Position of the current entry in the order
+ * @returns {Array<string>}
+ */
+export const insertIntoUpcoming = (order, qids, after) => {
+  const next = [...order]
+  qids.forEach((qid) => {
+    const start = Math.max(after + 1, 0)
+    const at = start + Math.floor(Math.random() * (next.length - start + 1))
+    next.splice(at, 0, qid)
+  })
+  return next
+}
+
+/**
+ * Keep a stored shuffle order consistent with the entries it refers to
+ * @param {Array<string>} order
+ * @param {Array} entries
+ * @returns {Array<string>}
+ */
+export const reconcileOrder = (order, entries) => {
+  const known = new Set(entries.map((e) => e.qid))
+  const kept = (Array.isArray(order) ? order : []).filter((qid) => known.has(qid))
+  const keptSet = new Set(kept)
+  return [...kept, ...entries.map((e) => e.qid).filter((qid) => !keptSet.has(qid))]
+}
+
+/**
+ * Work out which entry plays after a next/previous step
+ * @param {Object} queue - { entries, index, shuffle, order, repeat }
+ * @param {number} delta - +1 for next, -1 for previous
+ * @param {Object} options - { auto } true when the current track ended on its own
+ * @returns {Object|null} { index, order } or null when playback should stop
+ */
+export const resolveStep = ({ entries, index, shuffle, order, repeat }, delta, { auto = false } = {}) => {
+  if (!entries.length) return null
+  if (auto && repeat === 'one') return { index, order }
+  const wraps = repeat !== 'off'
+
+  if (!shuffle) {
+    const position = index + delta
+    if (position >= 0 && position < entries.length) return { index: position, order }
+    if (!wraps) return null
+    return { index: (position + entries.length) % entries.length, order }
+  }
+
+  const currentQid = entries[index]?.qid
+  const at = order.indexOf(currentQid)
+  const position = at + delta
+  let nextOrder = order
+  let qid = order[position]
+  if (position >= order.length) {
+    if (!wraps) return null
+    // Exhausted: start a fresh shuffled pass that does not begin with the track just heard
+    nextOrder = shuffleList(order)
+    if (nextOrder.length > 1 && nextOrder[0] === currentQid) nextOrder.push(nextOrder.shift())
+    qid = nextOrder[0]
+  } else if (position < 0) {
+    if (!wraps) return null
+    qid = order[order.length - 1]
+  }
+  const nextIndex = entries.findIndex((e) => e.qid === qid)
+  return nextIndex < 0 ? null : { index: nextIndex, order: nextOrder }
+}
+
+/**
+ * Whether a manual next/previous step has somewhere to go
+ * @param {Object} queue - { entries, index, shuffle, order, repeat }
+ * @param {number} delta - +1 for next, -1 for previous
+ * @returns {boolean}
+ */
+export const canStep = ({ entries, index, shuffle, order, repeat }, delta) => {
+  if (entries.length < 2) return false
+  if (repeat !== 'off') return true
+  const at = shuffle ? order.indexOf(entries[index]?.qid) : index
+  const position = at + delta
+  return position >= 0 && position < entries.length
+}
+
+const storageKey = (userId) => `${QUEUE_STORAGE_PREFIX}:${userId || 'anonymous'}`
+
+export const defaultQueue = { entries: [], index: 0, shuffle: false, order: [], repeat: 'off' }
+
+/**
+ * Read a persisted queue from localStorage
+ * @param {string|null} userId - Owner of the queue
+ * @returns {Object} { entries, index, shuffle, order, repeat }
+ */
+export const readStoredQueue = (userId) => {
+  try {
+    const raw = localStorage.getItem(storageKey(userId))
+    if (!raw) return { ...defaultQueue }
+    const parsed = JSON.parse(raw)
+    const entries = (Array.isArray(parsed?.entries) ? parsed.entries : [])
+      .filter((e) => e?.qid && e?.track?.id)
+      .slice(0, MAX_QUEUE_LENGTH)
+    const shuffle = Boolean(parsed?.shuffle)
+    return {
+      entries,
+      index: clampIndex(parsed?.index, entries.length),
+      shuffle,
+      order: shuffle ? reconcileOrder(parsed?.order, entries) : [],
+      repeat: REPEAT_MODES.includes(parsed?.repeat) ? parsed.repeat : 'off',
+    }
+  } catch {
+    return { ...defaultQueue }
+  }
+}
+
+/**
+ * Persist a queue to localStorage (removes the key when the queue is empty and modes are default)
+ * @param {string|null} userId - Owner of the queue
+ * @param {Object} queue - { entries, index, shuffle, order, repeat }
+ */
+export const writeStoredQueue = (userId, { entries, index, shuffle, order, repeat }) => {
+  try {
+    if (!entries?.length && !shuffle && repeat === 'off') {
+      localStorage.removeItem(storageKey(userId))
+      return
+    }
+    const payload = { entries: entries.slice(0, MAX_QUEUE_LENGTH), index, shuffle, order, repeat }
+    localStorage.setItem(storageKey(userId), JSON.stringify(payload))
+  } catch {
+    // ignore storage failures (quota, private mode)
+  }
+}
+
+export { MAX_QUEUE_LENGTH }
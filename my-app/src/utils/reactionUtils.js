@@ -0,0 +1,101 @@
+import { supabase } from '../supabaseclient'
+import { validateId } from './securityUtils'
+
+// The fixed set offered under each comment, in display order
+export const COMMENT_REACTIONS = ['👍', '❤️', '😂', '🔥', '😮', '😢']
+
+const EMPTY_REACTIONS = Object.freeze({ counts: {}, mine: [] })
+
+/**
+ * Reactions of a comment as stored on it by fetchComments
+ * @param {Object} comment
+ * @returns {Object} { counts: { emoji: n }, mine: [emoji] }
+ */
+export const getCommentReactions = (comment) => comment?.reactions || EMPTY_REACTIONS
+
+/**
+ * Reaction counts (and the viewer's own reactions) for a page of comments, in two queries
+ * - Counts come from the `comment_reaction_counts` view, so rows are aggregated in the database.
+ * @param {Array<number>} commentIds
+ * @param {string|null} userId - Viewer, to mark their own reactions
+ * @returns {Promise<Map>} commentId -> { counts, mine }
+ */
+export async function fetchReactionSummaries(commentIds, userId = null) {
+  const ids = [...new Set(commentIds)].filter((id) => validateId(id))
+  const summaries = new Map()
+  if (!ids.length) return summaries
+
+  const [countsResult, mineResult] = await Promise.all([
+    supabase
+      .from('comment_reaction_counts')
+      .select('comment_id, emoji, count')
+      .in('comment_id', ids),
+    userId
+      ? supabase
+        .from('comment_reactions')
+        .select('comment_id, emoji')
+        .eq('user_id', userId)
+        .in('comment_id', ids)
+      : Promise.resolve({ data: [], error: null }),
+  ])
+  if (countsResult.error) throw countsResult.error
+  if (mineResult.error) throw mineResult.error
+
+  const summaryFor = (id) => {
+    if (!summaries.has(id)) summaries.set(id, { counts: {}, mine: [] })
+    return summaries.get(id)
+  }
+  ;(countsResult.data || []).forEach(({ comment_id: id, emoji, count }) => {
+    summaryFor(id).counts[emoji] = Number(count) || 0
+  })
+  ;(mineResult.data || []).forEach(({ comment_id: id, emoji }) => {
+    summaryFor(id).mine.push(emoji)
+  })
+  return summaries
+}
+
+/**
+ * Add or remove the current user's reaction on a comment
+ * @param {number} commentId
+ * @param {string} emoji - One of COMMENT_REACTIONS
+ * @param {boolean} add - true to react, false to take the reaction back
+ */
+export async function setCommentReaction(commentId, emoji, add) {
+  const cid = typeof commentId === 'string' ? Number(commentId) : commentId
+  if (!validateId(cid)) throw new Error('Invalid comment ID')
+  if (!COMMENT_REACTIONS.includes(emoji)) throw new Error('Unsupported reaction')
+
+  const user = (await supabase.auth.getUser())?.data?.user
+  if (!user) throw new Error('Not authenticated')
+
+  if (add) {
+    const { error } = await supabase
+      .from('comment_reactions')
+      .insert({ comment_id: cid, user_id: user.id, emoji })
+    // Already reacted (another tab): the desired state holds
+    if (error && error.code !== '23505') throw error
+    return
+  }
+
+  const { error } = await supabase
+    .from('comment_reactions')
+    .delete()
+    .match({ comment_id: cid, user_id: user.id, emoji })
+  if (error) throw error
+}
+
+/**
+ * Reactions after the viewer toggles one (for optimistic updates and rollbacks)
+ * @param {Object} reactions - { counts, mine }
+ * @param {string} emoji
+ * @param {boolean} add
+ * @returns {Object} New { counts, mine }
+ */
+export function applyReactionToggle(reactions, emoji, add) {
+  const { counts, mine } = reactions || EMPTY_REACTIONS
+  const current = counts[emoji] || 0
+  return {
+    counts: { ...counts, [emoji]: Math.max(0, current + (add ? 1 : -1)) },
+    mine: add ? [...mine.filter((e) => e !== emoji), emoji] : mine.filter((e) => e !== emoji),
+  }
+}
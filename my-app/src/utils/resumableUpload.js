@@ -0,0 +1,241 @@
+import { supabase, SUPABASE_URL } from '../supabaseclient'
+
+/**
+ * Resumable uploads to Supabase Storage over its TUS endpoint.
+ * - The file goes up in 6MB chunks (the chunk size Supabase requires); a dropped connection
+ *   only repeats the current chunk.
+ * - Failed requests are retried with backoff after asking the server for its offset.
+ * - The upload URL is remembered per file (name, size, lastModified) for 24h, so picking the
+ *   same file again after a reload or failed attempt continues where it stopped.
+ */
+
+const TUS_VERSION = '1.0.0'
+const CHUNK_SIZE = 6 * 1024 * 1024
+const RETRY_DELAYS_MS = [1000, 3000, 5000, 10000, 20000]
+const RESUME_TTL_MS = 24 * 60 * 60 * 1000 // Supabase keeps unfinished uploads for 24 hours
+const STORAGE_PREFIX = 'resumable_upload'
+
+const endpoint = () => `${SUPABASE_URL}/storage/v1/upload/resumable`
+
+const fingerprint = (bucket, file) => `${STORAGE_PREFIX}:${bucket}:${file.name}:${file.size}:${file.lastModified}`
+
+const readStoredUpload = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) || 'null')
+    if (stored?.url && stored?.path && stored.createdAt + RESUME_TTL_MS > Date.now()) return stored
+    localStorage.removeItem(key)
+  } catch {
+    // ignore storage failures
+  }
+  return null
+}
+
+const writeStoredUpload = (key, value) => {
+  try {
+    if (value) localStorage.setItem(key, JSON.stringify(value))
+    else localStorage.removeItem(key)
+  } catch {
+    // ignore storage failures
+  }
+}
+
+// TUS metadata values are base64 (UTF-8 first, for titles in any script)
+const encodeMetadata = (metadata) =>
+  Object.entries(metadata)
+    .map(([key, value]) => `${key} ${btoa(String.fromCharCode(...new TextEncoder().encode(String(value))))}`)
+    .join(',')
+
+// status: HTTP status, 0 for network failures, -1 when the request was aborted on purpose
+const uploadError = (message, status) => Object.assign(new Error(message), { status })
+
+// Network failures, 409/423 (offset conflicts, locks) and 5xx are worth another try
+const isRetryable = (err) =>
+  err.status == null || err.status === 0 || err.status === 409 || err.status === 423 || err.status >= 500
+
+const authHeaders = async () => {
+  const { data } = await supabase.auth.getSession()
+  const token = data?.session?.access_token
+  if (!token) throw uploadError('Authentication required', 401)
+  return { authorization: `Bearer ${token}`, 'Tus-Resumable': TUS_VERSION }
+}
+
+/**
+ * One XHR (fetch has no upload progress). Resolves with the XHR for any status below 300.
+ * @param {Object} options - { method, url, headers, body, onUploadProgress, onXhr }
+ * @returns {Promise<XMLHttpRequest>}
+ */
+const send = ({ method, url, headers, body = null, onUploadProgress, onXhr }) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open(method, url)
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+    if (onUploadProgress) xhr.upload.onprogress = (e) => onUploadProgress(e.loaded)
+    xhr.onload = () => {
+      if (xhr.status < 300) resolve(xhr)
+      else reject(uploadError(`Upload request failed (${xhr.status}): ${xhr.responseText || xhr.statusText}`, xhr.status))
+    }
+    xhr.onerror = () => reject(uploadError('Network error during upload', 0))
+    xhr.onabort = () => reject(uploadError('Upload paused', -1))
+    onXhr?.(xhr)
+    xhr.send(body)
+  })
+
+/**
+ * Create a resumable upload; nothing is sent until start()
+ * @param {Object} options
+ * @param {string} options.bucket - Storage bucket
+ * @param {string} options.path - Object path for a new upload (a resumed upload keeps its earlier path)
+ * @param {File} options.file
+ * @param {boolean} options.upsert
+ * @param {Function} options.onProgress - (uploadedBytes, totalBytes)
+ * @param {Function} options.onStatus - ('uploading' | 'paused' | 'retrying', detail)
+ * @returns {Object} { start, pause, resume, abort } — start() resolves with { path } when done
+ */
+export function createResumableUpload({ bucket, path, file, upsert = false, onProgress, onStatus }) {
+  const storeKey = fingerprint(bucket, file)
+  let uploadUrl = null
+  let objectPath = path
+  let offset = 0
+  let xhr = null
+  let paused = false
+  let aborted = false
+  let wake = null // resolves a paused or backing-off loop early
+
+  const sleep = (ms) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms)
+      wake = () => {
+        clearTimeout(timer)
+        resolve()
+      }
+    })
+
+  const waitWhilePaused = async () => {
+    while (paused && !aborted) {
+      await new Promise((resolve) => { wake = resolve })
+    }
+    if (aborted) throw uploadError('Upload cancelled', -1)
+  }
+
+  const createUpload = async () => {
+    const res = await send({
+      method: 'POST',
+      url: endpoint(),
+      headers: {
+        ...(await authHeaders()),
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': encodeMetadata({
+          bucketName: bucket,
+          objectName: objectPath,
+          contentType: file.type || 'application/octet-stream',
+          cacheControl: '3600',
+        }),
+        'x-upsert': upsert ? 'true' : 'false',
+      },
+    })
+    const location = res.getResponseHeader('Location')
+    if (!location) throw uploadError('Upload server did not return an upload URL', 500)
+    uploadUrl = new URL(location, endpoint()).toString()
+    offset = 0
+    writeStoredUpload(storeKey, { url: uploadUrl, path: objectPath, createdAt: Date.now() })
+  }
+
+  // Where the server is; a 404/410 means the stored upload is gone and has to start over
+  const syncOffset = async () => {
+    try {
+      const res = await send({ method: 'HEAD', url: uploadUrl, headers: await authHeaders() })
+      offset = Number(res.getResponseHeader('Upload-Offset')) || 0
+    } catch (err) {
+      if (err.status === 404 || err.status === 410 || err.status === 403) {
+        writeStoredUpload(storeKey, null)
+        objectPath = path
+        await createUpload()
+        return
+      }
+      throw err
+    }
+  }
+
+  const sendChunk = async () => {
+    const chunk = file.slice(offset, Math.min(offset + CHUNK_SIZE, file.size))
+    const res = await send({
+      method: 'PATCH',
+      url: uploadUrl,
+      headers: {
+        ...(await authHeaders()),
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream',
+      },
+      body: chunk,
+      onUploadProgress: (loaded) => onProgress?.(offset + loaded, file.size),
+      onXhr: (request) => { xhr = request },
+    })
+    offset = Number(res.getResponseHeader('Upload-Offset')) || offset + chunk.size
+    onProgress?.(offset, file.size)
+  }
+
+  const start = async () => {
+    let attempt = 0
+    let needsSync = false // after a failure or pause the server's offset is the truth
+    const stored = readStoredUpload(storeKey)
+    if (stored) {
+      uploadUrl = stored.url
+      objectPath = stored.path
+      needsSync = true
+    }
+    onStatus?.('uploading')
+    for (;;) {
+      try {
+        await waitWhilePaused()
+        if (!uploadUrl) await createUpload()
+        else if (needsSync) await syncOffset()
+        needsSync = false
+        onProgress?.(offset, file.size)
+        while (offset < file.size) {
+          await waitWhilePaused()
+          await sendChunk()
+          attempt = 0
+        }
+        writeStoredUpload(storeKey, null)
+        return { path: objectPath }
+      } catch (err) {
+        xhr = null
+        if (aborted) throw uploadError('Upload cancelled', -1)
+        needsSync = true
+        if (err.status === -1 && paused) continue // pause() aborted the chunk in flight
+        if (!isRetryable(err) || attempt >= RETRY_DELAYS_MS.length) {
+          console.error('Resumable upload error:', err)
+          throw err
+        }
+        const delay = RETRY_DELAYS_MS[attempt++]
+        console.warn(`[resumableUpload] ${err.message}; retrying in ${delay / 1000}s`)
+        onStatus?.('retrying', { attempt, delayMs: delay })
+        await sleep(delay)
+        if (!paused) onStatus?.('uploading')
+      }
+    }
+  }
+
+  const pause = () => {
+    if (paused || aborted) return
+    paused = true
+    xhr?.abort()
+    onStatus?.('paused')
+  }
+
+  const resume = () => {
+    if (!paused || aborted) return
+    paused = false
+    onStatus?.('uploading')
+    wake?.()
+  }
+
+  // Stops for good; the stored URL stays so the same file can still resume later
+  const abort = () => {
+    aborted = true
+    xhr?.abort()
+    wake?.()
+  }
+
+  return { start, pause, resume, abort }
+}
@@ -0,0 +1,173 @@
+import { supabase } from '../supabaseclient'
+
+export const SEARCH_TYPES = [
+  { id: 'tracks', label: 'Tracks' },
+  { id: 'playlists', label: 'Playlists' },
+  { id: 'people', label: 'People' },
+]
+
+export const SEARCH_PAGE_SIZE = 20
+const MAX_QUERY_LENGTH = 100
+const MAX_TERMS = 8
+
+/**
+ * Trim and collapse whitespace; anything longer than MAX_QUERY_LENGTH is cut
+ * @param {string} value - Raw input or URL parameter
+ * @returns {string}
+ */
+export function normalizeSearchQuery(value) {
+  return (value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH)
+}
+
+/**
+ * Build a prefix tsquery ("day:* & tri:*") so results match while the user is still typing
+ * Only letters and digits survive; tsquery operators in the input cannot reach Postgres.
+ * @param {string} query - Normalized query
+ * @returns {string} Empty when nothing searchable is left
+ */
+export function toPrefixTsQuery(query) {
+  const terms = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS)
+  return terms.map((term) => `${term}:*`).join(' & ')
+}
+
+// ILIKE pattern for a substring match (trigram index on the column)
+const containsPattern = (query) => `%${query.replace(/[%_\\]/g, (c) => `\\${c}`)}%`
+
+const page = (query, offset, limit) => query.range(offset, offset + limit - 1)
+
+/**
+ * Public tracks whose title, artist or album match (tracks.search_vector)
+ * @param {string} query - Normalized query
+ * @param {Object} options - { offset, limit }
+ * @returns {Promise<Object>} { items, count }
+ */
+export async function searchTracks(query, { offset = 0, limit = SEARCH_PAGE_SIZE } = {}) {
+  const tsquery = toPrefixTsQuery(query)
+  if (!tsquery) return { items: [], count: 0 }
+  const { data, error, count } = await page(
+    supabase
+      .from('tracks')
+      .select(`
+        *,
+        profiles!tracks_user_id_fkey(username, avatar_url),
+        genres(name)
+      `, { count: 'exact' })
+      .textSearch('search_vector', tsquery, { config: 'simple' })
+      .eq('is_public', true)
+      .is('deleted_at', null)
+      .is('hidden_at', null)
+      .eq('processing_status', 'ready')
+      .order('play_count', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: false }),
+    offset,
+    limit,
+  )
+  if (error) throw error
+  return { items: data || [], count: count ?? 0 }
+}
+
+/**
+ * Public playlists whose title or description match (playlists.search_vector)
+ * @param {string} query - Normalized query
+ * @param {Object} options - { offset, limit }
+ * @returns {Promise<Object>} { items, count }
+ */
+export async function searchPlaylists(query, { offset = 0, limit = SEARCH_PAGE_SIZE } = {}) {
+  const tsquery = toPrefixTsQuery(query)
+  if (!tsquery) return { items: [], count: 0 }
+  const { data, error, count } = await page(
+    supabase
+      .from('playlists')
+      .select('id, title, description, owner, updated_at', { count: 'exact' })
+      .textSearch('search_vector', tsquery, { config: 'simple' })
+      .eq('is_public', true)
+      .order('updated_at', { ascending: false }),
+    offset,
+    limit,
+  )
+  if (error) throw error
+
+  // Owner names in one query; a playlist still shows if its owner cannot be loaded
+  const owners = [...new Set((data || []).map((p) => p.owner).filter(Boolean))]
+  let byOwner = new Map()
+  if (owners.length) {
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, username, avatar_url')
+      .in('id', owners)
+    if (profilesError) console.warn('[searchUtils] Could not load playlist owners:', profilesError)
+    byOwner = new Map((profiles || []).map((p) => [p.id, p]))
+  }
+  return {
+    items: (data || []).map((p) => ({ ...p, ownerProfile: byOwner.get(p.owner) || null })),
+    count: count ?? 0,
+  }
+}
+
+/**
+ * Profiles whose username contains the query (trigram index on profiles.username)
+ * @param {string} query - Normalized query
+ * @param {Object} options - { offset, limit }
+ * @returns {Promise<Object>} { items, count }
+ */
+export async function searchProfiles(query, { offset = 0, limit = SEARCH_PAGE_SIZE } = {}) {
+  if (!query) return { items: [], count: 0 }
+  const { data, error, count } = await page(
+    supabase
+      .from('profiles')
+      .select('id, username, avatar_url, bio', { count: 'exact' })
+      .ilike('username', containsPattern(query))
+      .order('username', { ascending: true }),
+    offset,
+    limit,
+  )
+  if (error) throw error
+  return { items: data || [], count: count ?? 0 }
+}
+
+const SEARCHERS = { tracks: searchTracks, playlists: searchPlaylists, people: searchProfiles }
+
+/**
+ * One page of results for a tab
+ * @param {string} type - One of SEARCH_TYPES ids
+ * @param {string} query - Normalized query
+ * @param {Object} options - { offset, limit }
+ * @returns {Promise<Object>} { items, count }
+ */
+export function searchByType(type, query, options) {
+  const search = SEARCHERS[type]
+  if (!search) throw new Error('Unknown search type')
+  return search(query, options)
+}
+
+/**
+ * Result counts for every tab; a failing type counts as 0
+ * @param {string} query - Normalized query
+ * @returns {Promise<Object>} { tracks, playlists, people }
+ */
+export async function countSearchResults(query) {
+  const entries = await Promise.all(
+    SEARCH_TYPES.map(async ({ id }) => {
+      try {
+        const { count } = await SEARCHERS[id](query, { limit: 1 })
+        return [id, count]
+      } catch (err) {
+        console.warn(`[searchUtils] Could not count ${id} results:`, err)
+        return [id, 0]
+      }
+    }),
+  )
+  return Object.fromEntries(entries)
+}
+
+/**
+ * Shareable URL of a search
+ * @param {string} query
+ * @param {string} type - Tab to open
+ * @returns {string}
+ */
+export function searchUrl(query, type = 'tracks') {
+  const params = new URLSearchParams({ q: normalizeSearchQuery(query) })
+  if (type && type !== 'tracks') params.set('type', type)
+  return `/search?${params.toString()}`
+}
@@ -84,7 +84,8 @@ export const validateCommentText = (text) => {
 }
 
 /**
- * Validates file uploads for security
+ * Validates file uploads before they are sent. This is for fast feedback only: the claimed type
+ * and extension are not checked against the bytes here (audio is verified by process-upload).
  * @param {File} file - The file to validate
  * @param {Object} options - Validation options
  * @returns {Object} Validation result
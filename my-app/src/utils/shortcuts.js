@@ -0,0 +1,60 @@
+/**
+ * Keyboard shortcut registry.
+ * Every binding is declared here once; the keydown handler (useKeyboardShortcuts) and the
+ * help overlay (ShortcutHelp) both read from this list, so they cannot drift apart.
+ */
+
+export const SEEK_STEP_SEC = 5
+export const VOLUME_STEP = 0.1
+
+export const SHORTCUT_GROUPS = ['Playback', 'Library', 'Navigation']
+
+/**
+ * @type {Array<{ id: string, keys: Array<string>, display: string, label: string, group: string, repeat?: boolean }>}
+ * keys are KeyboardEvent.key values; repeat allows auto-repeat while the key is held
+ */
+export const SHORTCUTS = [
+  { id: 'playPause', keys: [' '], display: 'Space', label: 'Play / pause', group: 'Playback' },
+  { id: 'seekBackward', keys: ['ArrowLeft'], display: '←', label: `Back ${SEEK_STEP_SEC} seconds`, group: 'Playback', repeat: true },
+  { id: 'seekForward', keys: ['ArrowRight'], display: '→', label: `Forward ${SEEK_STEP_SEC} seconds`, group: 'Playback', repeat: true },
+  { id: 'volumeUp', keys: ['ArrowUp'], display: '↑', label: 'Volume up', group: 'Playback', repeat: true },
+  { id: 'volumeDown', keys: ['ArrowDown'], display: '↓', label: 'Volume down', group: 'Playback', repeat: true },
+  { id: 'next', keys: ['n', 'N'], display: 'N', label: 'Next track', group: 'Playback' },
+  { id: 'previous', keys: ['p', 'P'], display: 'P', label: 'Previous track', group: 'Playback' },
+  { id: 'like', keys: ['l', 'L'], display: 'L', label: 'Like / unlike the current track', group: 'Library' },
+  { id: 'focusSearch', keys: ['/'], display: '/', label: 'Focus search', group: 'Navigation' },
+  { id: 'showHelp', keys: ['?'], display: '?', label: 'Show keyboard shortcuts', group: 'Navigation' },
+]
+
+const byKey = new Map(SHORTCUTS.flatMap((s) => s.keys.map((key) => [key, s])))
+
+const NON_TEXT_INPUTS = new Set(['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'color'])
+
+/**
+ * Whether an event target is a place where the user is typing (or where the keys already
+ * mean something, like arrow keys on a range slider or select)
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+export const isTypingTarget = (target) => {
+  if (!target || typeof target.closest !== 'function') return false
+  if (target.isContentEditable) return true
+  const tag = target.tagName
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true
+  if (tag === 'INPUT') return !NON_TEXT_INPUTS.has((target.type || 'text').toLowerCase())
+  return Boolean(target.closest('[contenteditable="true"], [role="textbox"]'))
+}
+
+/**
+ * Find the shortcut for a keydown event
+ * @param {KeyboardEvent} event
+ * @returns {Object|null} Entry from SHORTCUTS
+ */
+export const findShortcut = (event) => {
+  // Leave browser/OS combinations alone (Ctrl+L, Cmd+P, Alt+←, ...)
+  if (event.ctrlKey || event.metaKey || event.altKey) return null
+  const shortcut = byKey.get(event.key)
+  if (!shortcut) return null
+  if (event.repeat && !shortcut.repeat) return null
+  return shortcut
+}
@@ -0,0 +1,165 @@
+import { supabase } from '../supabaseclient'
+
+/**
+ * Signed URL cache for the private `audio` bucket.
+ * - Keyed by tracks.audio_path, with expiry tracking so URLs are re-signed before they lapse.
+ * - Concurrent requests for the same path share one in-flight request.
+ * - Whole queues are signed in batches with createSignedUrls.
+ */
+
+const AUDIO_BUCKET = 'audio'
+export const SIGNED_URL_TTL_SEC = 3600
+const REFRESH_MARGIN_MS = 5 * 60 * 1000 // treat URLs as stale 5 minutes before they expire
+const BATCH_SIZE = 100
+
+const cache = new Map() // path -> { url, expiresAt }
+const inFlight = new Map() // path -> Promise<string>
+
+const isFresh = (entry) => Boolean(entry && entry.expiresAt - REFRESH_MARGIN_MS > Date.now())
+
+/**
+ * Read the expiry (ms since epoch) from a signed URL's token, if it has one
+ * @param {string} url - Signed storage URL (…/object/sign/…?token=JWT)
+ * @returns {number|null}
+ */
+export const getSignedUrlExpiry = (url) => {
+  try {
+    if (!url) return null
+    const token = new URL(url).searchParams.get('token')
+    if (!token || token.split('.').length !== 3) return null
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    const payload = JSON.parse(atob(base64))
+    return payload?.exp ? payload.exp * 1000 : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Whether a signed URL has expired (or will within the refresh margin)
+ * @param {string} url
+ * @param {number} marginMs
+ * @returns {boolean} False when the expiry cannot be determined
+ */
+export const isSignedUrlExpired = (url, marginMs = REFRESH_MARGIN_MS) => {
+  const expiresAt = getSignedUrlExpiry(url)
+  return expiresAt != null && expiresAt - marginMs <= Date.now()
+}
+
+/**
+ * Whether a signed URL points at the given object path (URLs are /object/sign/<bucket>/<path>)
+ * @param {string} url
+ * @param {string} path - tracks.audio_path
+ * @returns {boolean}
+ */
+export const isSignedUrlFor = (url, path) => {
+  try {
+    if (!url || !path) return false
+    const pathname = decodeURIComponent(new URL(url).pathname)
+    return pathname.endsWith(`/${AUDIO_BUCKET}/${path.replace(/^\/+/, '')}`)
+  } catch {
+    return false
+  }
+}
+
+const remember = (path, url, requestedAt) => {
+  const expiresAt = getSignedUrlExpiry(url) ?? requestedAt + SIGNED_URL_TTL_SEC * 1000
+  cache.set(path, { url, expiresAt })
+  return url
+}
+
+/**
+ * Get a signed URL for an audio object, reusing a cached one while it is fresh
+ * @param {string} path - tracks.audio_path
+ * @param {Object} options - { forceRefresh } to bypass the cache (e.g. after a playback error)
+ * @returns {Promise<string>} Signed URL
+ */
+export async function getSignedAudioUrl(path, { forceRefresh = false } = {}) {
+  if (!path || typeof path !== 'string') throw new Error('Audio unavailable for this track.')
+
+  if (!forceRefresh) {
+    const cached = cache.get(path)
+    if (isFresh(cached)) return cached.url
+    const pending = inFlight.get(path)
+    // A failed batch should not fail this caller; sign the path on its own instead
+    if (pending) return pending.catch(() => getSignedAudioUrl(path, { forceRefresh: true }))
+  } else {
+    cache.delete(path)
+  }
+
+  const requestedAt = Date.now()
+  const request = supabase.storage
+    .from(AUDIO_BUCKET)
+    .createSignedUrl(path, SIGNED_URL_TTL_SEC)
+    .then(({ data, error }) => {
+      if (error) throw error
+      if (!data?.signedUrl) throw new Error('Could not create a signed URL for this track.')
+      return remember(path, data.signedUrl, requestedAt)
+    })
+    .finally(() => {
+      if (inFlight.get(path) === request) inFlight.delete(path)
+    })
+
+  inFlight.set(path, request)
+  return request
+}
+
+/**
+ * Sign many audio objects at once (e.g. a whole queue). Paths that are cached or
+ * already being signed are skipped. Failures are logged, not thrown.
+ * @param {Array<string>} paths - tracks.audio_path values
+ * @returns {Promise<void>}
+ */
+export async function signAudioUrls(paths) {
+  const pending = Array.from(new Set((paths || []).filter((p) => typeof p === 'string' && p)))
+    .filter((p) => !isFresh(cache.get(p)) && !inFlight.has(p))
+  if (!pending.length) return
+
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    const batch = pending.slice(i, i + BATCH_SIZE)
+    const requestedAt = Date.now()
+    const request = supabase.storage
+      .from(AUDIO_BUCKET)
+      .createSignedUrls(batch, SIGNED_URL_TTL_SEC)
+      .then(({ data, error }) => {
+        if (error) throw error
+        const byPath = new Map()
+        for (const row of data || []) {
+          if (row?.path && row.signedUrl && !row.error) {
+            byPath.set(row.path, remember(row.path, row.signedUrl, requestedAt))
+          }
+        }
+        return byPath
+      })
+
+    // Let single-path callers await the batch instead of signing the same path again
+    batch.forEach((path) => {
+      const single = request
+        .then((byPath) => {
+          const url = byPath.get(path)
+          if (!url) throw new Error('Could not create a signed URL for this track.')
+          return url
+        })
+        .finally(() => {
+          if (inFlight.get(path) === single) inFlight.delete(path)
+        })
+      // Callers that never await this path should not see an unhandled rejection
+      single.catch(() => {})
+      inFlight.set(path, single)
+    })
+
+    try {
+      await request
+    } catch (err) {
+      console.warn('[signedUrlCache] Batch signing failed:', err)
+    }
+  }
+}
+
+/**
+ * Drop a cached URL (e.g. when the object was replaced)
+ * @param {string} path
+ */
+export const invalidateSignedUrl = (path) => {
+  cache.delete(path)
+}
@@ -0,0 +1,25 @@
+/**
+ * Guess track metadata from an audio file name, for prefilling the upload form.
+ * Understands the common "01 - Artist - Title.mp3", "01. Title.flac", "Artist - Title.wav"
+ * and "03_title_here.ogg" shapes; anything else becomes the title as is.
+ * @param {string} fileName
+ * @returns {Object} { title, artist, trackNumber } (artist '' and trackNumber null when not found)
+ */
+export function metadataFromFileName(fileName) {
+  const base = String(fileName || '')
+    .replace(/\.[^.]+$/, '')
+    .replace(/_/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+  // A leading 1–3 digit number followed by a separator is the track number ("2024 Mix" is not)
+  const numbered = base.match(/^(\d{1,3})\s*(?:[-.)]\s*|\s+)(.+)$/)
+  const trackNumber = numbered ? Number(numbered[1]) : null
+  const rest = numbered ? numbered[2] : base
+
+  const parts = rest.split(/\s+[-–]\s+/)
+  if (parts.length >= 2) {
+    return { title: parts.slice(1).join(' - ').trim(), artist: parts[0].trim(), trackNumber }
+  }
+  return { title: rest.trim() || base, artist: '', trackNumber }
+}
@@ -0,0 +1,38 @@
+import { supabase } from '../supabaseclient'
+
+const STATS_BATCH_SIZE = 200 // keeps the `in` filter well within URL limits
+
+/**
+ * Like, play and comment counts per track from the `track_stats` view
+ * Counting happens in the database; the client never downloads individual likes or comments.
+ * @param {Array<number>} trackIds
+ * @returns {Promise<Map>} trackId -> { likes, plays, comments } (every requested id is present)
+ */
+export async function fetchTrackStats(trackIds) {
+  const ids = [...new Set((trackIds || []).filter(Boolean))]
+  const stats = new Map(ids.map((id) => [id, { likes: 0, plays: 0, comments: 0 }]))
+  for (let i = 0; i < ids.length; i += STATS_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('track_stats')
+      .select('track_id, like_count, play_count, comment_count')
+      .in('track_id', ids.slice(i, i + STATS_BATCH_SIZE))
+    if (error) throw error
+    ;(data || []).forEach((row) => {
+      stats.set(row.track_id, {
+        likes: Number(row.like_count) || 0,
+        plays: Number(row.play_count) || 0,
+        comments: Number(row.comment_count) || 0,
+      })
+    })
+  }
+  return stats
+}
+
+/**
+ * Stats of one track from a map returned by fetchTrackStats (or useTrackStats)
+ * @param {Map|null} trackStats
+ * @param {number} trackId
+ * @returns {Object|null} { likes, plays, comments }, null when not loaded
+ */
+export const getTrackStats = (trackStats, trackId) =>
+  (trackStats instanceof Map && trackId != null ? trackStats.get(trackId) : null) || null
@@ -0,0 +1,149 @@
+import { supabase } from '../supabaseclient'
+import { decodeAudioFile } from './audioDecode'
+import { getSignedAudioUrl } from './signedUrlCache'
+
+/**
+ * Waveform peaks for tracks.
+ * Peaks are computed once (at upload, or by the backfill for older tracks) and stored on the
+ * track as `waveform_peaks`: WAVEFORM_BINS integers 0..100, scaled to the track's loudest bin.
+ */
+
+export const WAVEFORM_BINS = 200
+const PEAK_SCALE = 100
+const BACKFILL_SAMPLE_RATE = 8000 // plenty for drawing, and keeps long tracks small in memory
+const BACKFILL_MAX_BYTES = 100 * 1024 * 1024 // the whole file is downloaded and decoded in the tab
+
+// trackId -> peaks (0..1); shared by every card and the player for this page session
+const peaksCache = new Map()
+const inFlight = new Map()
+
+/**
+ * Compute peaks from a decoded buffer
+ * @param {AudioBuffer} buffer
+ * @param {number} bins
+ * @returns {number[]|null} Integers 0..PEAK_SCALE, or null for an empty buffer
+ */
+export function computePeaks(buffer, bins = WAVEFORM_BINS) {
+  if (!buffer?.length) return null
+  const raw = new Float32Array(bins)
+  const samplesPerBin = buffer.length / bins
+  for (let c = 0; c < buffer.numberOfChannels; c += 1) {
+    const data = buffer.getChannelData(c)
+    for (let bin = 0; bin < bins; bin += 1) {
+      const end = Math.min(Math.floor((bin + 1) * samplesPerBin), data.length)
+      let peak = raw[bin]
+      for (let i = Math.floor(bin * samplesPerBin); i < end; i += 1) {
+        const v = Math.abs(data[i])
+        if (v > peak) peak = v
+      }
+      raw[bin] = peak
+    }
+  }
+  const max = raw.reduce((m, v) => (v > m ? v : m), 0)
+  return Array.from(raw, (v) => (max > 0 ? Math.round((v / max) * PEAK_SCALE) : 0))
+}
+
+/**
+ * Read stored peaks (jsonb array, or a JSON string from older clients)
+ * @param {Array|string|null} value
+ * @returns {number[]|null} Values 0..1, or null when missing or malformed
+ */
+export function parsePeaks(value) {
+  let list = value
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list)
+    } catch {
+      return null
+    }
+  }
+  if (!Array.isArray(list) || list.length === 0) return null
+  return list.map((v) => Math.min(Math.max(Number(v) || 0, 0), PEAK_SCALE) / PEAK_SCALE)
+}
+
+/**
+ * Peaks already known for a track (stored on the record or loaded earlier)
+ * @param {Object} track
+ * @returns {number[]|null} Values 0..1
+ */
+export function getTrackPeaks(track) {
+  if (!track?.id) return null
+  return parsePeaks(track.waveform_peaks) || peaksCache.get(track.id) || null
+}
+
+/**
+ * Load peaks for a track whose record may not carry them (queue snapshots leave them out)
+ * @param {Object} track
+ * @returns {Promise<number[]|null>} Values 0..1, or null when the track has none stored yet
+ */
+export async function fetchTrackPeaks(track) {
+  const known = getTrackPeaks(track)
+  if (known || !track?.id) return known
+  const { data, error } = await supabase
+    .from('tracks')
+    .select('waveform_peaks')
+    .eq('id', track.id)
+    .maybeSingle()
+  if (error) throw new Error(error.message)
+  const peaks = parsePeaks(data?.waveform_peaks)
+  if (peaks) peaksCache.set(track.id, peaks)
+  return peaks
+}
+
+const generatePeaks = async (audioPath) => {
+  const url = await getSignedAudioUrl(audioPath)
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Could not download audio (${response.status})`)
+  if (Number(response.headers.get('Content-Length')) > BACKFILL_MAX_BYTES) {
+    response.body?.cancel()
+    throw new Error('Audio file is too large to generate a waveform in the browser')
+  }
+  const buffer = await decodeAudioFile(await response.arrayBuffer(), BACKFILL_SAMPLE_RATE)
+  return buffer ? computePeaks(buffer) : null
+}
+
+/**
+ * Whether the backfill can handle a track: it has audio, no peaks yet, and is not too large
+ * to download and decode in the tab (file_size is unknown for some old rows; then the
+ * download size is checked instead)
+ * @param {Object} track
+ * @returns {boolean}
+ */
+export const canBackfillPeaks = (track) =>
+  Boolean(track?.audio_path) && !getTrackPeaks(track) && !(track.file_size > BACKFILL_MAX_BYTES)
+
+/**
+ * Backfill peaks for a track uploaded before waveforms existed: download and decode the audio,
+ * then store the result. Only the owner can write the track row. Run on request only
+ * ("Generate missing waveforms" on the Upload page), never while browsing or playing.
+ * @param {Object} track - Needs id, user_id and audio_path
+ * @param {string} userId - Current user; must own the track
+ * @returns {Promise<number[]|null>} Values 0..1
+ */
+export async function backfillTrackPeaks(track, userId) {
+  if (!track?.id || !track.audio_path || !userId || track.user_id !== userId) return null
+  const known = getTrackPeaks(track)
+  if (known) return known
+  if (!canBackfillPeaks(track)) return null
+  if (inFlight.has(track.id)) return inFlight.get(track.id)
+
+  const request = (async () => {
+    const peaks = await generatePeaks(track.audio_path)
+    if (!peaks) return null
+    const { error } = await supabase
+      .from('tracks')
+      .update({ waveform_peaks: peaks })
+      .eq('id', track.id)
+      .eq('user_id', userId)
+    if (error) throw new Error(error.message)
+    const parsed = parsePeaks(peaks)
+    peaksCache.set(track.id, parsed)
+    return parsed
+  })()
+  inFlight.set(track.id, request)
+  try {
+    return await request
+  } finally {
+    inFlight.delete(track.id)
+  }
+}
@@ -0,0 +1,127 @@
+import { createMp3Encoder } from 'wasm-media-encoders'
+
+/*
+  mp3Encoder.worker.js
+  - Encodes audio to MP3 with LAME (WebAssembly) off the main thread, much faster than real time.
+  - WAV files are read from the File in blocks, so their length is not limited by memory.
+  - Other sources arrive already decoded as channel data (decodeAudioFile on the main thread).
+  - Message in: { bitrate, file } or { bitrate, channels: Float32Array[], sampleRate }.
+  - Messages out: { type: 'progress', value 0–1 }, { type: 'done', blob }, { type: 'error', message },
+    or { type: 'unsupported' } when a file is not a WAV this worker can read itself.
+*/
+
+const BLOCK_FRAMES = 1 << 16 // samples per channel per encode() call
+const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000]
+
+// WAV header: format, channels, rate, bit depth and where the sample data is
+const readWavHeader = async (file) => {
+  const bytes = new DataView(await file.slice(0, Math.min(file.size, 1 << 20)).arrayBuffer())
+  const tag = (offset) => String.fromCharCode(...new Uint8Array(bytes.buffer, offset, 4))
+  if (bytes.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null
+  let format = null
+  let pos = 12
+  while (pos + 8 <= bytes.byteLength) {
+    const id = tag(pos)
+    const size = bytes.getUint32(pos + 4, true)
+    if (id === 'fmt ') {
+      let audioFormat = bytes.getUint16(pos + 8, true)
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the first bytes of its sub-format GUID
+      if (audioFormat === 0xfffe && size >= 26) audioFormat = bytes.getUint16(pos + 32, true)
+      format = {
+        audioFormat,
+        channels: bytes.getUint16(pos + 10, true),
+        sampleRate: bytes.getUint32(pos + 12, true),
+        bitsPerSample: bytes.getUint16(pos + 22, true),
+      }
+    } else if (id === 'data' && format) {
+      // Some writers leave the size at 0 or 0xFFFFFFFF while streaming; use the rest of the file
+      const dataSize = size && size !== 0xffffffff ? Math.min(size, file.size - pos - 8) : file.size - pos - 8
+      return { ...format, dataOffset: pos + 8, dataSize }
+    }
+    pos += 8 + size + (size % 2)
+  }
+  return null
+}
+
+// Whether the blocks reader understands this WAV (else the main thread decodes it)
+const isStreamableWav = (wav) =>
+  Boolean(wav) &&
+  MP3_SAMPLE_RATES.includes(wav.sampleRate) &&
+  wav.channels >= 1 &&
+  ((wav.audioFormat === 1 && [8, 16, 24, 32].includes(wav.bitsPerSample)) ||
+    (wav.audioFormat === 3 && wav.bitsPerSample === 32))
+
+// Interleaved PCM bytes -> one Float32Array per output channel (more than two are folded to stereo)
+const toChannels = (view, wav, outChannels) => {
+  const bytesPerSample = wav.bitsPerSample / 8
+  const frames = Math.floor(view.byteLength / (bytesPerSample * wav.channels))
+  const out = Array.from({ length: outChannels }, () => new Float32Array(frames))
+  const read = (offset) => {
+    switch (wav.bitsPerSample) {
+      case 8: return (view.getUint8(offset) - 128) / 128
+      case 16: return view.getInt16(offset, true) / 32768
+      case 24: return (((view.getUint8(offset + 2) << 24) | (view.getUint8(offset + 1) << 16) | (view.getUint8(offset) << 8)) >> 8) / 8388608
+      default: return wav.audioFormat === 3 ? view.getFloat32(offset, true) : view.getInt32(offset, true) / 2147483648
+    }
+  }
+  for (let f = 0; f < frames; f++) {
+    const base = f * wav.channels * bytesPerSample
+    for (let c = 0; c < wav.channels; c++) {
+      const target = outChannels === 1 ? 0 : c % 2
+      const share = outChannels === 1 ? wav.channels : Math.ceil((wav.channels - target) / 2)
+      out[target][f] += read(base + c * bytesPerSample) / share
+    }
+  }
+  return out
+}
+
+const encodeWav = async (encoder, file, wav, bitrate, collect) => {
+  const outChannels = Math.min(wav.channels, 2)
+  encoder.configure({ sampleRate: wav.sampleRate, channels: outChannels, bitrate })
+  const frameBytes = (wav.bitsPerSample / 8) * wav.channels
+  const blockBytes = BLOCK_FRAMES * frameBytes
+  const end = wav.dataOffset + wav.dataSize - (wav.dataSize % frameBytes)
+  for (let offset = wav.dataOffset; offset < end; offset += blockBytes) {
+    const buffer = await file.slice(offset, Math.min(offset + blockBytes, end)).arrayBuffer()
+    collect(encoder.encode(toChannels(new DataView(buffer), wav, outChannels)))
+    postMessage({ type: 'progress', value: (offset - wav.dataOffset) / (end - wav.dataOffset) })
+  }
+}
+
+const encodeChannels = (encoder, channels, sampleRate, bitrate, collect) => {
+  const outChannels = channels.length > 1 ? 2 : 1
+  encoder.configure({ sampleRate, channels: outChannels, bitrate })
+  const length = channels[0].length
+  for (let start = 0; start < length; start += BLOCK_FRAMES) {
+    const end = Math.min(start + BLOCK_FRAMES, length)
+    collect(encoder.encode(channels.slice(0, outChannels).map((data) => data.subarray(start, end))))
+    postMessage({ type: 'progress', value: start / length })
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    const encoder = await createMp3Encoder()
+    // encode() returns memory owned by the encoder: copy every chunk out before the next call
+    const chunks = []
+    const collect = (bytes) => {
+      if (bytes.length) chunks.push(bytes.slice())
+    }
+
+    if (data.file) {
+      const wav = await readWavHeader(data.file)
+      if (!isStreamableWav(wav)) {
+        postMessage({ type: 'unsupported' })
+        return
+      }
+      await encodeWav(encoder, data.file, wav, data.bitrate, collect)
+    } else {
+      encodeChannels(encoder, data.channels, data.sampleRate, data.bitrate, collect)
+    }
+    collect(encoder.finalize())
+    postMessage({ type: 'progress', value: 1 })
+    postMessage({ type: 'done', blob: new Blob(chunks, { type: 'audio/mpeg' }) })
+  } catch (err) {
+    postMessage({ type: 'error', message: err?.message || 'MP3 encoding failed' })
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * Identify an audio file from its bytes and measure its duration, reading only the parts it
+ * needs (headers, an MP4 moov box, the last Ogg page) so large files never load whole.
+ * Understands MP3, AAC (ADTS), WAV, FLAC, Ogg (Vorbis, Opus, FLAC) and MP4/M4A.
+ */
+
+export type ByteSource = {
+  size: number
+  read: (offset: number, length: number) => Promise<Uint8Array>
+}
+
+export type AudioProbe = {
+  container: 'mp3' | 'aac' | 'wav' | 'flac' | 'ogg' | 'mp4'
+  codec: string
+  mime: string
+  duration: number // seconds
+}
+
+const HEAD_BYTES = 64 * 1024
+const TAIL_BYTES = 64 * 1024
+const MAX_MOOV_BYTES = 16 * 1024 * 1024
+
+// status 422: the bytes are not an audio file we accept (as opposed to a failure reading them)
+export const rejectError = (message: string) => Object.assign(new Error(message), { status: 422 })
+
+const ascii = (bytes: Uint8Array, offset: number, length: number) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length))
+
+const view = (bytes: Uint8Array) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+// ID3v2 tags sit before MP3, AAC and some FLAC streams; returns the offset after it
+const skipId3 = (head: Uint8Array) => {
+  if (head.length < 10 || ascii(head, 0, 3) !== 'ID3') return 0
+  const size = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f)
+  return 10 + size + (head[5] & 0x10 ? 10 : 0)
+}
+
+// --- MPEG audio (MP3) and ADTS (AAC) ---------------------------------------------------------
+
+const MP3_BITRATES = {
+  v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+}
+const MP3_SAMPLE_RATES = [44100, 48000, 32000]
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350]
+
+const mp3Frame = (bytes: Uint8Array, i: number) => {
+  if (i + 4 > bytes.length || bytes[i] !== 0xff || (bytes[i + 1] & 0xe0) !== 0xe0) return null
+  const version = (bytes[i + 1] >> 3) & 3 // 3 MPEG1, 2 MPEG2, 0 MPEG2.5
+  const layer = (bytes[i + 1] >> 1) & 3 // 1 is layer III
+  const bitrateIndex = bytes[i + 2] >> 4
+  const rateIndex = (bytes[i + 2] >> 2) & 3
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null
+  const mpeg1 = version === 3
+  const bitrate = (mpeg1 ? MP3_BITRATES.v1 : MP3_BITRATES.v2)[bitrateIndex] * 1000
+  const sampleRate = MP3_SAMPLE_RATES[rateIndex] / (mpeg1 ? 1 : version === 2 ? 2 : 4)
+  const samplesPerFrame = mpeg1 ? 1152 : 576
+  const length = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + ((bytes[i + 2] >> 1) & 1)
+  const mono = bytes[i + 3] >> 6 === 3
+  const sideInfo = mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+  return { bitrate, sampleRate, samplesPerFrame, length, sideInfo }
+}
+
+const adtsFrame = (bytes: Uint8Array, i: number) => {
+  if (i + 7 > bytes.length || bytes[i] !== 0xff || (bytes[i + 1] & 0xf6) !== 0xf0) return null
+  const sampleRate = ADTS_SAMPLE_RATES[(bytes[i + 2] >> 2) & 0xf]
+  const length = ((bytes[i + 3] & 3) << 11) | (bytes[i + 4] << 3) | (bytes[i + 5] >> 5)
+  if (!sampleRate || length < 7) return null
+  return { sampleRate, length }
+}
+
+// A frame header only counts when the next one starts right where it says it ends
+const findFrames = <T extends { length: number }>(
+  bytes: Uint8Array,
+  start: number,
+  parse: (bytes: Uint8Array, i: number) => T | null,
+) => {
+  for (let i = start; i < bytes.length - 4; i++) {
+    const frame = parse(bytes, i)
+    if (frame && parse(bytes, i + frame.length)) return { offset: i, frame }
+  }
+  return null
+}
+
+// `head` holds the file from byte `base` on (after any ID3 tag)
+const probeMp3 = (source: ByteSource, head: Uint8Array, base: number): AudioProbe | null => {
+  const found = findFrames(head, 0, mp3Frame)
+  if (!found) return null
+  const { offset, frame } = found
+  const data = view(head)
+  let frames = 0
+  const xing = offset + 4 + frame.sideInfo
+  const tag = ascii(head, xing, 4)
+  if ((tag === 'Xing' || tag === 'Info') && data.getUint32(xing + 4) & 1) frames = data.getUint32(xing + 8)
+  else if (ascii(head, offset + 36, 4) === 'VBRI') frames = data.getUint32(offset + 36 + 14)
+  const duration = frames
+    ? (frames * frame.samplesPerFrame) / frame.sampleRate
+    : ((source.size - base - offset) * 8) / frame.bitrate // constant bitrate
+  return { container: 'mp3', codec: 'mp3', mime: 'audio/mpeg', duration }
+}
+
+const probeAdts = (source: ByteSource, head: Uint8Array, base: number): AudioProbe | null => {
+  const found = findFrames(head, 0, adtsFrame)
+  if (!found) return null
+  // Average the frames in the head and extrapolate over the file
+  let count = 0
+  let pos = found.offset
+  for (let frame = adtsFrame(head, pos); frame && pos + frame.length <= head.length; frame = adtsFrame(head, pos)) {
+    pos += frame.length
+    count++
+  }
+  const averageLength = (pos - found.offset) / count
+  const duration = (((source.size - base - found.offset) / averageLength) * 1024) / found.frame.sampleRate
+  return { container: 'aac', codec: 'aac', mime: 'audio/aac', duration }
+}
+
+// --- WAV ------------------------------------------------------------------------------------
+
+const WAV_CODECS: Record<number, string> = { 1: 'pcm', 3: 'pcm_float', 0xfffe: 'pcm' }
+
+const probeWav = async (source: ByteSource): Promise<AudioProbe> => {
+  let codec: string | null = null
+  let byteRate = 0
+  let pos = 12
+  while (pos + 8 <= source.size) {
+    const header = await source.read(pos, 8)
+    const id = ascii(header, 0, 4)
+    const size = view(header).getUint32(4, true)
+    if (id === 'fmt ') {
+      const fmt = view(await source.read(pos + 8, Math.min(size, 40)))
+      codec = WAV_CODECS[fmt.getUint16(0, true)] || null
+      if (!codec) throw rejectError(`Unsupported WAV encoding (format ${fmt.getUint16(0, true)})`)
+      byteRate = fmt.getUint32(8, true)
+    } else if (id === 'data') {
+      if (!codec || !byteRate) break
+      const dataSize = size && size !== 0xffffffff ? Math.min(size, source.size - pos - 8) : source.size - pos - 8
+      return { container: 'wav', codec, mime: 'audio/wav', duration: dataSize / byteRate }
+    }
+    pos += 8 + size + (size % 2)
+  }
+  throw rejectError('WAV file has no readable audio data')
+}
+
+// --- FLAC -----------------------------------------------------------------------------------
+
+// STREAMINFO: 20-bit sample rate and 36-bit total sample count
+const flacStreamInfo = (bytes: Uint8Array, offset: number) => {
+  const sampleRate = (bytes[offset + 10] << 12) | (bytes[offset + 11] << 4) | (bytes[offset + 12] >> 4)
+  const totalSamples = (bytes[offset + 13] & 0x0f) * 2 ** 32 + view(bytes).getUint32(offset + 14)
+  return { sampleRate, totalSamples }
+}
+
+const probeFlac = (head: Uint8Array): AudioProbe => {
+  // The first metadata block after "fLaC" is always STREAMINFO
+  const { sampleRate, totalSamples } = flacStreamInfo(head, 8)
+  if (!sampleRate) throw rejectError('FLAC file has an invalid stream header')
+  return { container: 'flac', codec: 'flac', mime: 'audio/flac', duration: totalSamples / sampleRate }
+}
+
+// --- Ogg ------------------------------------------------------------------------------------
+
+const probeOgg = async (source: ByteSource, head: Uint8Array): Promise<AudioProbe> => {
+  const segments = head[26]
+  const packet = 27 + segments
+  const data = view(head)
+  let codec: string
+  let sampleRate: number
+  let preSkip = 0
+  if (head[packet] === 1 && ascii(head, packet + 1, 6) === 'vorbis') {
+    codec = 'vorbis'
+    sampleRate = data.getUint32(packet + 12, true)
+  } else if (ascii(head, packet, 8) === 'OpusHead') {
+    codec = 'opus'
+    sampleRate = 48000 // Opus granule positions always count 48kHz samples
+    preSkip = data.getUint16(packet + 10, true)
+  } else if (head[packet] === 0x7f && ascii(head, packet + 1, 4) === 'FLAC') {
+    codec = 'flac'
+    // 0x7F "FLAC", version, header count, "fLaC" and a block header come before STREAMINFO
+    sampleRate = flacStreamInfo(head, packet + 17).sampleRate
+  } else {
+    throw rejectError('Ogg file does not contain Vorbis, Opus or FLAC audio')
+  }
+  const serial = data.getUint32(14, true)
+
+  // The granule position of the stream's last page is its length in samples
+  const tailStart = Math.max(0, source.size - TAIL_BYTES)
+  const tail = await source.read(tailStart, source.size - tailStart)
+  const tailData = view(tail)
+  for (let i = tail.length - 27; i >= 0; i--) {
+    if (ascii(tail, i, 4) !== 'OggS' || tailData.getUint32(i + 14, true) !== serial) continue
+    const granule = tailData.getUint32(i + 6, true) + tailData.getUint32(i + 10, true) * 2 ** 32
+    return { container: 'ogg', codec, mime: 'audio/ogg', duration: (granule - preSkip) / sampleRate }
+  }
+  throw rejectError('Ogg file is truncated')
+}
+
+// --- MP4 / M4A ------------------------------------------------------------------------------
+
+type Box = { type: string; start: number; end: number; headerSize: number }
+
+// Child boxes of bytes[start, end)
+const childBoxes = (bytes: Uint8Array, start: number, end: number): Box[] => {
+  const data = view(bytes)
+  const boxes: Box[] = []
+  let pos = start
+  while (pos + 8 <= end) {
+    let size = data.getUint32(pos)
+    let headerSize = 8
+    if (size === 1) {
+      size = Number(data.getBigUint64(pos + 8))
+      headerSize = 16
+    } else if (size === 0) {
+      size = end - pos
+    }
+    if (size < headerSize) break
+    boxes.push({ type: ascii(bytes, pos + 4, 4), start: pos, end: Math.min(pos + size, end), headerSize })
+    pos += size
+  }
+  return boxes
+}
+
+const findBox = (bytes: Uint8Array, parent: Box, path: string[]): Box | null => {
+  let box: Box | null = parent
+  for (const type of path) {
+    const children: Box[] = childBoxes(bytes, box.start + box.headerSize, box.end)
+    box = children.find((child) => child.type === type) || null
+    if (!box) return null
+  }
+  return box
+}
+
+// Top-level boxes are walked with small reads; only moov is loaded
+const readMoov = async (source: ByteSource) => {
+  let pos = 0
+  while (pos + 8 <= source.size) {
+    const header = await source.read(pos, 16)
+    const data = view(header)
+    let size = data.getUint32(0)
+    if (size === 1) size = Number(data.getBigUint64(8))
+    else if (size === 0) size = source.size - pos
+    const type = ascii(header, 4, 4)
+    if (type === 'moov') {
+      if (size > MAX_MOOV_BYTES) throw rejectError('MP4 index is too large')
+      return source.read(pos, size)
+    }
+    if (size < 8) break
+    pos += size
+  }
+  throw rejectError('MP4 file has no index (moov box)')
+}
+
+const probeMp4 = async (source: ByteSource): Promise<AudioProbe> => {
+  const moov = await readMoov(source)
+  const root = childBoxes(moov, 0, moov.length)[0]
+  const data = view(moov)
+
+  const mvhd = findBox(moov, root, ['mvhd'])
+  if (!mvhd) throw rejectError('MP4 file has no movie header')
+  const body = mvhd.start + mvhd.headerSize
+  const duration = moov[body] === 1
+    ? Number(data.getBigUint64(body + 24)) / data.getUint32(body + 20)
+    : data.getUint32(body + 16) / data.getUint32(body + 12)
+
+  let codec: string | null = null
+  for (const trak of childBoxes(moov, root.start + root.headerSize, root.end).filter((box) => box.type === 'trak')) {
+    const hdlr = findBox(moov, trak, ['mdia', 'hdlr'])
+    const handler = hdlr ? ascii(moov, hdlr.start + hdlr.headerSize + 8, 4) : ''
+    if (handler === 'vide') throw rejectError('File contains video; upload the audio only')
+    if (handler !== 'soun' || codec) continue
+    const stsd = findBox(moov, trak, ['mdia', 'minf', 'stbl', 'stsd'])
+    // stsd: version/flags (4), entry count (4), then the first sample entry box
+    if (stsd) codec = ascii(moov, stsd.start + stsd.headerSize + 12, 4).trim()
+  }
+  if (!codec) throw rejectError('MP4 file has no audio track')
+  return { container: 'mp4', codec, mime: 'audio/mp4', duration }
+}
+
+// --------------------------------------------------------------------------------------------
+
+/**
+ * Sniff the container and codec of an audio file and measure its duration
+ * @param {ByteSource} source - Total size plus a ranged reader
+ * @returns {Promise<AudioProbe>} Rejects with status 422 when the file is not accepted audio
+ */
+export async function probeAudio(source: ByteSource): Promise<AudioProbe> {
+  if (source.size < 128) throw rejectError('File is too small to be audio')
+  const head = await source.read(0, Math.min(HEAD_BYTES, source.size))
+
+  let probe: AudioProbe | null = null
+  if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 4) === 'WAVE') probe = await probeWav(source)
+  else if (ascii(head, 0, 4) === 'OggS') probe = await probeOgg(source, head)
+  else if (ascii(head, 4, 4) === 'ftyp') probe = await probeMp4(source)
+  else {
+    const start = skipId3(head)
+    const body = start ? await source.read(start, Math.min(HEAD_BYTES, source.size - start)) : head
+    if (ascii(body, 0, 4) === 'fLaC') probe = probeFlac(body)
+    else probe = probeMp3(source, body, start) || probeAdts(source, body, start)
+  }
+
+  if (!probe) throw rejectError('File is not a recognised audio format')
+  if (!Number.isFinite(probe.duration) || probe.duration <= 0) throw rejectError('Could not read the audio duration')
+  return probe
+}
@@ -0,0 +1,132 @@
+/*
+  process-upload (Supabase Edge Function)
+  - Called by a database webhook on INSERT into public.tracks, i.e. after the audio object is in
+    the `audio` bucket (the client inserts the row only once the upload has finished).
+  - Sniffs the real container and codec from the stored bytes (audioProbe.ts), so a renamed
+    or mislabelled file is rejected whatever the browser claimed.
+  - Writes duration_sec and the detected mime_type and moves processing_status from
+    'processing' to 'ready', or to 'failed' with processing_error. Rejected objects are deleted.
+  - Only objects under `<user_id>/` of the track's owner are read or deleted; any other
+    audio_path fails the track without touching storage.
+  - Deploy with --no-verify-jwt; the webhook authenticates with the x-webhook-secret header.
+*/
+import { createClient } from 'jsr:@supabase/supabase-js@2'
+import { probeAudio, type ByteSource } from './audioProbe.ts'
+
+const AUDIO_BUCKET = 'audio'
+const SIGNED_URL_TTL_SEC = 600
+const MAX_DURATION_SEC = 6 * 60 * 60
+
+// What each declared mime type and file extension may really contain
+const DECLARED_CONTAINERS: Record<string, string[]> = {
+  'audio/mpeg': ['mp3'],
+  'audio/wav': ['wav'],
+  'audio/x-wav': ['wav'],
+  'audio/flac': ['flac'],
+  'audio/ogg': ['ogg'],
+  'audio/aac': ['aac', 'mp4'],
+  'audio/mp4': ['mp4'],
+  'audio/x-m4a': ['mp4'],
+}
+const EXTENSION_CONTAINERS: Record<string, string[]> = {
+  mp3: ['mp3'],
+  wav: ['wav'],
+  flac: ['flac'],
+  ogg: ['ogg'],
+  aac: ['aac', 'mp4'],
+  m4a: ['mp4'],
+}
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!)
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+
+// Ranged reads over a signed URL, so large files are never downloaded whole
+const openStoredFile = async (path: string): Promise<ByteSource> => {
+  const { data, error } = await supabase.storage.from(AUDIO_BUCKET).createSignedUrl(path, SIGNED_URL_TTL_SEC)
+  if (error) throw error
+  const url = data.signedUrl
+  const fetchRange = async (offset: number, length: number) => {
+    const res = await fetch(url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } })
+    if (!res.ok) throw Object.assign(new Error(`Could not read the stored file (${res.status})`), { status: res.status })
+    return res
+  }
+  const first = await fetchRange(0, 1)
+  const size = Number(first.headers.get('Content-Range')?.split('/')[1] ?? first.headers.get('Content-Length'))
+  await first.body?.cancel()
+  if (!size) throw new Error('Could not read the stored file size')
+
+  return {
+    size,
+    read: async (offset, length) => {
+      const end = Math.min(offset + length, size)
+      if (end <= offset) return new Uint8Array(0)
+      return new Uint8Array(await (await fetchRange(offset, end - offset)).arrayBuffer())
+    },
+  }
+}
+
+const updateTrack = async (id: string, values: Record<string, unknown>) => {
+  const { error } = await supabase.from('tracks').update(values).eq('id', id)
+  if (error) throw error
+}
+
+Deno.serve(async (req) => {
+  const secret = Deno.env.get('PROCESS_UPLOAD_SECRET')
+  if (!secret || req.headers.get('x-webhook-secret') !== secret) return json({ error: 'Unauthorized' }, 401)
+
+  const payload = await req.json().catch(() => null)
+  const track = payload?.record
+  if (payload?.type !== 'INSERT' || payload?.table !== 'tracks' || !track?.id) {
+    return json({ error: 'Expected a tracks INSERT webhook payload' }, 400)
+  }
+
+  // The service role can read and delete any object, so only ever touch the uploader's own folder
+  if (!track.user_id || !track.audio_path?.startsWith(`${track.user_id}/`)) {
+    await updateTrack(track.id, {
+      processing_status: 'failed',
+      processing_error: 'The audio file does not belong to this track.',
+    }).catch((updateErr) => console.error('process-upload status error:', updateErr))
+    return json({ id: track.id, status: 'failed', error: 'audio_path outside the owner folder' }, 422)
+  }
+
+  try {
+    const source = await openStoredFile(track.audio_path)
+    const probe = await probeAudio(source)
+
+    const extension = track.audio_path.split('.').pop()?.toLowerCase() ?? ''
+    const declared = DECLARED_CONTAINERS[track.mime_type] ?? []
+    const named = EXTENSION_CONTAINERS[extension] ?? []
+    if (!declared.includes(probe.container) || !named.includes(probe.container)) {
+      throw Object.assign(
+        new Error(`File is ${probe.container.toUpperCase()} audio but was uploaded as ${track.mime_type || 'unknown'} (.${extension})`),
+        { status: 422 },
+      )
+    }
+    if (probe.duration > MAX_DURATION_SEC) {
+      throw Object.assign(new Error(`Audio is longer than ${MAX_DURATION_SEC / 3600} hours`), { status: 422 })
+    }
+
+    await updateTrack(track.id, {
+      processing_status: 'ready',
+      processing_error: null,
+      duration_sec: Math.round(probe.duration * 100) / 100,
+      mime_type: probe.mime,
+      file_size: source.size,
+    })
+    return json({ id: track.id, status: 'ready', ...probe })
+  } catch (err) {
+    const rejected = err?.status === 422
+    console.error('process-upload error:', track.id, err)
+    if (rejected) {
+      const { error: removeError } = await supabase.storage.from(AUDIO_BUCKET).remove([track.audio_path])
+      if (removeError) console.warn('[process-upload] Could not remove rejected file', removeError)
+    }
+    await updateTrack(track.id, {
+      processing_status: 'failed',
+      processing_error: rejected ? err.message : 'The file could not be processed. Please upload it again.',
+    }).catch((updateErr) => console.error('process-upload status error:', updateErr))
+    return json({ id: track.id, status: 'failed', error: err.message }, rejected ? 422 : 500)
+  }
+})